@@ -0,0 +1,74 @@
+// check_omm_round_trip.js - Round-trip check of the OMM XML/KVN and Celestrak CSV writers and parsers
+// Run with: node check_omm_round_trip.js [path to a 3LE file, default data/active_tle.dat]
+// Loads js/customSat.js and js/ommFormats.js as the page does (plain scripts sharing one global scope) and checks
+// that parse(format(records)) gives back the same TLE lines. Exits with code 1 when a record does not round-trip.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Space-Track style TLE (ISS): zero exponent fields are written "00000-0", which the writers give back as "00000+0"
+const SPACE_TRACK_ISS = [
+    'ISS (ZARYA)',
+    '1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927',
+    '2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537'
+];
+
+const ROUND_TRIPS = [
+    ['OMM XML', 'formatOmmXml', 'parseOmmXml'],
+    ['OMM KVN', 'formatOmmKvn', 'parseOmmKvn'],
+    ['Celestrak CSV', 'formatCelestrakCsv', 'parseCelestrakCsv']
+];
+
+function loadScripts() {
+    const context = { console };
+    context.window = context;
+    vm.createContext(context);
+    ['js/customSat.js', 'js/ommFormats.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+// TLE line 1 as the writers give it back: zero exponent fields with a "+0" exponent, and the checksum to match
+function withPositiveZeroExponents(app, line1) {
+    const body = `${line1.substring(0, 44)}${line1.substring(44, 52).replace(' 00000-0', ' 00000+0')} ` +
+        `${line1.substring(53, 61).replace(' 00000-0', ' 00000+0')}${line1.substring(61, 68)}`;
+    return `${body}${app.calculateChecksum(body)}`;
+}
+
+// Round-trip every record through every writer; returns the number of failures
+function checkRoundTrips(app, label, entries) {
+    const invalid = entries.filter(entry => entry.error);
+    if (invalid.length > 0) {
+        console.error(`${label}: ${invalid.length} entries are not valid TLEs (${invalid[0].error})`);
+        return invalid.length;
+    }
+    const records = entries.map(entry => entry.satellite);
+    let failures = 0;
+    ROUND_TRIPS.forEach(([format, writer, parser]) => {
+        const back = app[parser](app[writer](records));
+        let formatFailures = back.length === records.length ? 0 : 1;
+        back.forEach((entry, i) => {
+            const expected = records[i];
+            const expectedLine1 = withPositiveZeroExponents(app, expected.TLE_LINE1);
+            if (entry.error || entry.name !== expected.OBJECT_NAME || entry.line1 !== expectedLine1 ||
+                entry.line2 !== expected.TLE_LINE2) {
+                if (formatFailures++ < 3) {
+                    console.error(`${label}, ${format}: ${expected.OBJECT_NAME} does not round-trip\n` +
+                        `  expected ${expectedLine1}\n           ${expected.TLE_LINE2}\n` +
+                        `  got      ${entry.line1}\n           ${entry.line2}${entry.error ? ` (${entry.error})` : ''}`);
+                }
+            }
+        });
+        console.log(`${label}, ${format}: ${records.length - Math.min(formatFailures, records.length)} of ${records.length} round-trip`);
+        failures += formatFailures;
+    });
+    return failures;
+}
+
+const app = loadScripts();
+const catalogueFile = process.argv[2] || path.join(__dirname, 'data', 'active_tle.dat');
+let failures = checkRoundTrips(app, 'Space-Track ISS', app.parseTleCatalogue(SPACE_TRACK_ISS.join('\n')));
+failures += checkRoundTrips(app, path.basename(catalogueFile), app.parseTleCatalogue(fs.readFileSync(catalogueFile, 'utf8')));
+process.exitCode = failures > 0 ? 1 : 0;
@@ -2,6 +2,7 @@
 
 /**
  * Calculate satellite position from TLE data for a specific time
+ * Uses the cached satrec from propagation.js; call geodetic() directly to get the typed error on failure.
  * @param {Object} satellite - The satellite object (either Celestrak JSON format or custom format with TLE lines)
  * @param {Date} time - The time for which to calculate the position
  * @returns {Object|null} The calculated position {lat, lng, alt, velocity, time} or null if calculation fails
@@ -11,112 +12,346 @@ function calculateSatellitePosition(satellite, time) {
         // console.error('[calcPos] Satellite data or satellite.js library not available');
         throw new Error('Satellite data or satellite.js library not available');
     }
-    
-    let satrec;
-    let tleSource = 'Unknown';
 
     try {
-        // Check if TLE is embedded in the satellite object (custom satellite)
-        if (satellite.TLE_LINE1 && satellite.TLE_LINE2 && 
-            typeof satellite.TLE_LINE1 === 'string' && satellite.TLE_LINE1.length === 69 &&
-            typeof satellite.TLE_LINE2 === 'string' && satellite.TLE_LINE2.length === 69 &&
-            satellite.TLE_LINE1.startsWith('1 ') && satellite.TLE_LINE2.startsWith('2 ')) {
-            
-            // console.log('[calcPos] Using embedded TLE data');
-            tleSource = 'Embedded';
-            satrec = window.satellite.twoline2satrec(satellite.TLE_LINE1, satellite.TLE_LINE2);
-
-        } else if (satellite.OBJECT_NAME && satellite.NORAD_CAT_ID && satellite.EPOCH && satellite.MEAN_MOTION) {
-            // If not embedded, assume Celestrak JSON format and use json2satrec
-            // console.log('[calcPos] Using Celestrak JSON data');
-            tleSource = 'Celestrak JSON';
-            
-            // Prepare JSON object for json2satrec (ensure required fields are present and parsed)
-            const satJson = {
-                OBJECT_NAME: satellite.OBJECT_NAME,
-                OBJECT_ID: satellite.OBJECT_ID || satellite.INTL_DES || 'UNKNOWN', // Handle potential missing fields
-                EPOCH: satellite.EPOCH,
-                MEAN_MOTION: parseFloat(satellite.MEAN_MOTION),
-                ECCENTRICITY: parseFloat(satellite.ECCENTRICITY),
-                INCLINATION: parseFloat(satellite.INCLINATION),
-                RA_OF_ASC_NODE: parseFloat(satellite.RA_OF_ASC_NODE),
-                ARG_OF_PERICENTER: parseFloat(satellite.ARG_OF_PERICENTER),
-                MEAN_ANOMALY: parseFloat(satellite.MEAN_ANOMALY),
-                EPHEMERIS_TYPE: satellite.EPHEMERIS_TYPE || 0,
-                CLASSIFICATION_TYPE: satellite.CLASSIFICATION_TYPE || "U",
-                NORAD_CAT_ID: parseInt(satellite.NORAD_CAT_ID),
-                ELEMENT_SET_NO: satellite.ELEMENT_SET_NO || 999,
-                REV_AT_EPOCH: satellite.REV_AT_EPOCH || 0,
-                BSTAR: satellite.BSTAR || 0.0001, // Use a default BSTAR if missing
-                MEAN_MOTION_DOT: satellite.MEAN_MOTION_DOT || 0,
-                MEAN_MOTION_DDOT: satellite.MEAN_MOTION_DDOT || 0
-            };
-
-            // Validate necessary fields for json2satrec
-            if (isNaN(satJson.NORAD_CAT_ID) || isNaN(satJson.MEAN_MOTION) || !satJson.EPOCH) {
-                // console.error('[calcPos] Missing critical data for json2satrec:', satJson);
-                 throw new Error('Incomplete Celestrak JSON data for position calculation');
-            }
+        return geodetic(satellite, time);
+    } catch (error) {
+        if (!(error instanceof PropagationError)) throw error;
+        // console.warn(`[calcPos] ${error.name} for ${satellite?.OBJECT_NAME || 'Unknown'}: ${error.message}`);
+        return null;
+    }
+}
 
-            satrec = window.satellite.json2satrec(satJson);
+// Constants for orbit sampling
+const ORBIT_SAMPLES_PER_REV = 120; // Samples per revolution (3° steps in eccentric anomaly)
+const TRACK_POLE_CROSSING_DEG = 90; // A longitude jump larger than this between samples means passing over a pole
 
-        } else {
-            // console.error('[calcPos] Satellite object format not recognized:', satellite);
-            throw new Error('Satellite object format not recognized or missing required data.');
-        }
+// Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly (radians)
+function solveKeplerEquation(meanAnomaly, eccentricity) {
+    let eccentricAnomaly = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+    for (let i = 0; i < 30; i++) {
+        const delta = (eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly) - meanAnomaly) /
+            (1 - eccentricity * Math.cos(eccentricAnomaly));
+        eccentricAnomaly -= delta;
+        if (Math.abs(delta) < 1e-10) break;
+    }
+    return eccentricAnomaly;
+}
 
-        // Validate satrec creation
-        if (!satrec) {
-            throw new Error(`Failed to create satellite record (Source: ${tleSource}) - satrec is null/undefined.`);
-        }
-        if (satrec.error !== 0) {
-            throw new Error(`Satellite record creation error (Source: ${tleSource}): ${satrec.error}`);
+/**
+ * Sample times for drawing a satellite's orbit
+ * Steps are even in eccentric anomaly, so samples bunch up in time near perigee where the satellite moves
+ * fastest and spread out near apogee (near-circular orbits get even time steps).
+ * @param {Object} satellite - The satellite object
+ * @param {Date} centerTime - Time the past and future revolutions are counted from
+ * @param {number} [periodMinutes] - Orbital period in minutes; omit to use the mean motion of the elements
+ * @param {number} pastRevs - Revolutions to cover before centerTime
+ * @param {number} futureRevs - Revolutions to cover after centerTime
+ * @param {number} [samplesPerRev=ORBIT_SAMPLES_PER_REV] - Samples per revolution
+ * @returns {Array<number>} Ascending sample times in milliseconds (centerTime included)
+ * @throws {PropagationError} When the satellite's elements cannot be read
+ */
+function calculateOrbitSampleTimes(satellite, centerTime, periodMinutes, pastRevs, futureRevs, samplesPerRev = ORBIT_SAMPLES_PER_REV) {
+    const satrec = getSatrec(satellite);
+    const eccentricity = satrec.ecco;
+    // Fall back to the period from the elements when none is given
+    const meanMotion = periodMinutes > 0 ? 2 * Math.PI / periodMinutes : satrec.no; // rad/min
+    const epochMs = (satrec.jdsatepoch - 2440587.5) * 86400000; // jdsatepoch is the full Julian date
+    const centerMs = centerTime.getTime();
+
+    // Mean and eccentric anomaly at centerTime (drag is ignored; this only places the samples)
+    const meanAnomaly = satrec.mo + satrec.no * (centerMs - epochMs) / 60000;
+    const centerEccentric = solveKeplerEquation(meanAnomaly % (2 * Math.PI), eccentricity);
+    const centerMean = centerEccentric - eccentricity * Math.sin(centerEccentric);
+
+    const stepEccentric = 2 * Math.PI / samplesPerRev;
+    const times = [];
+    const first = -Math.round(pastRevs * samplesPerRev);
+    const last = Math.round(futureRevs * samplesPerRev);
+    for (let i = first; i <= last; i++) {
+        const eccentricAnomaly = centerEccentric + i * stepEccentric;
+        const mean = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly);
+        times.push(centerMs + (mean - centerMean) / meanMotion * 60000);
+    }
+    return times;
+}
+
+/**
+ * Sample the sub-satellite track with the time, altitude and shadow state of every point
+ * @param {Object} satellite - The satellite object
+ * @param {Array<number>} times - Sample times in milliseconds (e.g. from calculateOrbitSampleTimes)
+ * @returns {Array} Samples {time, lat, lng, alt, eclipse} (time in ms; points that fail to propagate are left out)
+ */
+function calculateTrackSamples(satellite, times) {
+    const samples = [];
+    times.forEach(timeMs => {
+        const time = new Date(timeMs);
+        try {
+            const state = propagate(satellite, time);
+            const { lat, lng, alt } = geodeticFromState(satellite, state, time);
+            samples.push({
+                time: timeMs,
+                lat: lat,
+                lng: lng,
+                alt: alt,
+                eclipse: calculateEclipseState(state.position, calculateSunPositionEci(time))
+            });
+        } catch (error) {
+            if (!(error instanceof PropagationError)) throw error;
         }
-        // console.log(`[calcPos] Successfully created satrec from ${tleSource} data.`);
-
-        // Calculate position using propagate (handles time conversion internally)
-        const positionAndVelocity = window.satellite.propagate(satrec, time); 
-        
-        if (!positionAndVelocity || !positionAndVelocity.position || !positionAndVelocity.velocity) {
-            // console.warn(`[calcPos] Propagation failed for time: ${time.toISOString()} (Source: ${tleSource}). Might be due to expired TLE or time mismatch.`);
-            return null; 
+    });
+    return samples;
+}
+
+/**
+ * Point part-way between two neighbouring track samples
+ * @param {Object} before - Earlier sample {time, lat, lng, alt, eclipse}
+ * @param {Object} after - Later sample
+ * @param {number} fraction - 0 at the earlier sample, 1 at the later one
+ * @returns {Object} Interpolated sample (longitude takes the short way across the antimeridian)
+ */
+function interpolateTrackSample(before, after, fraction) {
+    const deltaLng = ((after.lng - before.lng + 540) % 360) - 180;
+    const lng = before.lng + deltaLng * fraction;
+    return {
+        time: before.time + (after.time - before.time) * fraction,
+        lat: before.lat + (after.lat - before.lat) * fraction,
+        lng: ((lng + 540) % 360) - 180,
+        alt: before.alt + (after.alt - before.alt) * fraction,
+        eclipse: fraction < 0.5 ? before.eclipse : after.eclipse
+    };
+}
+
+/**
+ * Split track samples into drawable segments
+ * A segment ends on the map edge where the track crosses the antimeridian (the crossing latitude is
+ * interpolated) and at the pole where it passes over one, then continues from the other side. With
+ * splitByEclipse, segments also break where the shadow state changes, repeating the boundary point so
+ * the line stays continuous.
+ * @param {Array} samples - Samples from calculateTrackSamples
+ * @param {boolean} [splitByEclipse=true] - Start a new segment when the shadow state changes
+ * @returns {Array} Segments {eclipse, points} with points as [lat, lng] pairs (Leaflet polyline order)
+ */
+function splitTrackSamples(samples, splitByEclipse = true) {
+    const segments = [];
+    let current = null;
+    let prev = null;
+    const startSegment = (eclipse, points) => {
+        current = { eclipse: eclipse, points: points };
+        segments.push(current);
+    };
+
+    samples.forEach(sample => {
+        if (!prev) {
+            startSegment(sample.eclipse, []);
+        } else {
+            const deltaLng = ((sample.lng - prev.lng + 540) % 360) - 180; // Shortest way round
+            if (Math.abs(deltaLng) > TRACK_POLE_CROSSING_DEG) {
+                // Passing over (or next to) a pole: run up to it and come back down on the far side
+                const poleLat = prev.lat + sample.lat >= 0 ? 90 : -90;
+                current.points.push([poleLat, prev.lng]);
+                startSegment(sample.eclipse, [[poleLat, sample.lng]]);
+            } else if (Math.abs(prev.lng + deltaLng) > 180) {
+                // Crossing the antimeridian: end on the map edge and continue from the opposite edge
+                const edgeLng = prev.lng + deltaLng > 180 ? 180 : -180;
+                const edgeLat = prev.lat + (sample.lat - prev.lat) * (edgeLng - prev.lng) / deltaLng;
+                current.points.push([edgeLat, edgeLng]);
+                startSegment(sample.eclipse, [[edgeLat, -edgeLng]]);
+            } else if (splitByEclipse && sample.eclipse !== current.eclipse) {
+                startSegment(sample.eclipse, [[prev.lat, prev.lng]]);
+            }
         }
+        current.points.push([sample.lat, sample.lng]);
+        prev = sample;
+    });
+    return segments;
+}
 
-        // Calculate GMST
-        const gmst = window.satellite.gstime(time); // Use time directly
-        
-        // Convert ECI position to geodetic coordinates
-        const positionGd = window.satellite.eciToGeodetic(positionAndVelocity.position, gmst);
-        
-        // Extract and format results
-        const lat = window.satellite.degreesLat(positionGd.latitude);
-        const lng = window.satellite.degreesLong(positionGd.longitude);
-        const altKm = positionGd.height; // Height is already in km
-        const velocityVec = positionAndVelocity.velocity;
-        const velocityMag = Math.sqrt(
-            velocityVec.x * velocityVec.x + 
-            velocityVec.y * velocityVec.y + 
-            velocityVec.z * velocityVec.z
-        ); // Velocity magnitude in km/s
-
-        // Ensure values are numbers before returning
-        if (isNaN(lat) || isNaN(lng) || isNaN(altKm) || isNaN(velocityMag)) {
-            // console.warn('[calcPos] Calculated position/velocity contains NaN values.');
-             return null;
+/**
+ * Current sub-satellite points of many satellites (used by the category map)
+ * @param {Array} satellites - Satellite objects
+ * @param {Date} time - The time of the positions
+ * @returns {Float32Array} Interleaved [lat, lng] per satellite, NaN where propagation fails
+ */
+function calculateSatellitePositions(satellites, time) {
+    const positions = new Float32Array(satellites.length * 2);
+    satellites.forEach((sat, index) => {
+        const position = calculateSatellitePosition(sat, time);
+        positions[index * 2] = position ? position.lat : NaN;
+        positions[index * 2 + 1] = position ? position.lng : NaN;
+    });
+    return positions;
+}
+
+/**
+ * Point reached from a start point along a great circle on a spherical Earth
+ * @param {number} lat - Start latitude in degrees
+ * @param {number} lng - Start longitude in degrees
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @param {number} angularDistance - Distance as an Earth-central angle in degrees
+ * @returns {Array} [lat, lng] in degrees (longitude in -180 to 180)
+ */
+function calculateDestinationPoint(lat, lng, bearing, angularDistance) {
+    const deg2rad = Math.PI / 180;
+    const lat1 = lat * deg2rad;
+    const theta = bearing * deg2rad;
+    const delta = angularDistance * deg2rad;
+
+    const sinLat2 = Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta);
+    const lat2 = Math.asin(Math.max(-1, Math.min(1, sinLat2)));
+    const lng2 = lng * deg2rad + Math.atan2(
+        Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+        Math.cos(delta) - Math.sin(lat1) * sinLat2
+    );
+    const lngDeg = ((lng2 / deg2rad + 540) % 360) - 180;
+    return [lat2 / deg2rad, lngDeg];
+}
+
+/**
+ * Turn a closed ring of [lat, lng] points drawn around a centre into a ring Leaflet can fill
+ * Longitudes are unwrapped so the ring never jumps at the antimeridian (values may go past ±180),
+ * and a ring that encircles a pole is closed along the map edge through that pole.
+ * @param {Array} points - Ring points in order around the centre (not repeated at the end)
+ * @param {number} centerLat - Latitude of the centre in degrees (picks the pole to close through)
+ * @returns {Array} Ring of [lat, lng] pairs
+ */
+function unwrapRing(points, centerLat) {
+    const ring = [];
+    points.forEach(([lat, lng]) => {
+        if (ring.length > 0) {
+            const prevLng = ring[ring.length - 1][1];
+            lng += Math.round((prevLng - lng) / 360) * 360; // Nearest copy of the longitude
         }
+        ring.push([lat, lng]);
+    });
+    if (ring.length < 3) return ring;
 
-        return {
-            lat: lat,
-            lng: lng,
-            alt: altKm, // Already in km
-            velocity: velocityMag, // Already in km/s
-            time: time
-        };
-        
-    } catch (error) {
-        // console.error(`[calcPos] Error calculating position for ${satellite?.OBJECT_NAME || 'Unknown'}:`, error);
-        return null; 
+    // Going once around a pole leaves the longitude 360° away from where it started
+    const winding = ring[ring.length - 1][1] - ring[0][1];
+    if (Math.abs(winding) < 180) return ring;
+
+    const poleLat = centerLat >= 0 ? 90 : -90;
+    const first = ring[0];
+    const closingLng = first[1] + Math.sign(winding) * 360; // Longitude of the first point after one turn
+    // Finish the turn at the first point's latitude, then run along the pole back to the start
+    ring.push([first[0], closingLng]);
+    ring.push([poleLat, closingLng]);
+    ring.push([poleLat, first[1]]);
+    return ring;
+}
+
+// --- Footprint Geometry --- //
+
+// Constants for footprints (spherical Earth)
+const FOOTPRINT_EARTH_RADIUS_KM = 6371;
+const FOOTPRINT_POINTS = 120; // Outline vertices (3° steps around the sensor cone)
+
+// Initial great-circle bearing from one point to another, in degrees clockwise from north
+function calculateInitialBearing(lat1, lng1, lat2, lng2) {
+    const deg2rad = Math.PI / 180;
+    const phi1 = lat1 * deg2rad;
+    const phi2 = lat2 * deg2rad;
+    const deltaLng = (lng2 - lng1) * deg2rad;
+    const y = Math.sin(deltaLng) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLng);
+    return (Math.atan2(y, x) / deg2rad + 360) % 360;
+}
+
+// Direction of flight over the ground (degrees from north) at a time
+function calculateSatelliteHeading(satellite, time) {
+    const now = geodetic(satellite, time);
+    const later = geodetic(satellite, new Date(time.getTime() + 1000));
+    return calculateInitialBearing(now.lat, now.lng, later.lat, later.lng);
+}
+
+/**
+ * Half-angle (degrees from the boresight) of the cone a footprint is cut from
+ * @param {number} altitude - Satellite altitude in km
+ * @param {Object} [options] - One of halfAngle (degrees), swathWidth (km, measured on the ground
+ *     for nadir pointing) or minElevation (degrees, default 0 = horizon)
+ * @returns {number} The half-angle in degrees
+ */
+function calculateFootprintHalfAngle(altitude, options = {}) {
+    const radius = FOOTPRINT_EARTH_RADIUS_KM;
+    const deg2rad = Math.PI / 180;
+    if (options.halfAngle > 0) {
+        return options.halfAngle;
+    }
+    if (options.swathWidth > 0) {
+        const centralAngle = options.swathWidth / 2 / radius;
+        return Math.atan2(radius * Math.sin(centralAngle), radius + altitude - radius * Math.cos(centralAngle)) / deg2rad;
+    }
+    // Seen from the satellite, ground at elevation e lies asin(R cos e / (R + h)) off nadir
+    const minElevation = Math.max(0, Math.min(90, options.minElevation || 0));
+    return Math.asin(radius * Math.cos(minElevation * deg2rad) / (radius + altitude)) / deg2rad;
+}
+
+/**
+ * Outline of the ground area a satellite covers, as a geodesic polygon
+ * Rays around a cone (tilted off nadir when pointing) are intersected with the Earth;
+ * rays that miss it are held at the horizon. The nadir cone of a minimum elevation gives
+ * the familiar coverage circle.
+ * @param {Object} position - Sub-satellite point {lat, lng, alt} (degrees, km)
+ * @param {Object} [options] - Footprint options
+ * @param {number} [options.minElevation] - Minimum elevation at the ground in degrees (coverage footprint)
+ * @param {number} [options.halfAngle] - Sensor half-angle in degrees (overrides minElevation)
+ * @param {number} [options.swathWidth] - Sensor swath width in km (overrides minElevation)
+ * @param {number} [options.offNadir] - Sensor tilt from nadir in degrees
+ * @param {number} [options.pointingAzimuth] - Direction of the tilt in degrees clockwise from north
+ * @param {number} [options.numPoints] - Number of outline vertices
+ * @returns {Array} Ring of [lat, lng] pairs as returned by unwrapRing (empty for a non-positive altitude)
+ */
+function calculateFootprintRing(position, options = {}) {
+    if (!(position.alt > 0)) return [];
+    const deg2rad = Math.PI / 180;
+    const radius = FOOTPRINT_EARTH_RADIUS_KM;
+    const distance = radius + position.alt; // From the Earth's centre
+    const limbAngle = Math.acos(radius / distance) / deg2rad; // Central angle to the horizon
+    const halfAngle = calculateFootprintHalfAngle(position.alt, options) * deg2rad;
+    const offNadir = Math.max(0, Math.min(89, options.offNadir || 0)) * deg2rad;
+    const pointingAzimuth = (options.pointingAzimuth || 0) * deg2rad;
+    const numPoints = options.numPoints || FOOTPRINT_POINTS;
+
+    // Local frame at the sub-satellite point: x north, y east, z up; the satellite is at (0, 0, distance)
+    const boresight = [
+        Math.sin(offNadir) * Math.cos(pointingAzimuth),
+        Math.sin(offNadir) * Math.sin(pointingAzimuth),
+        -Math.cos(offNadir)
+    ];
+    // Two unit vectors perpendicular to the boresight (and to each other)
+    const across = [
+        Math.cos(offNadir) * Math.cos(pointingAzimuth),
+        Math.cos(offNadir) * Math.sin(pointingAzimuth),
+        Math.sin(offNadir)
+    ];
+    const along = [-Math.sin(pointingAzimuth), Math.cos(pointingAzimuth), 0];
+
+    const points = [];
+    for (let i = 0; i < numPoints; i++) {
+        const phi = 2 * Math.PI * i / numPoints;
+        const ray = [0, 1, 2].map(k => Math.cos(halfAngle) * boresight[k] +
+            Math.sin(halfAngle) * (Math.cos(phi) * across[k] + Math.sin(phi) * along[k]));
+
+        // Intersect distance * z + t * ray with the sphere: t^2 + 2 t (distance * rayZ) + distance^2 - R^2 = 0
+        const b = distance * ray[2];
+        const discriminant = b * b - (distance * distance - radius * radius);
+        let azimuth;
+        let centralAngle;
+        if (discriminant >= 0 && -b - Math.sqrt(discriminant) > 0) {
+            const t = -b - Math.sqrt(discriminant);
+            const ground = [t * ray[0], t * ray[1], distance + t * ray[2]];
+            azimuth = Math.atan2(ground[1], ground[0]) / deg2rad;
+            centralAngle = Math.atan2(Math.hypot(ground[0], ground[1]), ground[2]) / deg2rad;
+        } else {
+            azimuth = Math.atan2(ray[1], ray[0]) / deg2rad; // Past the limb: stop at the horizon
+            centralAngle = limbAngle;
+        }
+        points.push(calculateDestinationPoint(position.lat, position.lng, azimuth, centralAngle));
     }
+
+    // A footprint around a pole is closed through the pole on the footprint's side
+    const meanLat = points.reduce((sum, point) => sum + point[0], 0) / points.length;
+    return unwrapRing(points, meanLat);
 }
 
 // Function to calculate if a satellite is likely geostationary
@@ -148,4 +383,14 @@ function isGeostationary(satellite) {
 // Expose functions if using modules or attaching to window
 // Assuming non-module environment based on previous code
 window.calculateSatellitePosition = calculateSatellitePosition;
-window.isGeostationary = isGeostationary; // Expose the new function
\ No newline at end of file
+window.isGeostationary = isGeostationary; // Expose the new function
+window.calculateOrbitSampleTimes = calculateOrbitSampleTimes;
+window.calculateSatellitePositions = calculateSatellitePositions;
+window.calculateTrackSamples = calculateTrackSamples;
+window.splitTrackSamples = splitTrackSamples;
+window.interpolateTrackSample = interpolateTrackSample;
+window.calculateDestinationPoint = calculateDestinationPoint;
+window.unwrapRing = unwrapRing;
+window.calculateSatelliteHeading = calculateSatelliteHeading;
+window.calculateFootprintHalfAngle = calculateFootprintHalfAngle;
+window.calculateFootprintRing = calculateFootprintRing;
\ No newline at end of file
@@ -0,0 +1,110 @@
+// calendar.js - Exports predicted passes as an iCalendar (RFC 5545) file
+
+// Constants for iCalendar output
+const ICS_LINE_BREAK = '\r\n'; // RFC 5545 requires CRLF line endings
+const ICS_MAX_LINE_OCTETS = 75; // Longer content lines must be folded
+const ICS_PRODUCT_ID = '-//SatTank//Pass Predictions//EN';
+
+// Format a Date as an iCalendar UTC date-time, e.g. 20250416T091200Z
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape TEXT values (backslash, semicolon, comma and newlines)
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line at 75 octets, continuing with a leading space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let lineOctets = 0;
+    for (const character of line) {
+        const characterOctets = encoder.encode(character).length;
+        if (lineOctets + characterOctets > ICS_MAX_LINE_OCTETS) {
+            folded += ICS_LINE_BREAK + ' ';
+            lineOctets = 1; // The leading space counts towards the next line
+        }
+        folded += character;
+        lineOctets += characterOctets;
+    }
+    return folded;
+}
+
+// Plain-text pass direction (pass.js returns it with an HTML arrow entity)
+function formatPassDirectionText(direction) {
+    return String(direction || 'Unknown').replace(/&rarr;/g, '→');
+}
+
+/**
+ * Build an iCalendar document with one VEVENT per pass
+ * @param {Array} passes - Passes from calculatePasses
+ * @param {Object} satellite - The satellite object (OBJECT_NAME, NORAD_CAT_ID)
+ * @param {Object} [options] - Export options
+ * @param {number} [options.reminderMinutes] - Minutes before AOS for a VALARM reminder (0 or omitted for none)
+ * @param {Object} [options.observer] - Observer {latitude, longitude} used as the event location
+ * @returns {string} The .ics file content
+ */
+function createPassCalendar(passes, satellite, options = {}) {
+    const satName = satellite.OBJECT_NAME || `Satellite ${satellite.NORAD_CAT_ID}`;
+    const noradId = satellite.NORAD_CAT_ID;
+    const reminderMinutes = options.reminderMinutes > 0 ? Math.round(options.reminderMinutes) : 0;
+    const dtStamp = formatIcsDate(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(`${satName} passes`)}`
+    ];
+
+    passes.forEach(pass => {
+        const direction = formatPassDirectionText(pass.direction);
+        const maxElevation = `${pass.maxElevation.toFixed(1)}°`;
+        const descriptionLines = [
+            `Satellite: ${satName}`,
+            `NORAD ID: ${noradId}`,
+            `AOS: ${pass.startTime.toISOString()}`,
+            pass.tca ? `TCA: ${pass.tca.toISOString()}` : null,
+            `LOS: ${pass.endTime.toISOString()}`,
+            `Max elevation: ${maxElevation}`,
+            `Direction: ${direction}`,
+            pass.visibility ? `Visibility: ${pass.visibility}` : null
+        ].filter(Boolean);
+
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${noradId}-${formatIcsDate(pass.startTime)}@sattank`);
+        lines.push(`DTSTAMP:${dtStamp}`);
+        lines.push(`DTSTART:${formatIcsDate(pass.startTime)}`);
+        lines.push(`DTEND:${formatIcsDate(pass.endTime)}`);
+        lines.push(`SUMMARY:${escapeIcsText(`${satName} pass (max ${maxElevation}, ${direction})`)}`);
+        lines.push(`DESCRIPTION:${escapeIcsText(descriptionLines.join('\n'))}`);
+        if (options.observer) {
+            const { latitude, longitude } = options.observer;
+            lines.push(`GEO:${latitude.toFixed(6)};${longitude.toFixed(6)}`);
+            lines.push(`LOCATION:${escapeIcsText(`${latitude.toFixed(4)}, ${longitude.toFixed(4)}`)}`);
+        }
+        lines.push('TRANSP:TRANSPARENT');
+        if (reminderMinutes > 0) {
+            lines.push('BEGIN:VALARM');
+            lines.push('ACTION:DISPLAY');
+            lines.push(`DESCRIPTION:${escapeIcsText(`${satName} pass in ${reminderMinutes} minutes`)}`);
+            lines.push(`TRIGGER:-PT${reminderMinutes}M`);
+            lines.push('END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join(ICS_LINE_BREAK) + ICS_LINE_BREAK;
+}
+
+// Expose functions globally (non-module environment)
+window.createPassCalendar = createPassCalendar;
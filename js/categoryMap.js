@@ -0,0 +1,234 @@
+// categoryMap.js - Live map of every satellite in the selected category (index page)
+
+// Constants for the category map
+const CATEGORY_MAP_UPDATE_MS = 1000; // Position refresh interval
+const CATEGORY_MAP_DOT_RADIUS = 2.5; // Dot radius in CSS pixels
+const CATEGORY_MAP_HIT_RADIUS = 6; // Click/hover tolerance in CSS pixels
+
+let categoryLeafletMap = null; // Leaflet map instance (created the first time the map view is shown)
+let categoryMapTileLayer = null;
+let categoryDotLayer = null;
+let categoryMapSatellites = []; // Satellites currently plotted
+let categoryMapIntervalId = null;
+let categoryMapRequestController = null; // AbortController of the position job in flight
+
+/**
+ * Leaflet layer drawing all satellites as dots on a single canvas
+ * One canvas redraw per update keeps thousands of objects (e.g. Starlink) smooth,
+ * where one marker per satellite would not be.
+ */
+const SatelliteDotLayer = L.Layer.extend({
+    initialize: function (options) {
+        L.setOptions(this, options);
+        this._positions = new Float32Array(0);
+    },
+
+    onAdd: function (map) {
+        this._canvas = L.DomUtil.create('canvas', 'satellite-dot-layer');
+        map.getContainer().appendChild(this._canvas);
+        map.on('move zoom resize viewreset', this._redraw, this);
+        this._resize();
+        this._redraw();
+    },
+
+    onRemove: function (map) {
+        map.off('move zoom resize viewreset', this._redraw, this);
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+    },
+
+    // positions: Float32Array of interleaved [lat, lng] (NaN for satellites that could not be propagated)
+    setPositions: function (positions) {
+        this._positions = positions;
+        this._redraw();
+    },
+
+    setColor: function (color) {
+        this.options.color = color;
+        this._redraw();
+    },
+
+    // Index of the satellite closest to a container point, or -1 if none is within the hit radius
+    findNearest: function (containerPoint) {
+        let nearestIndex = -1;
+        let nearestDistance = CATEGORY_MAP_HIT_RADIUS;
+        for (let i = 0; i < this._positions.length / 2; i++) {
+            const lat = this._positions[i * 2];
+            const lng = this._positions[i * 2 + 1];
+            if (isNaN(lat) || isNaN(lng)) continue;
+            const point = this._map.latLngToContainerPoint([lat, lng]);
+            const distance = point.distanceTo(containerPoint);
+            if (distance <= nearestDistance) {
+                nearestDistance = distance;
+                nearestIndex = i;
+            }
+        }
+        return nearestIndex;
+    },
+
+    // Match the canvas to the map size (scaled for high-DPI screens)
+    _resize: function () {
+        const size = this._map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        this._canvas.width = size.x * ratio;
+        this._canvas.height = size.y * ratio;
+        this._canvas.style.width = `${size.x}px`;
+        this._canvas.style.height = `${size.y}px`;
+    },
+
+    _redraw: function (event) {
+        if (!this._map || !this._canvas) return;
+        if (event && event.type === 'resize') this._resize();
+
+        const ratio = window.devicePixelRatio || 1;
+        const context = this._canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, this._canvas.width, this._canvas.height);
+        context.fillStyle = this.options.color;
+        context.beginPath();
+        for (let i = 0; i < this._positions.length / 2; i++) {
+            const lat = this._positions[i * 2];
+            const lng = this._positions[i * 2 + 1];
+            if (isNaN(lat) || isNaN(lng)) continue;
+            const point = this._map.latLngToContainerPoint([lat, lng]);
+            context.moveTo(point.x + CATEGORY_MAP_DOT_RADIUS, point.y);
+            context.arc(point.x, point.y, CATEGORY_MAP_DOT_RADIUS, 0, Math.PI * 2);
+        }
+        context.fill();
+    }
+});
+
+// Dot color and base map for the current theme
+function getCategoryMapThemeColor(theme) {
+    return theme === 'dark' ? '#50c878' : '#e74c3c';
+}
+
+function updateCategoryMapTheme(theme) {
+    if (!categoryLeafletMap) return;
+    if (categoryMapTileLayer) categoryLeafletMap.removeLayer(categoryMapTileLayer);
+    categoryMapTileLayer = theme === 'dark'
+        ? L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+            subdomains: 'abcd',
+            maxZoom: 13
+        })
+        : L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            subdomains: ['a', 'b', 'c'],
+            maxZoom: 13
+        });
+    categoryMapTileLayer.addTo(categoryLeafletMap);
+    if (categoryDotLayer) categoryDotLayer.setColor(getCategoryMapThemeColor(theme));
+}
+
+// Create the map the first time the map view is opened
+function initCategoryMap() {
+    const theme = document.getElementById('pageBody')?.getAttribute('data-theme') || 'light';
+    categoryLeafletMap = L.map('categoryMapView', {
+        center: [0, 0],
+        zoom: 2,
+        minZoom: 1,
+        maxZoom: 13,
+        zoomAnimation: false // The dot canvas is redrawn after each zoom rather than animated
+    });
+    categoryDotLayer = new SatelliteDotLayer({ color: getCategoryMapThemeColor(theme) }).addTo(categoryLeafletMap);
+    updateCategoryMapTheme(theme);
+
+    const mapContainer = categoryLeafletMap.getContainer();
+    categoryLeafletMap.on('click', (event) => {
+        const index = categoryDotLayer.findNearest(event.containerPoint);
+        if (index === -1) return;
+        const sat = categoryMapSatellites[index];
+        const noradId = parseInt(sat.NORAD_CAT_ID || sat.id, 10);
+        window.location.href = `satPage.html?ID=${encodeURIComponent(noradId)}&name=${encodeURIComponent(sat.OBJECT_NAME || sat.name)}`;
+    });
+    categoryLeafletMap.on('mousemove', (event) => {
+        const index = categoryDotLayer.findNearest(event.containerPoint);
+        mapContainer.style.cursor = index === -1 ? '' : 'pointer';
+        mapContainer.title = index === -1 ? '' : (categoryMapSatellites[index].OBJECT_NAME || categoryMapSatellites[index].name || '');
+    });
+}
+
+// Satellites to plot: the category list, respecting the "Active Only" filter
+function getCategoryMapSatellites() {
+    const satellites = window.currentSatellites || [];
+    if (!document.getElementById('showActiveOnly')?.checked) return satellites;
+    return satellites.filter(sat => activeSatelliteIds.has(parseInt(sat.NORAD_CAT_ID || sat.id, 10)));
+}
+
+// Propagate every plotted satellite in the worker and redraw the dots
+// A tick is skipped while the previous update is still running, unless restart is set (new satellite list)
+async function updateCategoryMapPositions(restart = false) {
+    if (categoryMapRequestController) {
+        if (!restart) return;
+        categoryMapRequestController.abort();
+    }
+    const controller = new AbortController();
+    categoryMapRequestController = controller;
+    const satellites = categoryMapSatellites;
+
+    try {
+        const positions = await runPropagationJob('positions', { satellites: satellites, time: new Date() }, { signal: controller.signal });
+        if (satellites !== categoryMapSatellites || !categoryDotLayer) return; // Category changed meanwhile
+        categoryDotLayer.setPositions(positions);
+        updateCategoryMapStatus(positions);
+    } catch (error) {
+        if (error.name !== 'AbortError') console.warn('[updateCategoryMapPositions] Position update failed:', error);
+    } finally {
+        if (categoryMapRequestController === controller) categoryMapRequestController = null;
+    }
+}
+
+// Show how many satellites are plotted (and how many could not be propagated)
+function updateCategoryMapStatus(positions) {
+    const statusDiv = document.getElementById('categoryMapStatus');
+    if (!statusDiv) return;
+    let plotted = 0;
+    for (let i = 0; i < positions.length; i += 2) {
+        if (!isNaN(positions[i])) plotted++;
+    }
+    const failed = positions.length / 2 - plotted;
+    statusDiv.textContent = `${plotted} satellites plotted` + (failed > 0 ? ` (${failed} could not be propagated)` : '');
+}
+
+// Re-plot after the category or the "Active Only" filter changes
+function refreshCategoryMap() {
+    if (!categoryLeafletMap) return;
+    categoryMapSatellites = getCategoryMapSatellites();
+    categoryDotLayer.setPositions(new Float32Array(0));
+    updateCategoryMapPositions(true);
+}
+
+// Switch between the table and the live map
+function showCategoryMapView(show) {
+    const mapContainer = document.getElementById('categoryMapContainer');
+    const tableContainer = document.getElementById('satelliteTableContainer');
+    document.getElementById('listViewBtn')?.classList.toggle('active', !show);
+    document.getElementById('mapViewBtn')?.classList.toggle('active', show);
+    if (mapContainer) mapContainer.style.display = show ? '' : 'none';
+    if (tableContainer) tableContainer.style.display = show ? 'none' : '';
+
+    if (!show) {
+        clearInterval(categoryMapIntervalId);
+        categoryMapIntervalId = null;
+        if (categoryMapRequestController) categoryMapRequestController.abort();
+        return;
+    }
+    if (!categoryLeafletMap) initCategoryMap();
+    categoryLeafletMap.invalidateSize(); // The container was hidden when the map was created or last resized
+    refreshCategoryMap();
+    if (categoryMapIntervalId === null) {
+        categoryMapIntervalId = setInterval(() => updateCategoryMapPositions(), CATEGORY_MAP_UPDATE_MS);
+    }
+}
+
+// Whether the map view is currently shown
+function isCategoryMapVisible() {
+    return categoryMapIntervalId !== null;
+}
+
+// Expose functions globally (non-module environment)
+window.showCategoryMapView = showCategoryMapView;
+window.refreshCategoryMap = refreshCategoryMap;
+window.updateCategoryMapTheme = updateCategoryMapTheme;
+window.isCategoryMapVisible = isCategoryMapVisible;
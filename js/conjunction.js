@@ -0,0 +1,229 @@
+// conjunction.js - Close-approach (conjunction) screening of one satellite against a catalogue
+
+// Constants for conjunction screening
+const SCREENING_STEP_SECONDS = 60; // Fine sampling step near the primary (at most one approach per step)
+const SCREENING_TIME_TOLERANCE_MS = 1; // Times of closest approach are refined to this precision
+const SCREENING_SHELL_MARGIN_KM = 50; // Slack on the perigee/apogee filter (mean vs. osculating elements, drag)
+const SCREENING_PROGRESS_OBJECTS = 50; // Report progress (and yield) every so many screened objects
+const DEFAULT_SCREENING_DAYS = 3;
+const MAX_SCREENING_DAYS = 7;
+const DEFAULT_SCREENING_DISTANCE_KM = 10;
+const MAX_SCREENING_DISTANCE_KM = 500;
+
+// Perigee/apogee radii and the fastest speed on the orbit, from the mean elements
+function calculateOrbitShell(satrec) {
+    const meanMotion = satrec.no / 60; // rad/s
+    const semiMajorAxis = Math.cbrt(EARTH_GRAVITATIONAL_PARAMETER / (meanMotion * meanMotion));
+    const perigee = semiMajorAxis * (1 - satrec.ecco);
+    return {
+        perigee: perigee,
+        apogee: semiMajorAxis * (1 + satrec.ecco),
+        maxSpeed: Math.sqrt(EARTH_GRAVITATIONAL_PARAMETER * (2 / perigee - 1 / semiMajorAxis)) // Vis-viva at perigee
+    };
+}
+
+// NORAD catalogue number of a catalogue entry (Celestrak JSON or custom format)
+function getCatalogueNumber(entry) {
+    const value = entry.NORAD_CAT_ID ?? entry.id;
+    const number = parseInt(value, 10);
+    return isNaN(number) ? String(value) : number;
+}
+
+// Secondary minus primary state at a time: {position, velocity, range, rangeRate}
+function calculateRelativeState(primaryState, secondaryState) {
+    const position = {
+        x: secondaryState.position.x - primaryState.position.x,
+        y: secondaryState.position.y - primaryState.position.y,
+        z: secondaryState.position.z - primaryState.position.z
+    };
+    const velocity = {
+        x: secondaryState.velocity.x - primaryState.velocity.x,
+        y: secondaryState.velocity.y - primaryState.velocity.y,
+        z: secondaryState.velocity.z - primaryState.velocity.z
+    };
+    const range = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+    const rangeRate = (position.x * velocity.x + position.y * velocity.y + position.z * velocity.z) / range;
+    return { position, velocity, range, rangeRate };
+}
+
+/**
+ * Split a relative position into the primary's radial, in-track and cross-track directions
+ * @param {Object} primaryState - Primary {position, velocity} (km, km/s)
+ * @param {Object} relativePosition - Secondary minus primary position (km)
+ * @returns {Object} {radial, inTrack, crossTrack} in km
+ */
+function calculateRicComponents(primaryState, relativePosition) {
+    const r = primaryState.position;
+    const v = primaryState.velocity;
+    const normalize = (vector) => {
+        const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+        return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+    };
+    const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+    const radialAxis = normalize(r);
+    const crossTrackAxis = normalize(cross(r, v));
+    const inTrackAxis = cross(crossTrackAxis, radialAxis);
+    return {
+        radial: dot(relativePosition, radialAxis),
+        inTrack: dot(relativePosition, inTrackAxis),
+        crossTrack: dot(relativePosition, crossTrackAxis)
+    };
+}
+
+// Bisect the range rate (negative before, positive after) for the time of closest approach
+function refineClosestApproach(primarySatrec, secondarySatrec, fromMs, toMs) {
+    while (toMs - fromMs > SCREENING_TIME_TOLERANCE_MS) {
+        const midMs = (fromMs + toMs) / 2;
+        const time = new Date(midMs);
+        if (calculateRelativeState(propagate(primarySatrec, time), propagate(secondarySatrec, time)).rangeRate < 0) {
+            fromMs = midMs;
+        } else {
+            toMs = midMs;
+        }
+    }
+    return (fromMs + toMs) / 2;
+}
+
+/**
+ * Find every close approach between a secondary and the primary within the window
+ * Far apart, the search jumps ahead by as long as the two cannot close to the threshold; near, it steps by
+ * SCREENING_STEP_SECONDS and brackets each minimum by the range rate turning from closing to opening.
+ * @returns {Array} Conjunctions {tca, missDistance, radial, inTrack, crossTrack, relativeVelocity}
+ * @throws {PropagationError} When either satellite cannot be propagated
+ */
+function screenSecondary(primary, secondarySatrec, secondaryShell, threshold) {
+    const conjunctions = [];
+    const maxClosingSpeed = primary.shell.maxSpeed + secondaryShell.maxSpeed;
+    const stepCount = primary.states.length;
+    let previous = null; // {index, rangeRate} of the previous fine sample
+    let index = 0;
+    while (index < stepCount) {
+        const primaryState = primary.states[index];
+        const time = new Date(primary.startMs + index * SCREENING_STEP_SECONDS * 1000);
+        const relative = calculateRelativeState(primaryState, propagate(secondarySatrec, time));
+
+        const safeSteps = Math.floor((relative.range - threshold) / maxClosingSpeed / SCREENING_STEP_SECONDS);
+        if (safeSteps > 1) {
+            // Cannot come within the threshold before then
+            previous = null;
+            index += safeSteps;
+            continue;
+        }
+
+        if (previous && previous.rangeRate < 0 && relative.rangeRate >= 0) {
+            const tcaMs = refineClosestApproach(primary.satrec, secondarySatrec,
+                primary.startMs + previous.index * SCREENING_STEP_SECONDS * 1000, time.getTime());
+            const tca = new Date(tcaMs);
+            const primaryAtTca = propagate(primary.satrec, tca);
+            const atTca = calculateRelativeState(primaryAtTca, propagate(secondarySatrec, tca));
+            if (atTca.range <= threshold) {
+                const { radial, inTrack, crossTrack } = calculateRicComponents(primaryAtTca, atTca.position);
+                const { x, y, z } = atTca.velocity;
+                conjunctions.push({
+                    tca: tca,
+                    missDistance: atTca.range,
+                    radial: radial,
+                    inTrack: inTrack,
+                    crossTrack: crossTrack,
+                    relativeVelocity: Math.sqrt(x * x + y * y + z * z)
+                });
+            }
+        }
+        previous = { index: index, rangeRate: relative.rangeRate };
+        index++;
+    }
+    return conjunctions;
+}
+
+/**
+ * Screen a primary satellite against a catalogue for close approaches
+ * @param {Object} satellite - The primary satellite object
+ * @param {Array} catalogue - Satellite objects to screen against (duplicates and the primary itself are skipped)
+ * @param {Object} [options] - Screening options
+ * @param {Date} [options.start] - Start of the window (defaults to now)
+ * @param {number} [options.days] - Length of the window in days (defaults to DEFAULT_SCREENING_DAYS)
+ * @param {number} [options.threshold] - Miss distance to report, in km (defaults to DEFAULT_SCREENING_DISTANCE_KM)
+ * @param {Function} [options.onProgress] - Called with the fraction (0-1) of the catalogue screened so far
+ * @param {AbortSignal} [options.signal] - Aborts the screening (the promise rejects with the signal's reason)
+ * @returns {Promise<Object>} {start, end, threshold, objects, screened, outsideBand, failed, conjunctions}: objects is
+ *     the number of distinct catalogue objects, split into those screened over the window, those skipped because
+ *     their altitude band does not overlap the primary's and those that could not be propagated; conjunctions are
+ *     sorted by TCA, each
+ *     {noradId, name, tca, missDistance, radial, inTrack, crossTrack, relativeVelocity} (km, km/s; RIC in the primary's frame)
+ * @throws {PropagationError} When the primary cannot be propagated over the window
+ */
+async function screenConjunctions(satellite, catalogue, options = {}) {
+    const start = options.start ? new Date(options.start) : new Date();
+    const requestedDays = Number(options.days);
+    const days = requestedDays > 0 ? Math.min(requestedDays, MAX_SCREENING_DAYS) : DEFAULT_SCREENING_DAYS;
+    const requestedThreshold = Number(options.threshold);
+    const threshold = requestedThreshold > 0 ? Math.min(requestedThreshold, MAX_SCREENING_DISTANCE_KM) : DEFAULT_SCREENING_DISTANCE_KM;
+    const startMs = start.getTime();
+    const stepCount = Math.floor(days * 86400 / SCREENING_STEP_SECONDS) + 1;
+
+    // The primary is propagated once over the whole window and shared by every secondary
+    const primarySatrec = getSatrec(satellite);
+    const primary = { satrec: primarySatrec, shell: calculateOrbitShell(primarySatrec), startMs: startMs, states: [] };
+    for (let i = 0; i < stepCount; i++) {
+        primary.states.push(propagate(primarySatrec, new Date(startMs + i * SCREENING_STEP_SECONDS * 1000)));
+    }
+
+    // One entry per catalogue number (the same object appears in several category files)
+    const primaryNumber = getCatalogueNumber(satellite);
+    const secondaries = new Map();
+    catalogue.forEach(entry => {
+        const number = getCatalogueNumber(entry);
+        if (number !== primaryNumber && !secondaries.has(number)) secondaries.set(number, entry);
+    });
+
+    const conjunctions = [];
+    let screened = 0;
+    let outsideBand = 0;
+    let failed = 0;
+    let done = 0;
+    for (const [number, entry] of secondaries) {
+        try {
+            const secondarySatrec = getSatrec(entry);
+            const shell = calculateOrbitShell(secondarySatrec);
+            const margin = threshold + SCREENING_SHELL_MARGIN_KM;
+            // Orbits whose altitude bands do not overlap can never meet
+            if (shell.perigee - margin > primary.shell.apogee || shell.apogee + margin < primary.shell.perigee) {
+                outsideBand++;
+            } else {
+                screenSecondary(primary, secondarySatrec, shell, threshold).forEach(conjunction => {
+                    conjunctions.push({ noradId: number, name: entry.OBJECT_NAME || entry.name || String(number), ...conjunction });
+                });
+                screened++;
+            }
+        } catch (error) {
+            if (!(error instanceof PropagationError)) throw error;
+            failed++; // e.g. decayed within the window
+        }
+
+        done++;
+        if (done % SCREENING_PROGRESS_OBJECTS === 0) {
+            // Yield so progress messages go out and a cancel request can be handled
+            if (options.onProgress) options.onProgress(done / secondaries.size);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (options.signal) options.signal.throwIfAborted();
+        }
+    }
+    if (options.onProgress) options.onProgress(1);
+
+    conjunctions.sort((a, b) => a.tca - b.tca);
+    return {
+        start: start,
+        end: new Date(startMs + (stepCount - 1) * SCREENING_STEP_SECONDS * 1000),
+        threshold: threshold,
+        objects: secondaries.size,
+        screened: screened,
+        outsideBand: outsideBand,
+        failed: failed,
+        conjunctions: conjunctions
+    };
+}
+
+// Expose functions globally (non-module environment)
+window.screenConjunctions = screenConjunctions;
@@ -24,8 +24,8 @@ function parseTLE(name, line1, line2) {
         const epochYear = parseInt(line1.substring(18, 20));
         const epochDay = parseFloat(line1.substring(20, 32));
         const meanMotionDot = parseFloat(line1.substring(33, 43));
-        const meanMotionDDot = parseFloat(line1.substring(44, 52));
-        const bstar = parseFloat(line1.substring(53, 61));
+        const meanMotionDDot = parseTleExponentField(line1.substring(44, 52));
+        const bstar = parseTleExponentField(line1.substring(53, 61));
         const elementSetNo = parseInt(line1.substring(64, 68));
 
         // Parse line 2
@@ -37,21 +37,21 @@ function parseTLE(name, line1, line2) {
         const meanMotion = parseFloat(line2.substring(52, 63));
         const revNum = parseInt(line2.substring(63, 68));
 
-        // Calculate epoch date
+        // Calculate epoch date (the day of year counts from 1 January 00:00 UTC)
         const year = epochYear < 57 ? 2000 + epochYear : 1900 + epochYear;
-        const epochDate = new Date(year, 0, 1);
-        epochDate.setDate(epochDate.getDate() + Math.floor(epochDay) - 1);
-        const hours = (epochDay % 1) * 24;
-        epochDate.setHours(hours);
-        epochDate.setMinutes((hours % 1) * 60);
-        epochDate.setSeconds(((hours % 1) * 60 % 1) * 60);
+
+        // International designator as in OMM, e.g. "98067A" -> "1998-067A"
+        const launchYear = parseInt(intlDes.substring(0, 2), 10);
+        const objectId = isNaN(launchYear) ? intlDes :
+            `${launchYear < 57 ? 2000 + launchYear : 1900 + launchYear}-${intlDes.substring(2)}`;
 
         return {
             NORAD_CAT_ID: satNum1,
             OBJECT_NAME: name,
+            OBJECT_ID: objectId,
             TLE_LINE1: line1,
             TLE_LINE2: line2,
-            EPOCH: epochDate.toISOString(),
+            EPOCH: formatEpochIso(year, epochDay),
             MEAN_MOTION: meanMotion,
             ECCENTRICITY: eccentricity,
             INCLINATION: inclination,
@@ -62,6 +62,7 @@ function parseTLE(name, line1, line2) {
             MEAN_MOTION_DDOT: meanMotionDDot,
             BSTAR: bstar,
             CLASSIFICATION_TYPE: classification,
+            EPHEMERIS_TYPE: parseInt(line1.charAt(62)) || 0,
             ELEMENT_SET_NO: elementSetNo,
             REV_AT_EPOCH: revNum
         };
@@ -71,45 +72,62 @@ function parseTLE(name, line1, line2) {
     }
 }
 
+// Reason a pair of TLE lines is invalid (format, catalogue numbers, checksums), or null when they are valid
+function getTleError(line1, line2) {
+    if (!line1 || !line2 || typeof line1 !== 'string' || typeof line2 !== 'string') {
+        return 'TLE lines must be non-empty strings';
+    }
+
+    // Basic format checks
+    if (!line1.startsWith('1 ') || line1.length !== 69) {
+        return `Invalid TLE line 1 format or length (${line1.length})`;
+    }
+    if (!line2.startsWith('2 ') || line2.length !== 69) {
+        return `Invalid TLE line 2 format or length (${line2.length})`;
+    }
+
+    // Verify satellite numbers match
+    const satNum1 = line1.substring(2, 7).trim();
+    const satNum2 = line2.substring(2, 7).trim();
+    if (satNum1 !== satNum2) {
+        return 'Satellite numbers in TLE lines do not match';
+    }
+
+    // Validate checksums
+    if (!validateChecksum(line1)) {
+        return 'Invalid checksum for TLE line 1';
+    }
+    if (!validateChecksum(line2)) {
+        return 'Invalid checksum for TLE line 2';
+    }
+    return null;
+}
+
+// ISO 8601 UTC time of a year and fractional day of year, to the microsecond like OMM epochs
+// (a Date only keeps milliseconds, which is coarser than the 1e-8 day resolution of a TLE epoch)
+function formatEpochIso(year, dayOfYear) {
+    const day = Math.floor(dayOfYear);
+    const microseconds = Math.round((dayOfYear - day) * 86400e6);
+    const date = new Date(Date.UTC(year, 0, day) + Math.floor(microseconds / 1000));
+    const fraction = String(microseconds % 1000000).padStart(6, '0');
+    return `${date.toISOString().substring(0, 19)}.${fraction}Z`;
+}
+
+// Value of a TLE field with an implied leading decimal point and exponent, e.g. " 27047-3" -> 0.27047e-3
+function parseTleExponentField(field) {
+    const match = field.trim().match(/^([+-]?)(\d+)([+-]\d)$/);
+    if (!match) return parseFloat(field) || 0;
+    return parseFloat(`${match[1]}0.${match[2]}e${match[3]}`);
+}
+
 // Validate TLE format and checksum
 function validateTLE(line1, line2) {
-    // console.log('Validating TLE lines:', { line1, line2 });
-    // console.log('Line types:', { line1Type: typeof line1, line2Type: typeof line2 });
     try {
-        if (!line1 || !line2 || typeof line1 !== 'string' || typeof line2 !== 'string') {
-            console.error('Invalid TLE input: lines must be non-empty strings');
-            return false;
-        }
-        
-        // Basic format checks
-        if (!line1.startsWith('1 ') || line1.length !== 69) {
-             console.error(`Invalid TLE line 1 format or length (${line1.length}): ${line1}`);
-            return false;
-        }
-        if (!line2.startsWith('2 ') || line2.length !== 69) {
-             console.error(`Invalid TLE line 2 format or length (${line2.length}): ${line2}`);
-            return false;
-        }
-        
-        // Verify satellite numbers match
-        const satNum1 = line1.substring(2, 7).trim();
-        const satNum2 = line2.substring(2, 7).trim();
-        if (satNum1 !== satNum2) {
-            console.error('Satellite numbers in TLE lines do not match');
-            return false;
-        }
-
-        // Validate checksums
-        if (!validateChecksum(line1)) {
-             console.error('Invalid checksum for TLE line 1');
-            return false;
-        }
-        if (!validateChecksum(line2)) {
-             console.error('Invalid checksum for TLE line 2');
+        const error = getTleError(line1, line2);
+        if (error) {
+            console.error(`${error}:`, { line1, line2 });
             return false;
         }
-
-        // console.log('TLE validation successful');
         return true;
     } catch (error) {
          console.error('Error during TLE validation:', error);
@@ -117,6 +135,20 @@ function validateTLE(line1, line2) {
     }
 }
 
+// Modulo-10 checksum of the first 68 characters of a TLE line (digits count their value, minus signs count 1)
+function calculateChecksum(line) {
+    let sum = 0;
+    for (let i = 0; i < 68; i++) {
+        const c = line.charAt(i);
+        if (c === '-') {
+            sum += 1;
+        } else if (c >= '0' && c <= '9') {
+            sum += parseInt(c);
+        }
+    }
+    return sum % 10;
+}
+
 // Validate TLE checksum
 function validateChecksum(line) {
     try {
@@ -125,28 +157,199 @@ function validateChecksum(line) {
             // console.error('Invalid checksum character');
             return false;
         }
-
-        let sum = 0;
-        for (let i = 0; i < 68; i++) {
-            const c = line.charAt(i);
-            if (c === '-') {
-                sum += 1;
-            } else if (c >= '0' && c <= '9') {
-                sum += parseInt(c);
-            }
-        }
-        return (sum % 10) === checksum;
+        return calculateChecksum(line) === checksum;
     } catch (error) {
         // console.error('Error validating checksum:', error);
         return false;
     }
 }
 
+// --- TLE Formatting --- //
+
+// Decimal field with an implied leading point and a one-digit exponent, e.g. 0.00027047 -> " 27047-3" (8 characters)
+function formatTleExponentField(value) {
+    if (!isFinite(value)) throw new Error(`Cannot write ${value} in a TLE exponent field`);
+    if (value === 0) return ' 00000+0';
+    let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+    let mantissa = Math.round(Math.abs(value) / Math.pow(10, exponent) * 1e5);
+    if (mantissa >= 100000) { // Rounded up to the next power of ten
+        mantissa = 10000;
+        exponent++;
+    }
+    if (exponent < -9) return ' 00000+0'; // Too small to write: zero
+    if (exponent > 9) throw new Error(`${value} is too large for a TLE exponent field`);
+    return `${value < 0 ? '-' : ' '}${String(mantissa).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+// First derivative of mean motion / 2 as " .NNNNNNNN" (10 characters, no leading zero)
+function formatTleMeanMotionDot(value) {
+    const text = Math.abs(value).toFixed(8);
+    if (!text.startsWith('0.')) throw new Error(`Mean motion derivative ${value} is too large for a TLE`);
+    return `${value < 0 ? '-' : ' '}${text.substring(1)}`;
+}
+
+// Fixed-point field right-aligned in width characters (throws when the value does not fit)
+function formatTleFixedField(value, width, decimals, label) {
+    const text = Number(value).toFixed(decimals);
+    if (!isFinite(value) || text.length > width) throw new Error(`${label} ${value} does not fit in a TLE`);
+    return text.padStart(width, ' ');
+}
+
+// Epoch as YYDDD.DDDDDDDD from a Date, or from an ISO/OMM epoch string (keeps microseconds, which a Date drops)
+function formatTleEpoch(epoch) {
+    let year;
+    let dayOfYear;
+    const match = typeof epoch === 'string' &&
+        epoch.trim().match(/^(\d{4})-(?:(\d{2})-(\d{2})|(\d{3}))T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)Z?$/);
+    if (match) {
+        year = parseInt(match[1], 10);
+        const dayStart = match[4] ? parseInt(match[4], 10) - 1 :
+            (Date.UTC(year, parseInt(match[2], 10) - 1, parseInt(match[3], 10)) - Date.UTC(year, 0, 1)) / 86400000;
+        const seconds = parseInt(match[5], 10) * 3600 + parseInt(match[6], 10) * 60 + parseFloat(match[7]);
+        dayOfYear = dayStart + 1 + seconds / 86400;
+    } else {
+        const date = epoch instanceof Date ? epoch : new Date(epoch);
+        if (isNaN(date.getTime())) throw new Error(`Invalid epoch: ${epoch}`);
+        year = date.getUTCFullYear();
+        dayOfYear = (date.getTime() - Date.UTC(year, 0, 1)) / 86400000 + 1;
+    }
+    if (year < 1957 || year > 2056) throw new Error(`Epoch year ${year} cannot be written in a TLE (1957-2056)`);
+    return `${String(year % 100).padStart(2, '0')}${dayOfYear.toFixed(8).padStart(12, '0')}`;
+}
+
+// Alpha-5 catalogue numbers: 100000-339999 are written as a letter (A = 10 ... Z = 33, skipping I and O) and 4 digits
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const MAX_NORAD_ID = 339999;
+
+// Five-character TLE catalogue number field for a number (or an alpha-5 string), e.g. 900 -> "00900", 100001 -> "A0001"
+function encodeNoradId(noradId) {
+    const text = String(noradId ?? '').trim().toUpperCase();
+    if (/^[A-HJ-NP-Z]\d{4}$/.test(text)) return text;
+    const number = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+    if (isNaN(number) || number > MAX_NORAD_ID) {
+        throw new Error(`NORAD ID ${text || '(missing)'} does not fit in a TLE (0-${MAX_NORAD_ID} or alpha-5)`);
+    }
+    if (number <= 99999) return String(number).padStart(5, '0');
+    return `${ALPHA5_LETTERS.charAt(Math.floor(number / 10000) - 10)}${String(number % 10000).padStart(4, '0')}`;
+}
+
+// Catalogue number of a TLE field (digits or alpha-5), or NaN when it is neither
+function decodeNoradId(field) {
+    const text = String(field ?? '').trim().toUpperCase();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[A-HJ-NP-Z]\d{4}$/.test(text)) return (ALPHA5_LETTERS.indexOf(text.charAt(0)) + 10) * 10000 + parseInt(text.substring(1), 10);
+    return NaN;
+}
+
+/**
+ * Write TLE lines from OMM-style mean elements (the fields parseTLE returns)
+ * @param {Object} elements - NORAD_CAT_ID (up to 339999, written as alpha-5 above 99999), EPOCH (ISO string or Date), MEAN_MOTION (rev/day), ECCENTRICITY,
+ *     INCLINATION, RA_OF_ASC_NODE, ARG_OF_PERICENTER, MEAN_ANOMALY (deg); optional OBJECT_ID ("1998-067A"),
+ *     CLASSIFICATION_TYPE, EPHEMERIS_TYPE, ELEMENT_SET_NO, REV_AT_EPOCH, BSTAR, MEAN_MOTION_DOT, MEAN_MOTION_DDOT
+ * @returns {Object} {line1, line2} with checksums
+ * @throws {Error} When a value is missing or does not fit its TLE field
+ */
+function formatTLE(elements) {
+    const number = encodeNoradId(elements.NORAD_CAT_ID);
+    const eccentricity = Number(elements.ECCENTRICITY);
+    if (!(eccentricity >= 0 && eccentricity.toFixed(7) < 1)) throw new Error(`Eccentricity ${elements.ECCENTRICITY} is out of range`);
+    // Wrapped after rounding, so 359.99996 is written as 0.0000 rather than 360.0000
+    const angle = (value, label) => {
+        const rounded = Math.round(Number(value) * 1e4) / 1e4;
+        return formatTleFixedField(((rounded % 360) + 360) % 360, 8, 4, label);
+    };
+    const inclination = Number(elements.INCLINATION);
+    if (!(inclination >= 0 && inclination <= 180)) throw new Error(`Inclination ${elements.INCLINATION} is out of range`);
+
+    // International designator: "1998-067A" -> "98067A"
+    const objectId = String(elements.OBJECT_ID || '').trim();
+    const designatorMatch = objectId.match(/^\d{2}(\d{2})-?(\d{3}[A-Z]{0,3})$/);
+    const designator = (designatorMatch ? designatorMatch[1] + designatorMatch[2] : '').padEnd(8, ' ');
+    const classification = String(elements.CLASSIFICATION_TYPE || 'U').charAt(0);
+    const ephemerisType = String(parseInt(elements.EPHEMERIS_TYPE, 10) || 0).charAt(0);
+    const elementSetNo = String((parseInt(elements.ELEMENT_SET_NO, 10) || 999) % 10000).padStart(4, ' ');
+    const revNumber = String((parseInt(elements.REV_AT_EPOCH, 10) || 0) % 100000).padStart(5, ' ');
+
+    const body1 = `1 ${number}${classification} ${designator} ${formatTleEpoch(elements.EPOCH)} ` +
+        `${formatTleMeanMotionDot(Number(elements.MEAN_MOTION_DOT) || 0)} ` +
+        `${formatTleExponentField(Number(elements.MEAN_MOTION_DDOT) || 0)} ` +
+        `${formatTleExponentField(Number(elements.BSTAR) || 0)} ${ephemerisType} ${elementSetNo}`;
+    const body2 = `2 ${number} ${formatTleFixedField(inclination, 8, 4, 'Inclination')} ` +
+        `${angle(elements.RA_OF_ASC_NODE, 'RAAN')} ${eccentricity.toFixed(7).substring(2)} ` +
+        `${angle(elements.ARG_OF_PERICENTER, 'Argument of perigee')} ${angle(elements.MEAN_ANOMALY, 'Mean anomaly')} ` +
+        `${formatTleFixedField(elements.MEAN_MOTION, 11, 8, 'Mean motion')}${revNumber}`;
+    return {
+        line1: `${body1}${calculateChecksum(body1)}`,
+        line2: `${body2}${calculateChecksum(body2)}`
+    };
+}
+
+/**
+ * Build a TLE from Keplerian elements (e.g. the planned orbit of a satellite that has not launched yet)
+ * A semi-major axis is turned into mean motion with Kepler's third law; SGP4 mean elements differ slightly
+ * from osculating ones, so positions are only as good as the planned elements.
+ * @param {Object} elements - The elements
+ * @param {number|string} elements.noradId - Catalogue number (0-339999) or alpha-5 ID
+ * @param {string} [elements.name] - Satellite name (defaults to the catalogue number)
+ * @param {Date|string} elements.epoch - Epoch (ISO strings without a zone are UTC)
+ * @param {number} elements.inclination - Inclination (deg)
+ * @param {number} elements.raan - Right ascension of the ascending node (deg)
+ * @param {number} elements.eccentricity - Eccentricity (0 <= e < 1)
+ * @param {number} elements.argPerigee - Argument of perigee (deg)
+ * @param {number} elements.meanAnomaly - Mean anomaly (deg)
+ * @param {number} [elements.meanMotion] - Mean motion (rev/day); give this or semiMajorAxis
+ * @param {number} [elements.semiMajorAxis] - Semi-major axis (km)
+ * @param {number} [elements.bstar] - B* drag term (1/earth radii, defaults to 0)
+ * @param {string} [elements.intlDesignator] - International designator, e.g. "2026-001A"
+ * @returns {Object} The parseTLE record, ready for saveCustomSatellite
+ * @throws {Error} When an element is missing, out of range or does not fit its TLE field
+ */
+function buildTLE(elements) {
+    const required = ['noradId', 'epoch', 'inclination', 'raan', 'eccentricity', 'argPerigee', 'meanAnomaly'];
+    const missing = required.filter(key => elements[key] === undefined || elements[key] === null || elements[key] === '');
+    if (missing.length > 0) throw new Error(`Missing ${missing.join(', ')}`);
+    ['inclination', 'raan', 'eccentricity', 'argPerigee', 'meanAnomaly'].forEach(key => {
+        if (!isFinite(Number(elements[key]))) throw new Error(`${key} must be a number`);
+    });
+
+    let meanMotion = Number(elements.meanMotion);
+    if (!(meanMotion > 0)) {
+        const semiMajorAxis = Number(elements.semiMajorAxis);
+        if (!(semiMajorAxis > window.satellite.constants.earthRadius)) {
+            throw new Error('Give a mean motion above 0 or a semi-major axis above the Earth radius');
+        }
+        // Kepler's third law with SGP4's (WGS-72) gravitational parameter, rad/s -> rev/day
+        meanMotion = Math.sqrt(window.satellite.constants.mu / Math.pow(semiMajorAxis, 3)) * 86400 / (2 * Math.PI);
+    }
+    if (meanMotion >= 100) throw new Error(`Mean motion ${meanMotion.toFixed(2)} rev/day is too high for a TLE`);
+
+    // Strings without a zone are UTC, like every other epoch in a TLE
+    const epoch = typeof elements.epoch === 'string' && !/(Z|[+-]\d{2}:?\d{2})$/.test(elements.epoch.trim()) ?
+        `${elements.epoch.trim()}Z` : elements.epoch;
+    const { line1, line2 } = formatTLE({
+        NORAD_CAT_ID: elements.noradId,
+        OBJECT_ID: elements.intlDesignator,
+        EPOCH: epoch,
+        MEAN_MOTION: meanMotion,
+        ECCENTRICITY: elements.eccentricity,
+        INCLINATION: elements.inclination,
+        RA_OF_ASC_NODE: elements.raan,
+        ARG_OF_PERICENTER: elements.argPerigee,
+        MEAN_ANOMALY: elements.meanAnomaly,
+        BSTAR: elements.bstar
+    });
+    const name = String(elements.name || '').trim().substring(0, TLE_NAME_MAX_LENGTH) || line1.substring(2, 7);
+    const tleError = getTleError(line1, line2);
+    if (tleError) throw new Error(tleError);
+    return parseTLE(name, line1, line2);
+}
+
 // Load custom satellite data from localStorage
 function loadCustomSatellite(satId) {
     try {
         const customSatellites = JSON.parse(localStorage.getItem('customSatellites') || '[]');
-        const customSat = customSatellites.find(sat => sat.NORAD_CAT_ID === satId);
+        // IDs may differ in leading zeros (e.g. "00900" as saved vs. 900 in a page URL)
+        const customSat = customSatellites.find(sat => normalizeNoradId(sat.NORAD_CAT_ID) === normalizeNoradId(satId));
         
         if (customSat) {
             // Validate the stored TLE data
@@ -206,16 +409,295 @@ function saveCustomSatellite(satelliteData) {
 function isCustomSatellite(satId) {
     try {
         const customSatellites = JSON.parse(localStorage.getItem('customSatellites') || '[]');
-        return customSatellites.some(sat => sat.NORAD_CAT_ID === satId);
+        return customSatellites.some(sat => normalizeNoradId(sat.NORAD_CAT_ID) === normalizeNoradId(satId));
     } catch (error) {
         // console.error('Error checking custom satellite:', error);
         return false;
     }
 }
 
+// --- Bulk TLE Import --- //
+
+const TLE_NAME_MAX_LENGTH = 24; // Name line width in 3LE files (and the add form's limit)
+
+/**
+ * Split 2-line or 3-line element set text (e.g. data/active_tle.dat) into entries
+ * Name lines are optional per entry and may carry the "0 " prefix of Space-Track 3LE files; 2LE entries
+ * are named after their catalogue number.
+ * @param {string} text - Catalogue text
+ * @returns {Array} Entries in file order, each {lineNumber, name, line1, line2, satellite, error}: satellite is the
+ *     parseTLE record, or null with error set when the entry is incomplete or fails validation
+ */
+function parseTleCatalogue(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trimEnd());
+    const isLine1 = (line) => line !== undefined && line.startsWith('1 ');
+    const isLine2 = (line) => line !== undefined && line.startsWith('2 ');
+    const entries = [];
+    let i = 0;
+    while (i < lines.length) {
+        if (!lines[i].trim()) {
+            i++;
+            continue;
+        }
+        const lineNumber = i + 1;
+        let name = null;
+        if (!isLine1(lines[i]) && !isLine2(lines[i])) {
+            name = lines[i].replace(/^0 /, '').trim().substring(0, TLE_NAME_MAX_LENGTH).trim();
+            i++;
+        }
+        const line1 = isLine1(lines[i]) ? lines[i++] : null;
+        const line2 = isLine2(lines[i]) ? lines[i++] : null;
+
+        const entry = { lineNumber, name, line1, line2, satellite: null, error: null };
+        if (!line1 || !line2) {
+            entry.error = !line1 && !line2 ? 'No TLE lines follow this line' : `TLE line ${line1 ? 2 : 1} is missing`;
+        } else {
+            entry.error = getTleError(line1, line2);
+        }
+        if (!entry.error) {
+            if (!entry.name) entry.name = line1.substring(2, 7).trim();
+            try {
+                entry.satellite = parseTLE(entry.name, line1, line2);
+            } catch (error) {
+                entry.error = error.message;
+            }
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// Epoch of TLE line 1 as a sortable number (year * 1000 + day of year)
+function getTleEpochKey(line1) {
+    const twoDigitYear = parseInt(line1.substring(18, 20), 10);
+    const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+    return year * 1000 + parseFloat(line1.substring(20, 32));
+}
+
+/**
+ * Decide what importing each parsed entry does, given the satellites already saved
+ * Entries are applied in file order, so a catalogue number repeated in the text is a duplicate of its
+ * earlier entry too.
+ * @param {Array} entries - Entries from parseTleCatalogue
+ * @param {Array} existingSatellites - Saved custom satellites
+ * @param {string} duplicates - 'skip' keeps what is there, 'overwrite' replaces it, 'newer' keeps the later epoch
+ * @returns {Array} The entries, each with action ('add', 'overwrite', 'skip' or 'invalid') and duplicateOf
+ *     ('saved', 'import' or null)
+ */
+function planTleImport(entries, existingSatellites, duplicates = 'skip') {
+    const known = new Map(); // Catalogue number -> {line1, source}
+    existingSatellites.forEach(sat => {
+        const id = String(sat.NORAD_CAT_ID ?? sat.id ?? '').trim();
+        if (id) known.set(id, { line1: sat.TLE_LINE1, source: 'saved' });
+    });
+
+    return entries.map(entry => {
+        if (!entry.satellite) return { ...entry, action: 'invalid', duplicateOf: null };
+        const id = entry.satellite.NORAD_CAT_ID;
+        const existing = known.get(id);
+        let action = 'add';
+        if (existing) {
+            if (duplicates === 'overwrite') {
+                action = 'overwrite';
+            } else if (duplicates === 'newer' && (typeof existing.line1 !== 'string' ||
+                getTleEpochKey(entry.line1) > getTleEpochKey(existing.line1))) {
+                action = 'overwrite';
+            } else {
+                action = 'skip';
+            }
+        }
+        if (action !== 'skip') known.set(id, { line1: entry.line1, source: 'import' });
+        return { ...entry, action, duplicateOf: existing ? existing.source : null };
+    });
+}
+
+/**
+ * Save the entries an import plan adds or overwrites, with a single localStorage write
+ * The entries' TLE lines were validated when the catalogue was parsed, so they are not checked again here.
+ * @param {Array} plan - Entries from planTleImport
+ * @param {boolean} [replace=false] - Replace the saved satellites instead of merging into them
+ * @returns {number} The number of satellites saved
+ * @throws {Error} When the catalogue cannot be written (e.g. browser storage is full); storage is then unchanged
+ */
+function saveTleImportPlan(plan, replace = false) {
+    // The replacement is built in full before the one write, so a failed write keeps the old catalogue
+    let customSatellites = [];
+    if (!replace) {
+        try {
+            const parsedData = JSON.parse(localStorage.getItem('customSatellites') || '[]');
+            if (Array.isArray(parsedData)) customSatellites = parsedData;
+        } catch (e) {
+            // Unreadable storage is replaced, as saveCustomSatellite does
+        }
+    }
+
+    // Same catalogue-number key as planTleImport
+    const indexById = new Map();
+    customSatellites.forEach((sat, index) => indexById.set(String(sat.NORAD_CAT_ID ?? sat.id ?? '').trim(), index));
+    let saved = 0;
+    plan.forEach(entry => {
+        if (entry.action !== 'add' && entry.action !== 'overwrite') return;
+        const id = entry.satellite.NORAD_CAT_ID;
+        if (indexById.has(id)) {
+            customSatellites[indexById.get(id)] = entry.satellite;
+        } else {
+            indexById.set(id, customSatellites.length);
+            customSatellites.push(entry.satellite);
+        }
+        saved++;
+    });
+
+    try {
+        localStorage.setItem('customSatellites', JSON.stringify(customSatellites));
+    } catch (error) {
+        console.error('[saveTleImportPlan] Could not write the custom satellites:', error);
+        throw new Error(`Could not save the ${saved} imported satellites (browser storage may be full); ` +
+            'the saved custom satellites were left unchanged.');
+    }
+    return saved;
+}
+
+// --- Custom Catalogue Export / Import --- //
+
+const CUSTOM_CATALOGUE_SCHEMA = 'satTank-custom-satellites';
+const CUSTOM_CATALOGUE_VERSION = 1; // Bump when the export format changes in a way older pages cannot read
+
+// Parse the TLE lines of stored satellites, leaving out (and counting) any that are no longer valid
+function parseStoredSatellites(satellites) {
+    const parsed = [];
+    let skipped = 0;
+    satellites.forEach(sat => {
+        const name = sat.OBJECT_NAME || sat.name || '';
+        try {
+            const tleError = getTleError(sat.TLE_LINE1, sat.TLE_LINE2);
+            if (tleError) throw new Error(tleError);
+            parsed.push(parseTLE(name || sat.TLE_LINE1.substring(2, 7).trim(), sat.TLE_LINE1, sat.TLE_LINE2));
+        } catch (error) {
+            console.warn(`[parseStoredSatellites] Leaving out ${name || 'unnamed satellite'}:`, error.message);
+            skipped++;
+        }
+    });
+    return { parsed, skipped };
+}
+
+/**
+ * Custom satellites as a JSON export: OMM-style records (Celestrak JSON field names) with the TLE lines
+ * @param {Array} satellites - Stored custom satellites
+ * @returns {Object} {text, count, skipped}: skipped satellites have invalid TLE lines
+ */
+function exportCustomCatalogueJson(satellites) {
+    const { parsed, skipped } = parseStoredSatellites(satellites);
+    const records = parsed.map(sat => ({
+        OBJECT_NAME: sat.OBJECT_NAME,
+        OBJECT_ID: sat.OBJECT_ID,
+        EPOCH: sat.EPOCH,
+        MEAN_MOTION: sat.MEAN_MOTION,
+        ECCENTRICITY: sat.ECCENTRICITY,
+        INCLINATION: sat.INCLINATION,
+        RA_OF_ASC_NODE: sat.RA_OF_ASC_NODE,
+        ARG_OF_PERICENTER: sat.ARG_OF_PERICENTER,
+        MEAN_ANOMALY: sat.MEAN_ANOMALY,
+        EPHEMERIS_TYPE: sat.EPHEMERIS_TYPE,
+        CLASSIFICATION_TYPE: sat.CLASSIFICATION_TYPE,
+        NORAD_CAT_ID: decodeNoradId(sat.NORAD_CAT_ID), // A number, as in Celestrak JSON (alpha-5 IDs decoded)
+        ELEMENT_SET_NO: sat.ELEMENT_SET_NO,
+        REV_AT_EPOCH: sat.REV_AT_EPOCH,
+        BSTAR: sat.BSTAR,
+        MEAN_MOTION_DOT: sat.MEAN_MOTION_DOT,
+        MEAN_MOTION_DDOT: sat.MEAN_MOTION_DDOT,
+        TLE_LINE1: sat.TLE_LINE1,
+        TLE_LINE2: sat.TLE_LINE2
+    }));
+    const catalogue = {
+        schema: CUSTOM_CATALOGUE_SCHEMA,
+        version: CUSTOM_CATALOGUE_VERSION,
+        exported: new Date().toISOString(),
+        satellites: records
+    };
+    return { text: JSON.stringify(catalogue, null, 2), count: records.length, skipped };
+}
+
+/**
+ * Custom satellites as 3-line element set text (names padded to 24 characters, like data/active_tle.dat)
+ * @param {Array} satellites - Stored custom satellites
+ * @returns {Object} {text, count, skipped}: skipped satellites have invalid TLE lines
+ */
+function exportCustomCatalogueTle(satellites) {
+    const { parsed, skipped } = parseStoredSatellites(satellites);
+    const text = parsed.map(sat =>
+        `${sat.OBJECT_NAME.substring(0, TLE_NAME_MAX_LENGTH).padEnd(TLE_NAME_MAX_LENGTH)}\n${sat.TLE_LINE1}\n${sat.TLE_LINE2}\n`
+    ).join('');
+    return { text, count: parsed.length, skipped };
+}
+
+/**
+ * Read a JSON export made by exportCustomCatalogueJson
+ * @param {string} text - The exported JSON
+ * @returns {Array} Entries shaped like those of parseTleCatalogue, with recordNumber (1-based) instead of lineNumber
+ * @throws {Error} When the text is not a custom catalogue export or has an unsupported schema version
+ */
+function parseCustomCatalogueJson(text) {
+    let catalogue;
+    try {
+        catalogue = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+    if (!catalogue || catalogue.schema !== CUSTOM_CATALOGUE_SCHEMA) {
+        throw new Error('The file is not a custom satellite export (schema is missing or different).');
+    }
+    if (!Number.isInteger(catalogue.version) || catalogue.version < 1) {
+        throw new Error(`The export has an invalid schema version (${catalogue.version}).`);
+    }
+    if (catalogue.version > CUSTOM_CATALOGUE_VERSION) {
+        throw new Error(`The export uses schema version ${catalogue.version}, but this page only reads up to ` +
+            `version ${CUSTOM_CATALOGUE_VERSION}. Update the application to import it.`);
+    }
+    if (!Array.isArray(catalogue.satellites)) {
+        throw new Error('The export has no satellite list.');
+    }
+
+    return catalogue.satellites.map((record, index) => {
+        const entry = {
+            recordNumber: index + 1,
+            lineNumber: null,
+            name: record && typeof record.OBJECT_NAME === 'string' ? record.OBJECT_NAME.trim().substring(0, TLE_NAME_MAX_LENGTH) : null,
+            line1: record ? record.TLE_LINE1 : null,
+            line2: record ? record.TLE_LINE2 : null,
+            satellite: null,
+            error: null
+        };
+        entry.error = getTleError(entry.line1, entry.line2);
+        if (!entry.error) {
+            const number = entry.line1.substring(2, 7).trim();
+            // Exports write the decoded number (100001 for A0001), so compare decoded values
+            if (record.NORAD_CAT_ID !== undefined && decodeNoradId(record.NORAD_CAT_ID) !== decodeNoradId(number)) {
+                entry.error = `NORAD_CAT_ID ${record.NORAD_CAT_ID} does not match the TLE (${number})`;
+            } else {
+                if (!entry.name) entry.name = number;
+                entry.satellite = parseTLE(entry.name, entry.line1, entry.line2);
+            }
+        }
+        return entry;
+    });
+}
+
 // Export functions to global scope
 window.loadCustomSatellite = loadCustomSatellite;
 window.saveCustomSatellite = saveCustomSatellite;
 window.isCustomSatellite = isCustomSatellite;
 window.parseTLE = parseTLE;
-window.validateTLE = validateTLE; 
\ No newline at end of file
+window.validateTLE = validateTLE;
+window.calculateChecksum = calculateChecksum;
+window.formatTLE = formatTLE;
+window.buildTLE = buildTLE;
+window.encodeNoradId = encodeNoradId;
+window.decodeNoradId = decodeNoradId;
+window.getTleError = getTleError;
+window.parseTleCatalogue = parseTleCatalogue;
+window.planTleImport = planTleImport;
+window.saveTleImportPlan = saveTleImportPlan;
+window.exportCustomCatalogueJson = exportCustomCatalogueJson;
+window.exportCustomCatalogueTle = exportCustomCatalogueTle;
+window.parseCustomCatalogueJson = parseCustomCatalogueJson;
+ 
\ No newline at end of file
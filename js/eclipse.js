@@ -0,0 +1,116 @@
+// eclipse.js - Earth shadow entry/exit timeline (umbra/penumbra) for the next orbits
+
+// Constants for the eclipse search
+const ECLIPSE_SEARCH_STEP_SECONDS = 30; // Coarse sampling step (shorter for very short periods)
+const ECLIPSE_TIME_TOLERANCE_MS = 100; // Entry/exit times are refined to this precision
+const DEFAULT_ECLIPSE_ORBITS = 5;
+const MAX_ECLIPSE_ORBITS = 50;
+
+// Shadow state ('sunlit', 'penumbra' or 'umbra') of a satellite at a time
+function getEclipseStateAt(satrec, time) {
+    return calculateEclipseState(propagate(satrec, time).position, calculateSunPositionEci(time));
+}
+
+// Bisect for the first time after fromMs where the state is no longer `state` (it differs at toMs)
+function refineEclipseBoundary(satrec, fromMs, state, toMs) {
+    while (toMs - fromMs > ECLIPSE_TIME_TOLERANCE_MS) {
+        const midMs = (fromMs + toMs) / 2;
+        if (getEclipseStateAt(satrec, new Date(midMs)) === state) {
+            fromMs = midMs;
+        } else {
+            toMs = midMs;
+        }
+    }
+    return toMs;
+}
+
+/**
+ * Calculate when a satellite enters and leaves Earth's shadow over its next orbits
+ * @param {Object} satellite - The satellite object (Celestrak JSON or custom format with TLE lines)
+ * @param {Object} [options] - Search window options
+ * @param {Date} [options.start] - Start of the window (defaults to now)
+ * @param {number} [options.orbits] - Number of orbital periods to cover (defaults to DEFAULT_ECLIPSE_ORBITS)
+ * @returns {Object} {start, end, periodMinutes, intervals, eclipses, sunlitFraction, penumbraFraction, umbraFraction}
+ *     intervals covers the window as [{state, start, end}]; eclipses has one entry per shadow crossing,
+ *     {entry, umbraEntry, umbraExit, exit, duration, umbraDuration} with durations in seconds
+ *     (times outside the window are null)
+ * @throws {PropagationError} When the satellite cannot be propagated over the window
+ */
+function calculateEclipses(satellite, options = {}) {
+    const satrec = getSatrec(satellite);
+    const start = options.start ? new Date(options.start) : new Date();
+    const requestedOrbits = Number(options.orbits);
+    const orbits = requestedOrbits > 0 ? Math.min(requestedOrbits, MAX_ECLIPSE_ORBITS) : DEFAULT_ECLIPSE_ORBITS;
+    const periodMinutes = 2 * Math.PI / satrec.no; // satrec.no is the mean motion in rad/min
+    const startMs = start.getTime();
+    const endMs = startMs + orbits * periodMinutes * 60000;
+    const stepMs = Math.min(ECLIPSE_SEARCH_STEP_SECONDS * 1000, periodMinutes * 60000 / 100);
+
+    // --- Split the window into intervals of constant shadow state ---
+    const intervals = [];
+    let state = getEclipseStateAt(satrec, start);
+    let intervalStartMs = startMs;
+    let prevMs = startMs;
+    while (prevMs < endMs) {
+        const sampleMs = Math.min(prevMs + stepMs, endMs);
+        const sampleState = getEclipseStateAt(satrec, new Date(sampleMs));
+        // Walk through every change between the samples (e.g. sunlit -> penumbra -> umbra)
+        while (sampleState !== state) {
+            const boundaryMs = refineEclipseBoundary(satrec, prevMs, state, sampleMs);
+            intervals.push({ state: state, start: new Date(intervalStartMs), end: new Date(boundaryMs) });
+            state = getEclipseStateAt(satrec, new Date(boundaryMs));
+            intervalStartMs = boundaryMs;
+            prevMs = boundaryMs;
+        }
+        prevMs = sampleMs;
+    }
+    intervals.push({ state: state, start: new Date(intervalStartMs), end: new Date(endMs) });
+
+    // --- Group consecutive shadow intervals into eclipses ---
+    const eclipses = [];
+    let eclipse = null;
+    intervals.forEach((interval, index) => {
+        if (interval.state === 'sunlit') {
+            eclipse = null;
+            return;
+        }
+        const isFirst = index === 0;
+        const isLast = index === intervals.length - 1;
+        if (!eclipse) {
+            eclipse = { entry: isFirst ? null : interval.start, umbraEntry: null, umbraExit: null, exit: null,
+                start: interval.start, end: interval.end, umbraDuration: 0 };
+            eclipses.push(eclipse);
+        }
+        eclipse.end = interval.end;
+        eclipse.exit = isLast ? null : interval.end;
+        if (interval.state === 'umbra') {
+            eclipse.umbraEntry = isFirst ? null : interval.start;
+            eclipse.umbraExit = isLast ? null : interval.end;
+            eclipse.umbraDuration += (interval.end - interval.start) / 1000;
+        }
+    });
+    eclipses.forEach(item => {
+        item.duration = (item.end - item.start) / 1000;
+    });
+
+    // --- Time spent in each state ---
+    const totals = { sunlit: 0, penumbra: 0, umbra: 0 };
+    intervals.forEach(interval => {
+        totals[interval.state] += interval.end - interval.start;
+    });
+    const totalMs = endMs - startMs;
+
+    return {
+        start: start,
+        end: new Date(endMs),
+        periodMinutes: periodMinutes,
+        intervals: intervals,
+        eclipses: eclipses,
+        sunlitFraction: totals.sunlit / totalMs,
+        penumbraFraction: totals.penumbra / totalMs,
+        umbraFraction: totals.umbra / totalMs
+    };
+}
+
+// Expose functions globally (non-module environment)
+window.calculateEclipses = calculateEclipses;
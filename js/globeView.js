@@ -0,0 +1,366 @@
+// globeView.js - 3D globe of the orbit in the inertial (ECI) and Earth-fixed (ECEF) frames (tracking page)
+// Drawn with three.js (WebGL). The scene uses unlit materials and few vertices and is only re-rendered when
+// something changes, so it stays usable on software rendering (e.g. SwiftShader or llvmpipe) without a GPU.
+
+// Constants for the globe view
+const GLOBE_EARTH_RADIUS_KM = 6378.137; // One scene unit is one equatorial radius
+const GLOBE_ORBIT_SAMPLES = 180; // Samples over one revolution
+const GLOBE_GRATICULE_STEP_DEG = 30;
+const GLOBE_MIN_DISTANCE = 1.5; // Camera distance limits in Earth radii
+const GLOBE_MAX_DISTANCE = 40;
+const GLOBE_DRAG_RADIANS_PER_PX = 0.005;
+const GLOBE_THEMES = {
+    dark: { background: 0x121212, earth: 0x1f3a5f, graticule: 0x4a6785 },
+    light: { background: 0xf5f5f5, earth: 0x9cc3e6, graticule: 0x5d7f9e }
+};
+const GLOBE_COLORS = {
+    eciOrbit: 0x50c878,
+    ecefOrbit: 0xe67e22,
+    equator: 0x3498db,
+    primeMeridian: 0xf1c40f,
+    nodes: 0xe74c3c,
+    equinox: 0x9b59b6,
+    satellite: 0xffffff
+};
+
+let globeRenderer = null;
+let globeScene = null;
+let globeCamera = null;
+let globeEarthGroup = null; // Rotated by GMST: Earth, graticule and the Earth-fixed orbit
+let globeObjects = null; // Meshes and lines updated with the satellite
+const globeCameraAngles = { azimuth: 0.8, elevation: 0.4, distance: 5 }; // Relative to the camera frame
+let globeCameraFitted = false; // The distance is fitted to the orbit on the first update
+let globeVisible = false;
+let globeState = null; // Last drawn {gmst}, for redraws after camera or option changes
+
+// ECI/ECEF vector in km -> scene point in Earth radii (three.js is y-up, so ECI z becomes scene y)
+function toGlobePoint(vector) {
+    return new THREE.Vector3(vector.x / GLOBE_EARTH_RADIUS_KM, vector.z / GLOBE_EARTH_RADIUS_KM, -vector.y / GLOBE_EARTH_RADIUS_KM);
+}
+
+// Unit vector of a latitude/longitude on the Earth-fixed globe, in scene coordinates
+function toGlobeSurfacePoint(lat, lng, radius = 1) {
+    const deg2rad = Math.PI / 180;
+    return new THREE.Vector3(
+        radius * Math.cos(lat * deg2rad) * Math.cos(lng * deg2rad),
+        radius * Math.sin(lat * deg2rad),
+        -radius * Math.cos(lat * deg2rad) * Math.sin(lng * deg2rad)
+    );
+}
+
+// Text label that always faces the camera (drawn on top so it stays readable inside the orbit)
+function createGlobeLabel(text) {
+    const fontSize = 28;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = `${fontSize}px sans-serif`;
+    canvas.width = Math.ceil(context.measureText(text).width) + 8;
+    canvas.height = fontSize + 8;
+    context.font = `${fontSize}px sans-serif`; // Resizing the canvas resets the context
+    context.textBaseline = 'middle';
+    context.lineWidth = 4;
+    context.strokeStyle = '#000000';
+    context.strokeText(text, 4, canvas.height / 2);
+    context.fillStyle = '#ffffff';
+    context.fillText(text, 4, canvas.height / 2);
+
+    const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false, transparent: true });
+    const sprite = new THREE.Sprite(material);
+    sprite.center.set(0, 0.5);
+    sprite.userData.aspect = canvas.width / canvas.height;
+    return sprite;
+}
+
+// Replace a line's vertices
+function setGlobeLinePoints(line, points) {
+    line.geometry.dispose();
+    line.geometry = new THREE.BufferGeometry().setFromPoints(points);
+    if (line.material.isLineDashedMaterial) line.computeLineDistances();
+}
+
+function createGlobeLine(color, dashed = false) {
+    const material = dashed
+        ? new THREE.LineDashedMaterial({ color: color, dashSize: 0.08, gapSize: 0.05 })
+        : new THREE.LineBasicMaterial({ color: color });
+    return new THREE.Line(new THREE.BufferGeometry(), material);
+}
+
+// Latitude/longitude grid with the equator and prime meridian highlighted
+function createGlobeGraticule() {
+    const group = new THREE.Group();
+    const gridMaterial = new THREE.LineBasicMaterial({ color: GLOBE_THEMES.dark.graticule });
+    for (let lat = -90 + GLOBE_GRATICULE_STEP_DEG; lat < 90; lat += GLOBE_GRATICULE_STEP_DEG) {
+        const points = [];
+        for (let lng = -180; lng <= 180; lng += 5) points.push(toGlobeSurfacePoint(lat, lng, 1.002));
+        const material = lat === 0 ? new THREE.LineBasicMaterial({ color: GLOBE_COLORS.equator }) : gridMaterial;
+        group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+    }
+    for (let lng = -180; lng < 180; lng += GLOBE_GRATICULE_STEP_DEG) {
+        const points = [];
+        for (let lat = -90; lat <= 90; lat += 5) points.push(toGlobeSurfacePoint(lat, lng, 1.002));
+        const material = lng === 0 ? new THREE.LineBasicMaterial({ color: GLOBE_COLORS.primeMeridian }) : gridMaterial;
+        group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+    }
+    group.userData.gridMaterial = gridMaterial;
+    return group;
+}
+
+// Create the renderer and the scene the first time the globe is shown
+// Returns false (with a message in the view) when WebGL is not available
+function initGlobeView() {
+    const container = document.getElementById('globe-view');
+    const statusDiv = document.getElementById('globe-status');
+    if (typeof THREE === 'undefined') {
+        statusDiv.textContent = 'The 3D view could not be loaded (three.js is unavailable).';
+        return false;
+    }
+    try {
+        // failIfMajorPerformanceCaveat stays false so software WebGL is accepted
+        globeRenderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: 'low-power', failIfMajorPerformanceCaveat: false });
+    } catch (error) {
+        console.warn('[initGlobeView] WebGL unavailable:', error);
+        statusDiv.textContent = 'The 3D view needs WebGL, which this browser has disabled.';
+        return false;
+    }
+    globeRenderer.setPixelRatio(1); // Full resolution on high-DPI screens is not worth the fill cost in software
+    container.insertBefore(globeRenderer.domElement, container.firstChild);
+
+    globeScene = new THREE.Scene();
+    globeCamera = new THREE.PerspectiveCamera(45, 1, 0.01, 1000);
+
+    globeEarthGroup = new THREE.Group();
+    const earth = new THREE.Mesh(new THREE.SphereGeometry(1, 48, 24), new THREE.MeshBasicMaterial({ color: GLOBE_THEMES.dark.earth }));
+    const graticule = createGlobeGraticule();
+    const ecefOrbit = createGlobeLine(GLOBE_COLORS.ecefOrbit);
+    globeEarthGroup.add(earth, graticule, ecefOrbit);
+
+    const equatorialPlane = new THREE.Mesh(
+        new THREE.CircleGeometry(1, 96),
+        new THREE.MeshBasicMaterial({ color: GLOBE_COLORS.equator, transparent: true, opacity: 0.15, side: THREE.DoubleSide, depthWrite: false })
+    );
+    equatorialPlane.rotation.x = -Math.PI / 2; // CircleGeometry lies in XY; the equator is the scene's XZ plane
+    const eciOrbit = createGlobeLine(GLOBE_COLORS.eciOrbit);
+    const lineOfNodes = createGlobeLine(GLOBE_COLORS.nodes, true);
+    const equinoxLine = createGlobeLine(GLOBE_COLORS.equinox, true);
+    const ascendingNode = new THREE.Mesh(new THREE.SphereGeometry(0.04, 12, 8), new THREE.MeshBasicMaterial({ color: GLOBE_COLORS.nodes }));
+    const satelliteMarker = new THREE.Mesh(new THREE.SphereGeometry(0.05, 12, 8), new THREE.MeshBasicMaterial({ color: GLOBE_COLORS.satellite }));
+    const nodeLabel = createGlobeLabel('☊ Ascending node');
+    const equinoxLabel = createGlobeLabel('♈ Vernal equinox');
+    globeScene.add(globeEarthGroup, equatorialPlane, eciOrbit, lineOfNodes, equinoxLine, ascendingNode, satelliteMarker, nodeLabel, equinoxLabel);
+
+    globeObjects = { earth, graticule, ecefOrbit, equatorialPlane, eciOrbit, lineOfNodes, equinoxLine, ascendingNode, satelliteMarker, nodeLabel, equinoxLabel };
+    updateGlobeTheme(document.body.getAttribute('data-theme') || 'dark');
+    initGlobeControls(globeRenderer.domElement);
+    return true;
+}
+
+// Drag to rotate, wheel to zoom, and the frame/orbit options
+function initGlobeControls(canvas) {
+    let dragStart = null;
+    canvas.addEventListener('pointerdown', (event) => {
+        dragStart = { x: event.clientX, y: event.clientY };
+        canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!dragStart) return;
+        globeCameraAngles.azimuth -= (event.clientX - dragStart.x) * GLOBE_DRAG_RADIANS_PER_PX;
+        globeCameraAngles.elevation = Math.max(-1.5, Math.min(1.5,
+            globeCameraAngles.elevation + (event.clientY - dragStart.y) * GLOBE_DRAG_RADIANS_PER_PX));
+        dragStart = { x: event.clientX, y: event.clientY };
+        renderGlobe();
+    });
+    const endDrag = () => { dragStart = null; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        const factor = event.deltaY > 0 ? 1.1 : 1 / 1.1;
+        globeCameraAngles.distance = Math.max(GLOBE_MIN_DISTANCE, Math.min(GLOBE_MAX_DISTANCE, globeCameraAngles.distance * factor));
+        renderGlobe();
+    }, { passive: false });
+
+    ['globeFrame', 'globeShowEci', 'globeShowEcef'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', renderGlobe);
+    });
+    window.addEventListener('resize', resizeGlobe);
+}
+
+// Match the canvas to the map container
+function resizeGlobe() {
+    if (!globeRenderer || !globeVisible) return;
+    const container = document.getElementById('globe-view');
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    if (width === 0 || height === 0) return;
+    globeRenderer.setSize(width, height);
+    globeCamera.aspect = width / height;
+    globeCamera.updateProjectionMatrix();
+    renderGlobe();
+}
+
+// Place the camera and draw one frame
+function renderGlobe() {
+    if (!globeRenderer || !globeVisible || !globeState) return;
+    // In the Earth-fixed frame the camera turns with the Earth, so the globe stands still and the orbit drifts
+    const earthFixed = document.getElementById('globeFrame')?.value === 'ecef';
+    const azimuth = globeCameraAngles.azimuth + (earthFixed ? globeState.gmst : 0);
+    const { elevation, distance } = globeCameraAngles;
+    globeCamera.position.set(
+        distance * Math.cos(elevation) * Math.cos(azimuth),
+        distance * Math.sin(elevation),
+        -distance * Math.cos(elevation) * Math.sin(azimuth)
+    );
+    globeCamera.lookAt(0, 0, 0);
+
+    globeObjects.eciOrbit.visible = document.getElementById('globeShowEci')?.checked !== false;
+    globeObjects.ecefOrbit.visible = document.getElementById('globeShowEcef')?.checked !== false;
+
+    // Keep labels a constant size on screen
+    [globeObjects.nodeLabel, globeObjects.equinoxLabel].forEach(label => {
+        const height = 0.035 * globeCamera.position.distanceTo(label.position);
+        label.scale.set(height * label.userData.aspect, height, 1);
+    });
+    globeRenderer.render(globeScene, globeCamera);
+}
+
+/**
+ * One revolution of the orbit from a time, in both frames, with its orientation
+ * @param {Object} satellite - The satellite object
+ * @param {Date} time - Start of the revolution (the satellite's current position)
+ * @returns {Object} {eci, ecef, ascendingNode, position, inclination, raan}: positions in km, angles in degrees;
+ *     ascendingNode is the ECI point where the drawn orbit crosses the equator northwards (null if it does not)
+ * @throws {PropagationError} When the satellite cannot be propagated at the time
+ */
+function calculateGlobeOrbit(satellite, time) {
+    const { position, velocity } = propagate(satellite, time);
+    const eci = [];
+    const ecef = [];
+    calculateOrbitSampleTimes(satellite, time, 0, 0, 1, GLOBE_ORBIT_SAMPLES).forEach(timeMs => {
+        const sampleTime = new Date(timeMs);
+        try {
+            const sample = propagate(satellite, sampleTime).position;
+            eci.push(sample);
+            ecef.push(window.satellite.eciToEcf(sample, window.satellite.gstime(sampleTime)));
+        } catch (error) {
+            if (!(error instanceof PropagationError)) throw error;
+        }
+    });
+
+    let ascendingNode = null;
+    for (let i = 1; i < eci.length && !ascendingNode; i++) {
+        const before = eci[i - 1];
+        const after = eci[i];
+        if (before.z < 0 && after.z >= 0) {
+            const fraction = -before.z / (after.z - before.z);
+            ascendingNode = {
+                x: before.x + (after.x - before.x) * fraction,
+                y: before.y + (after.y - before.y) * fraction,
+                z: 0
+            };
+        }
+    }
+
+    // Osculating inclination and right ascension of the ascending node from the angular momentum h = r x v
+    const h = {
+        x: position.y * velocity.z - position.z * velocity.y,
+        y: position.z * velocity.x - position.x * velocity.z,
+        z: position.x * velocity.y - position.y * velocity.x
+    };
+    const hNorm = Math.sqrt(h.x * h.x + h.y * h.y + h.z * h.z);
+    const rad2deg = 180 / Math.PI;
+    return {
+        eci: eci,
+        ecef: ecef,
+        ascendingNode: ascendingNode,
+        position: position,
+        inclination: Math.acos(h.z / hNorm) * rad2deg,
+        raan: (Math.atan2(h.x, -h.y) * rad2deg + 360) % 360 // The node vector is z x h = (-h.y, h.x, 0)
+    };
+}
+
+/**
+ * Redraw the globe for the satellite at a time
+ * @param {Object} satellite - The satellite object
+ * @param {Date} time - The (simulated) time to show
+ */
+function updateGlobeView(satellite, time) {
+    if (!globeVisible || !globeRenderer) return;
+    let orbit;
+    try {
+        orbit = calculateGlobeOrbit(satellite, time);
+    } catch (error) {
+        if (!(error instanceof PropagationError)) throw error;
+        document.getElementById('globe-status').textContent = `Cannot show the orbit at this time: ${error.message}`;
+        return;
+    }
+    document.getElementById('globe-status').textContent = '';
+    const gmst = window.satellite.gstime(time);
+    globeState = { gmst: gmst };
+
+    // The Earth turns by GMST between the Earth-fixed and inertial frames
+    globeEarthGroup.rotation.y = gmst;
+    setGlobeLinePoints(globeObjects.ecefOrbit, orbit.ecef.map(toGlobePoint));
+    setGlobeLinePoints(globeObjects.eciOrbit, orbit.eci.map(toGlobePoint));
+    globeObjects.satelliteMarker.position.copy(toGlobePoint(orbit.position));
+
+    const apogee = Math.max(...orbit.eci.map(point => Math.sqrt(point.x * point.x + point.y * point.y + point.z * point.z))) / GLOBE_EARTH_RADIUS_KM;
+    const planeRadius = apogee * 1.15;
+    globeObjects.equatorialPlane.scale.setScalar(planeRadius);
+    setGlobeLinePoints(globeObjects.equinoxLine, [new THREE.Vector3(0, 0, 0), new THREE.Vector3(planeRadius, 0, 0)]);
+    globeObjects.equinoxLabel.position.set(planeRadius, 0, 0);
+
+    const raan = orbit.raan * Math.PI / 180;
+    const nodeDirection = new THREE.Vector3(Math.cos(raan), 0, -Math.sin(raan));
+    setGlobeLinePoints(globeObjects.lineOfNodes, [
+        nodeDirection.clone().multiplyScalar(-planeRadius),
+        nodeDirection.clone().multiplyScalar(planeRadius)
+    ]);
+    globeObjects.ascendingNode.visible = orbit.ascendingNode !== null;
+    globeObjects.nodeLabel.visible = orbit.ascendingNode !== null;
+    if (orbit.ascendingNode) {
+        globeObjects.ascendingNode.position.copy(toGlobePoint(orbit.ascendingNode));
+        globeObjects.nodeLabel.position.copy(globeObjects.ascendingNode.position);
+    }
+
+    if (!globeCameraFitted) {
+        globeCameraAngles.distance = Math.max(GLOBE_MIN_DISTANCE, Math.min(GLOBE_MAX_DISTANCE, apogee * 3));
+        globeCameraFitted = true;
+    }
+    const infoDiv = document.getElementById('globe-info');
+    if (infoDiv) {
+        infoDiv.textContent = `i ${orbit.inclination.toFixed(2)}°  Ω ${orbit.raan.toFixed(2)}° (osculating)`;
+    }
+    renderGlobe();
+}
+
+// Background and Earth colors for the theme
+function updateGlobeTheme(theme) {
+    if (!globeRenderer) return;
+    const colors = GLOBE_THEMES[theme] || GLOBE_THEMES.dark;
+    globeScene.background = new THREE.Color(colors.background);
+    globeObjects.earth.material.color.setHex(colors.earth);
+    globeObjects.graticule.userData.gridMaterial.color.setHex(colors.graticule);
+    renderGlobe();
+}
+
+// Show the globe in place of the map (or go back to the map)
+function showGlobeView(show) {
+    const container = document.getElementById('globe-view');
+    if (!container) return;
+    container.style.display = show ? '' : 'none';
+    globeVisible = show;
+    if (show && !globeRenderer && !initGlobeView()) return;
+    resizeGlobe();
+}
+
+// Whether the globe is currently shown (and can be drawn)
+function isGlobeViewVisible() {
+    return globeVisible && globeRenderer !== null;
+}
+
+// Expose functions globally (non-module environment)
+window.showGlobeView = showGlobeView;
+window.isGlobeViewVisible = isGlobeViewVisible;
+window.updateGlobeView = updateGlobeView;
+window.updateGlobeTheme = updateGlobeTheme;
@@ -14,7 +14,7 @@ const localJsonFiles = [
 // Global variable to store active satellite IDs
 let activeSatelliteIds = new Set();
 
-// Helper to load all local JSON files and merge them
+// Helper to load all local JSON files and merge them (as canonical records; unreadable records are skipped)
 async function loadAllLocalSatellites() {
     let allSats = [];
     for (const file of localJsonFiles) {
@@ -22,17 +22,7 @@ async function loadAllLocalSatellites() {
             const res = await fetch(file);
             if (res.ok) {
                 const data = await res.json();
-                // custom_satellites.json may have a 'satellites' array
-                if (Array.isArray(data)) {
-                    allSats = allSats.concat(data);
-                } else if (Array.isArray(data.satellites)) {
-                    allSats = allSats.concat(data.satellites);
-                } else if (data && typeof data === 'object') {
-                    // Some files may be objects with satellite arrays as values
-                    Object.values(data).forEach(arr => {
-                        if (Array.isArray(arr)) allSats = allSats.concat(arr);
-                    });
-                }
+                allSats = allSats.concat(normalizeSatelliteRecords(data, file).satellites);
             }
         } catch (e) {
             console.warn('Could not load', file, e);
@@ -90,7 +80,7 @@ function displaySatelliteTable(satellites) {
   const isCustomCategory = selectedCategory === 'Custom';
 
   // Adjust headers based on category
-  let headers = ['Name', 'NORAD ID', 'Status'];
+  let headers = ['Name', 'NORAD ID', 'Status', 'TLE Age'];
   // Use empty string for header when custom, otherwise 'Launch Year'
   headers.push(isCustomCategory ? '' : 'Launch Year');
 
@@ -112,11 +102,13 @@ function displaySatelliteTable(satellites) {
 
     // Tracking Link/Status Cell
     let trackingCell = row.insertCell();
-    if (activeSatelliteIds.has(noradId)) {
-        // Active: Create the link
+    // satPage.html finds custom satellites (saved or from custom_satellites.json) by their numeric ID and name
+    const isCustomSat = sat.FILE === 'custom' && noradId > 0;
+    if (activeSatelliteIds.has(noradId) || isCustomSat) {
+        // Active (or custom, e.g. built for a satellite not launched yet): Create the link
         let satLink = document.createElement('a');
         satLink.href = `satPage.html?ID=${encodeURIComponent(noradId)}&name=${encodeURIComponent(sat.OBJECT_NAME || sat.name)}`;
-        satLink.innerHTML = 'Active<br>(Track it!)';
+        satLink.innerHTML = isCustomSat && !activeSatelliteIds.has(noradId) ? 'Custom<br>(Track it!)' : 'Active<br>(Track it!)';
         trackingCell.appendChild(satLink);
     } else {
         // Inactive: Display text
@@ -124,6 +116,17 @@ function displaySatelliteTable(satellites) {
         trackingCell.classList.add('inactive-satellite');
     }
 
+    // TLE Age Cell (sorted by the age in days; unknown epochs sort last)
+    const ageDays = calculateElementSetAge(sat);
+    let ageCell = row.insertCell();
+    ageCell.textContent = formatElementSetAge(ageDays);
+    ageCell.setAttribute('data-order', ageDays === null ? Number.MAX_SAFE_INTEGER : ageDays.toFixed(3));
+    if (ageDays !== null && Math.abs(ageDays) >= TLE_AGE_CRITICAL_DAYS) {
+        ageCell.classList.add('tle-age-critical');
+    } else if (ageDays !== null && Math.abs(ageDays) >= TLE_AGE_WARNING_DAYS) {
+        ageCell.classList.add('tle-age-warning');
+    }
+
     // Launch Year or Edit Link Cell
     let lastCell = row.insertCell();
     if (isCustomCategory) {
@@ -169,9 +172,10 @@ function displaySatelliteTable(satellites) {
                 { type: 'string', targets: 0 }, // Name
                 { type: 'num', targets: 1 },    // NORAD ID
                 { orderable: false, targets: 2 }, // Tracking link/status
+                { type: 'num', targets: 3 },    // TLE age (sorted by the cell's data-order in days)
                 // Re-enable sorting for the last column (Launch Year or Edit)
                 // Treat as number for sorting Launch Year; 'Edit' links will be handled by DataTable
-                { orderable: true, type: 'num', targets: 3 } 
+                { orderable: true, type: 'num', targets: 4 } 
             ],
             order: [[0, 'asc']], // Default sort by Name
             initComplete: function() {
@@ -207,6 +211,7 @@ function displaySatelliteTable(satellites) {
                 $checkbox.off('change').on('change', function() {
                     console.log("Checkbox changed, redrawing table...");
                     dataTable.draw(); // Redraw table to apply the filter
+                    if (isCategoryMapVisible()) refreshCategoryMap(); // The map honours the filter too
                 });
             }
         });
@@ -275,6 +280,8 @@ function toggleTleForm(show = null) { // Allow forcing show/hide
         document.getElementById('customSatName').value = '';
         document.getElementById('customTleLine1').value = '';
         document.getElementById('customTleLine2').value = '';
+        document.getElementById('customElementText').value = '';
+        document.getElementById('state-fit-result').textContent = '';
     }
 }
 
@@ -325,6 +332,109 @@ function getCustomSatellitesFromStorage() {
     }
 }
 
+// Fill the TLE form fields from one satellite pasted as OMM XML/KVN or Celestrak CSV
+function convertElementText() {
+    const text = document.getElementById('customElementText').value;
+    if (!text.trim()) {
+        alert("Paste an OMM (XML or KVN) or Celestrak CSV element set first.");
+        return;
+    }
+    let entries;
+    try {
+        entries = parseElementText(text).entries;
+    } catch (error) {
+        alert(`Could not read the element set: ${error.message}`);
+        return;
+    }
+    if (entries.length !== 1) {
+        alert(`The text holds ${entries.length} element sets; use Import / Export to add several satellites.`);
+        return;
+    }
+    const entry = entries[0];
+    if (entry.error) {
+        alert(`Could not convert the element set: ${entry.error}`);
+        return;
+    }
+    document.getElementById('customSatName').value = entry.name || '';
+    document.getElementById('customTleLine1').value = entry.line1;
+    document.getElementById('customTleLine2').value = entry.line2;
+}
+
+// Fill the TLE form fields with a TLE built from the orbital elements section
+function buildTleFromForm() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const sizeMode = value('buildSizeMode');
+    const epoch = value('buildEpoch');
+    if (!epoch) {
+        alert("Please enter the epoch.");
+        return;
+    }
+    try {
+        const satelliteData = buildTLE({
+            noradId: value('buildNoradId'),
+            name: value('customSatName'),
+            epoch: `${epoch}Z`, // The datetime-local input has no zone; the form asks for UTC
+            inclination: value('buildInclination'),
+            raan: value('buildRaan'),
+            eccentricity: value('buildEccentricity'),
+            argPerigee: value('buildArgPerigee'),
+            meanAnomaly: value('buildMeanAnomaly'),
+            meanMotion: sizeMode === 'meanMotion' ? value('buildSizeValue') : undefined,
+            semiMajorAxis: sizeMode === 'semiMajorAxis' ? value('buildSizeValue') : undefined,
+            bstar: value('buildBstar') || 0
+        });
+        document.getElementById('customSatName').value = satelliteData.OBJECT_NAME;
+        document.getElementById('customTleLine1').value = satelliteData.TLE_LINE1;
+        document.getElementById('customTleLine2').value = satelliteData.TLE_LINE2;
+    } catch (error) {
+        alert(`Could not build the TLE: ${error.message}`);
+    }
+}
+
+// Fill the TLE form fields with a TLE fitted to the state vector section, and report the fit residuals
+function fitTleFromForm() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const vector = (prefix) => ({
+        x: parseFloat(value(`${prefix}X`)),
+        y: parseFloat(value(`${prefix}Y`)),
+        z: parseFloat(value(`${prefix}Z`))
+    });
+    const resultDiv = document.getElementById('state-fit-result');
+    resultDiv.textContent = '';
+    resultDiv.classList.remove('fit-poor');
+    const epoch = value('svEpoch');
+    if (!epoch) {
+        alert("Please enter the epoch.");
+        return;
+    }
+    try {
+        const { satellite: satelliteData, residuals } = fitTleToStateVector({
+            epoch: `${epoch}Z`, // The datetime-local input has no zone; the form asks for UTC
+            frame: value('svFrame'),
+            position: vector('svPos'),
+            velocity: vector('svVel')
+        }, {
+            noradId: value('svNoradId'),
+            name: value('customSatName'),
+            spanMinutes: value('svSpan'),
+            bstar: value('svBstar') || 0
+        });
+        document.getElementById('customSatName').value = satelliteData.OBJECT_NAME;
+        document.getElementById('customTleLine1').value = satelliteData.TLE_LINE1;
+        document.getElementById('customTleLine2').value = satelliteData.TLE_LINE2;
+
+        const formatKm = (km) => km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(2)} km`;
+        resultDiv.textContent = `Fit over ${residuals.spanMinutes.toFixed(1)} min (${residuals.samples} points, ` +
+            `${residuals.iterations} iterations${residuals.converged ? '' : ', not converged'}): ` +
+            `RMS ${formatKm(residuals.rms)}, max ${formatKm(residuals.max)} at +${residuals.maxAtMinutes.toFixed(1)} min; ` +
+            `at the epoch ${formatKm(residuals.epochPosition)} and ${(residuals.epochVelocity * 1000).toFixed(2)} m/s.` +
+            (residuals.poor ? ' The TLE follows the state poorly; try a shorter span.' : '');
+        resultDiv.classList.toggle('fit-poor', residuals.poor || !residuals.converged);
+    } catch (error) {
+        alert(`Could not fit a TLE: ${error.message}`);
+    }
+}
+
 // Function to handle form submission and save/update custom satellite
 async function handleFormSubmission() {
     try {
@@ -367,7 +477,7 @@ async function handleFormSubmission() {
         // Check if the NORAD ID from the new TLE matches the one being edited (if any)
         const newNoradIdStr = satelliteData.NORAD_CAT_ID; // Keep as string from parseTLE
         const editingIdNum = parseInt(editingId, 10);
-        const newNoradIdNum = parseInt(newNoradIdStr, 10);
+        const newNoradIdNum = decodeNoradId(newNoradIdStr); // Alpha-5 IDs compare as their number
 
         // Compare numerically. Only throw error if editing AND the numbers don't match.
         if (editingId && !isNaN(editingIdNum) && !isNaN(newNoradIdNum) && newNoradIdNum !== editingIdNum) {
@@ -396,7 +506,7 @@ async function handleFormSubmission() {
         const successTitle = `Satellite '${escapeHTML(name)}' ${editingId ? 'updated' : 'added'} successfully!`;
         const successDetails = `
 
-            - To track it, click 'Active (Track it!)'. <br>
+            - To track it, click '(Track it!)'. <br>
             - To modify its TLE later, click 'Edit'.
         `;
         showSuccessMessage(successTitle, successDetails);
@@ -410,6 +520,176 @@ async function handleFormSubmission() {
     }
 }
 
+// --- Bulk TLE Import --- //
+
+const TLE_IMPORT_ACTION_LABELS = {
+    add: 'New',
+    overwrite: 'Replaces saved TLE',
+    skip: 'Skipped: already saved',
+    invalid: 'Invalid'
+};
+
+// Function to toggle the bulk import panel (clears it when hidden)
+function toggleTleImport(show = null) {
+    const panel = document.getElementById('tle-import');
+    const isVisible = panel.style.display === 'block';
+    if (show === true || (show === null && !isVisible)) {
+        panel.style.display = 'block';
+    } else {
+        panel.style.display = 'none';
+        document.getElementById('tleImportText').value = '';
+        document.getElementById('tleImportFile').value = '';
+        clearTleImportPreview();
+    }
+}
+
+function clearTleImportPreview() {
+    document.getElementById('tle-import-summary').textContent = '';
+    document.getElementById('tle-import-preview').innerHTML = '';
+    document.getElementById('save-import-btn').disabled = true;
+}
+
+// Parse the pasted text (TLEs, OMM, CSV or a JSON export) and plan it against the saved custom satellites
+// Replacing plans against an empty catalogue; throws when a structured format cannot be read
+function getTleImportPlan() {
+    const text = document.getElementById('tleImportText').value;
+    const replace = document.getElementById('tleImportMode').value === 'replace';
+    const duplicates = document.getElementById('tleImportDuplicates').value;
+    const { entries } = parseElementText(text);
+    return planTleImport(entries, replace ? [] : getCustomSatellitesFromStorage(), duplicates);
+}
+
+// Show what importing the pasted text would do, entry by entry
+function previewTleImport() {
+    const summary = document.getElementById('tle-import-summary');
+    const preview = document.getElementById('tle-import-preview');
+    let plan;
+    try {
+        plan = getTleImportPlan();
+    } catch (error) {
+        summary.textContent = error.message;
+        preview.innerHTML = '';
+        document.getElementById('save-import-btn').disabled = true;
+        return;
+    }
+    const counts = { add: 0, overwrite: 0, skip: 0, invalid: 0 };
+    plan.forEach(entry => counts[entry.action]++);
+
+    if (plan.length === 0) {
+        summary.textContent = 'No element sets found.';
+        preview.innerHTML = '';
+        document.getElementById('save-import-btn').disabled = true;
+        return;
+    }
+    summary.textContent = `${plan.length} entries: ${counts.add} new, ${counts.overwrite} replacing, ` +
+        `${counts.skip} skipped, ${counts.invalid} invalid.`;
+    if (document.getElementById('tleImportMode').value === 'replace') {
+        summary.textContent += ` All ${getCustomSatellitesFromStorage().length} saved satellites will be removed first.`;
+    }
+
+    const rows = plan.map(entry => {
+        let result = TLE_IMPORT_ACTION_LABELS[entry.action];
+        if (entry.action === 'invalid') {
+            result = `Invalid: ${entry.error}`;
+        } else if (entry.duplicateOf === 'import') {
+            result = entry.action === 'skip' ? 'Skipped: repeated in import' : 'Replaces earlier entry';
+        }
+        const epoch = entry.satellite ? getElementSetEpoch(entry.satellite) : null;
+        return `
+            <tr class="tle-import-${entry.action}">
+                <td>${entry.recordNumber ? `record ${entry.recordNumber}` : `line ${entry.lineNumber}`}</td>
+                <td>${escapeHTML(entry.name || '')}</td>
+                <td>${entry.satellite ? escapeHTML(entry.satellite.NORAD_CAT_ID) : ''}</td>
+                <td>${epoch ? epoch.toISOString().slice(0, 16).replace('T', ' ') : ''}</td>
+                <td>${escapeHTML(result)}</td>
+            </tr>`;
+    }).join('');
+    preview.innerHTML = `
+        <table class="tle-import-table">
+            <thead><tr><th>Source</th><th>Name</th><th>NORAD ID</th><th>Epoch (UTC)</th><th>Result</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    document.getElementById('save-import-btn').disabled = counts.add + counts.overwrite === 0;
+}
+
+// Load an element set file (TLE, OMM, CSV or JSON) into the import text box and preview it
+async function handleTleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+        document.getElementById('tleImportText').value = await file.text();
+        previewTleImport();
+    } catch (error) {
+        console.error('[handleTleImportFile] Could not read file:', error);
+        showError(`Could not read ${file.name}: ${error.message}`);
+    }
+}
+
+// Save every new or replacing entry of the import (in place of the whole catalogue when replacing it)
+async function handleTleImportSubmission() {
+    let plan;
+    try {
+        plan = getTleImportPlan(); // Re-planned in case storage changed since the preview
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    const replace = document.getElementById('tleImportMode').value === 'replace';
+    if (replace) {
+        const savedCount = getCustomSatellitesFromStorage().length;
+        if (savedCount > 0 && !confirm(`Replace all ${savedCount} saved custom satellites with this import?`)) return;
+    }
+    let saved;
+    try {
+        saved = saveTleImportPlan(plan, replace);
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    const skipped = plan.filter(entry => entry.action === 'skip').length;
+    const invalid = plan.filter(entry => entry.action === 'invalid').length;
+
+    toggleTleImport(false);
+    await loadAndDisplaySatellites('Custom');
+    const categorySelect = document.getElementById('categorySelect');
+    if (categorySelect) categorySelect.value = 'Custom';
+
+    showSuccessMessage(`Imported ${saved} satellite${saved === 1 ? '' : 's'}`,
+        `${skipped} skipped as duplicates, ${invalid} invalid entries ignored.`);
+}
+
+// Download the custom catalogue as a JSON export or 3LE text
+function exportCustomCatalogue(format) {
+    const satellites = getCustomSatellitesFromStorage();
+    if (satellites.length === 0) {
+        showError('There are no custom satellites to export.');
+        return;
+    }
+    const exported = format === 'json' ? exportCustomCatalogueJson(satellites) : exportCustomCatalogueTle(satellites);
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        downloadTextFile(`custom_satellites_${date}.json`, exported.text, 'application/json');
+    } else {
+        downloadTextFile(`custom_satellites_${date}.tle`, exported.text, 'text/plain');
+    }
+    if (exported.skipped > 0) {
+        showError(`Exported ${exported.count} satellites; ${exported.skipped} with invalid TLE lines were left out.`);
+    }
+}
+
+// Save text content as a file download
+function downloadTextFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 // Helper to get Epoch Year from TLE Line 1
 function getEpochFromTLE(tleLine1) {
     if (!tleLine1 || tleLine1.length < 20) return null;
@@ -423,23 +703,19 @@ function getEpochFromTLE(tleLine1) {
     }
 }
 
-// Load all categories' data at startup
+// Load all categories' data at startup as canonical records
+// Returns the records that could not be converted ({source, index, name, reason}) so they can be reported
 async function preloadAllCategories() {
+    const rejected = [];
     for (const [cat, file] of Object.entries(categoryMap)) {
         let loadedData = [];
         try {
             const res = await fetch(file);
             if (res.ok) {
                 const data = await res.json();
-                if (Array.isArray(data)) {
-                    loadedData = data;
-                } else if (Array.isArray(data.satellites)) { // Handle custom_satellites.json structure
-                    loadedData = data.satellites;
-                } else if (data && typeof data === 'object') {
-                    Object.values(data).forEach(arr => {
-                        if (Array.isArray(arr)) loadedData = loadedData.concat(arr);
-                    });
-                }
+                const normalized = normalizeSatelliteRecords(data, file);
+                loadedData = normalized.satellites;
+                rejected.push(...normalized.rejected);
             } else if (res.status !== 404) { // Don't warn for missing custom file initially
                  console.warn(`Failed to fetch ${file}: ${res.status}`);
             }
@@ -451,10 +727,11 @@ async function preloadAllCategories() {
 
         // If category is 'Custom', merge with localStorage
         if (cat === 'Custom') {
-            const storedCustomSats = getCustomSatellitesFromStorage();
+            const storedCustomSats = normalizeSatelliteRecords(getCustomSatellitesFromStorage(), 'custom satellites');
+            rejected.push(...storedCustomSats.rejected);
             // Combine file data (if any) and stored data, ensuring no duplicates
-            const combined = [...loadedData, ...storedCustomSats];
-            const uniqueSats = Array.from(new Map(combined.map(sat => [sat.NORAD_CAT_ID || sat.id, sat])).values());
+            const combined = [...loadedData, ...storedCustomSats.satellites];
+            const uniqueSats = Array.from(new Map(combined.map(sat => [sat.NORAD_CAT_ID, sat])).values());
             categoryData[cat] = uniqueSats;
              // Add FILE property and ensure LAUNCH_YEAR is set
             categoryData[cat].forEach(sat => {
@@ -470,6 +747,7 @@ async function preloadAllCategories() {
             });
         }
     }
+    return rejected;
 }
 
 // Helper to get Launch Year
@@ -595,7 +873,7 @@ async function loadAndDisplaySatellites(category) {
             // Otherwise, use the preloaded data for the specific category
             // Ensure custom data is up-to-date from localStorage if category is 'Custom'
             if (currentCategory === 'Custom') {
-                 categoryData['Custom'] = getCustomSatellitesFromStorage();
+                 categoryData['Custom'] = normalizeSatelliteRecords(getCustomSatellitesFromStorage(), 'custom satellites').satellites;
                  // Ensure LAUNCH_YEAR is set for custom sats (or null)
                  categoryData['Custom'].forEach(sat => {
                     // We don't need LAUNCH_YEAR for custom display, but ensure FILE is set
@@ -611,6 +889,8 @@ async function loadAndDisplaySatellites(category) {
 
         // Pass currentCategory to displaySatelliteTable
         displaySatelliteTable(satellitesToDisplay); // This function initializes/updates DataTable
+        // Keep the live map in step with the selected category
+        if (isCategoryMapVisible()) refreshCategoryMap();
         hideLoading();
     } catch (error) {
         console.error(`Error loading or displaying ${currentCategory} satellites:`, error);
@@ -646,6 +926,50 @@ document.addEventListener('DOMContentLoaded', async () => {
         addTleBtn.addEventListener('click', toggleTleForm);
     }
 
+    // Setup bulk TLE import and custom catalogue export listeners
+    const importTleBtn = document.getElementById('import-tle-btn');
+    if (importTleBtn) {
+        importTleBtn.addEventListener('click', () => toggleTleImport());
+        document.getElementById('tleImportFile').addEventListener('change', handleTleImportFile);
+        document.getElementById('tleImportText').addEventListener('input', clearTleImportPreview);
+        document.getElementById('tleImportDuplicates').addEventListener('change', () => {
+            if (document.getElementById('tle-import-summary').textContent) previewTleImport();
+        });
+        document.getElementById('tleImportMode').addEventListener('change', () => {
+            if (document.getElementById('tle-import-summary').textContent) previewTleImport();
+        });
+        document.getElementById('preview-import-btn').addEventListener('click', previewTleImport);
+        document.getElementById('export-json-btn').addEventListener('click', () => exportCustomCatalogue('json'));
+        document.getElementById('export-tle-btn').addEventListener('click', () => exportCustomCatalogue('tle'));
+        document.getElementById('save-import-btn').addEventListener('click', handleTleImportSubmission);
+    }
+
+    // Setup list/map view toggle
+    const listViewBtn = document.getElementById('listViewBtn');
+    const mapViewBtn = document.getElementById('mapViewBtn');
+    if (listViewBtn && mapViewBtn) {
+        listViewBtn.addEventListener('click', () => showCategoryMapView(false));
+        mapViewBtn.addEventListener('click', () => showCategoryMapView(true));
+    }
+
+    // Setup OMM/CSV conversion in the TLE form
+    const convertElementsBtn = document.getElementById('convert-elements-btn');
+    if (convertElementsBtn) {
+        convertElementsBtn.addEventListener('click', convertElementText);
+    }
+
+    // Setup the TLE builder in the TLE form
+    const buildTleBtn = document.getElementById('build-tle-btn');
+    if (buildTleBtn) {
+        buildTleBtn.addEventListener('click', buildTleFromForm);
+    }
+
+    // Setup the state vector fit in the TLE form
+    const fitStateBtn = document.getElementById('fit-state-btn');
+    if (fitStateBtn) {
+        fitStateBtn.addEventListener('click', fitTleFromForm);
+    }
+
     // Setup Save TLE button listener
     const saveTleBtn = document.getElementById('save-tle-btn');
     if (saveTleBtn) {
@@ -656,7 +980,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
         showLoading('Loading...');
         await loadActiveSatelliteIds(); // Load active IDs first
-        await preloadAllCategories(); // Load data for all categories into categoryData
+        const rejectedRecords = await preloadAllCategories(); // Load data for all categories into categoryData
         // console.log("All category data preloaded.");
 
         const categories = Object.keys(categoryMap); // Get categories from the map
@@ -673,6 +997,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         hideLoading();
+        // Records in an unsupported or broken schema were left out of the tables
+        if (rejectedRecords.length > 0) showError(describeRejectedRecords(rejectedRecords));
 
     } catch (error) {
         console.error("Initialization error:", error);
@@ -701,6 +1027,9 @@ function setTheme(theme) {
     // Update localStorage
     localStorage.setItem('theme', theme);
     
+    // Update the live map tiles and dot color
+    updateCategoryMapTheme(theme);
+
     // Update theme toggle icon
     const themeToggle = document.getElementById('theme-toggle');
     if (themeToggle) {
@@ -0,0 +1,332 @@
+// ommFormats.js - CCSDS OMM (XML and KVN) and Celestrak CSV element sets: parsers and writers
+// Parsers return entries shaped like those of parseTleCatalogue ({recordNumber, name, line1, line2, satellite, error}),
+// where satellite is the parseTLE record of TLE lines written from the OMM mean elements. The writers take parseTLE
+// records, so parse(format(records)) gives back records with the same elements and TLE lines, except that zero
+// exponent fields come back as "00000+0" (Celestrak's form; Space-Track writes "00000-0") with line 1's checksum to
+// match. check_omm_round_trip.js checks this against data/active_tle.dat.
+
+const OMM_VERSION = '2.0';
+// Data fields in the order CCSDS 502.0-B lists them (and Celestrak CSV uses), with their KVN units
+const OMM_DATA_FIELDS = [
+    ['EPOCH', null],
+    ['MEAN_MOTION', 'rev/day'],
+    ['ECCENTRICITY', null],
+    ['INCLINATION', 'deg'],
+    ['RA_OF_ASC_NODE', 'deg'],
+    ['ARG_OF_PERICENTER', 'deg'],
+    ['MEAN_ANOMALY', 'deg'],
+    ['EPHEMERIS_TYPE', null],
+    ['CLASSIFICATION_TYPE', null],
+    ['NORAD_CAT_ID', null],
+    ['ELEMENT_SET_NO', null],
+    ['REV_AT_EPOCH', null],
+    ['BSTAR', '1/ER'],
+    ['MEAN_MOTION_DOT', 'rev/day**2'],
+    ['MEAN_MOTION_DDOT', 'rev/day**3']
+];
+const CELESTRAK_CSV_COLUMNS = ['OBJECT_NAME', 'OBJECT_ID', ...OMM_DATA_FIELDS.map(([field]) => field)];
+const OMM_REQUIRED_TLE_FIELDS = ['EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE',
+    'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID'];
+
+// --- Reading --- //
+
+// Entry for one OMM (fields keyed by OMM keyword, values as text): the elements are written as TLE lines and parsed
+function createOmmEntry(fields, recordNumber) {
+    const name = String(fields.OBJECT_NAME || '').trim().substring(0, TLE_NAME_MAX_LENGTH).trim() ||
+        String(fields.NORAD_CAT_ID || '').trim() || null;
+    const entry = { recordNumber, lineNumber: null, name, line1: null, line2: null, satellite: null, error: null };
+    try {
+        // Only SGP4 mean elements in TEME can be written as a TLE
+        const theory = String(fields.MEAN_ELEMENT_THEORY || 'SGP4').trim().toUpperCase();
+        if (!/^(SGP\/)?(SGP4|SDP4)$/.test(theory)) {
+            throw new Error(`Mean element theory ${theory} is not SGP4`);
+        }
+        if (fields.REF_FRAME && String(fields.REF_FRAME).trim().toUpperCase() !== 'TEME') {
+            throw new Error(`Reference frame ${fields.REF_FRAME} is not TEME`);
+        }
+        const missing = OMM_REQUIRED_TLE_FIELDS.filter(field => fields[field] === undefined || String(fields[field]).trim() === '');
+        if (missing.length > 0) throw new Error(`Missing ${missing.join(', ')}`);
+
+        const { line1, line2 } = formatTLE(fields);
+        entry.line1 = line1;
+        entry.line2 = line2;
+        entry.error = getTleError(line1, line2);
+        if (!entry.error) entry.satellite = parseTLE(name, line1, line2);
+    } catch (error) {
+        entry.error = error.message;
+    }
+    return entry;
+}
+
+// Undo the five predefined XML entities
+function decodeXmlText(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Read CCSDS OMM XML: a single <omm> or several inside an <ndm> combined message
+ * @param {string} text - The XML
+ * @returns {Array} One entry per <omm>
+ * @throws {Error} When the text contains no <omm> element
+ */
+function parseOmmXml(text) {
+    const messages = String(text).match(/<(?:[\w-]+:)?omm\b[\s\S]*?<\/(?:[\w-]+:)?omm>/g);
+    if (!messages) throw new Error('No <omm> element found in the XML');
+    return messages.map((message, index) => {
+        const fields = {};
+        // Leaf elements only (their content has no tags); namespace prefixes are ignored
+        const leafPattern = /<(?:[\w-]+:)?([A-Z][A-Z0-9_]*)(?:\s[^>]*)?>([^<]*)<\/(?:[\w-]+:)?\1>/g;
+        let match;
+        while ((match = leafPattern.exec(message)) !== null) {
+            if (match[1] !== 'COMMENT') fields[match[1]] = decodeXmlText(match[2].trim());
+        }
+        return createOmmEntry(fields, index + 1);
+    });
+}
+
+/**
+ * Read CCSDS OMM KVN (keyword = value lines); several messages may follow each other, each starting with CCSDS_OMM_VERS
+ * @param {string} text - The KVN text
+ * @returns {Array} One entry per message
+ * @throws {Error} When the text contains no OMM keywords
+ */
+function parseOmmKvn(text) {
+    const messages = [];
+    let fields = null;
+    String(text).split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('COMMENT')) return;
+        const match = line.match(/^([A-Z][A-Z0-9_]*)\s*=\s*(.*)$/);
+        if (!match) return; // META_START, META_STOP and similar markers
+        if (match[1] === 'CCSDS_OMM_VERS' || !fields) {
+            fields = {};
+            messages.push(fields);
+        }
+        // Numbers may be followed by their unit in square brackets (names such as "COSMOS 2433 [GLONASS-M]" keep theirs)
+        const withUnit = match[2].match(/^(\S+)\s*\[[^\]]*\]$/);
+        fields[match[1]] = withUnit && isFinite(parseFloat(withUnit[1])) ? withUnit[1] : match[2];
+    });
+    if (messages.length === 0) throw new Error('No OMM keywords found in the KVN text');
+    return messages.map((message, index) => createOmmEntry(message, index + 1));
+}
+
+// Split CSV text into rows of fields (RFC 4180 quoting: "..." with "" for a quote)
+function splitCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text);
+    for (let i = 0; i < input.length; i++) {
+        const c = input.charAt(i);
+        if (quoted) {
+            if (c === '"' && input.charAt(i + 1) === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && input.charAt(i + 1) === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read Celestrak CSV (a header row of OMM keywords, then one satellite per row)
+ * @param {string} text - The CSV text
+ * @returns {Array} One entry per data row
+ * @throws {Error} When the header has no OMM element columns
+ */
+function parseCelestrakCsv(text) {
+    const [header, ...rows] = splitCsvRows(text);
+    const columns = (header || []).map(column => column.trim().toUpperCase());
+    if (!columns.includes('MEAN_MOTION') || !columns.includes('NORAD_CAT_ID')) {
+        throw new Error('The CSV header has no MEAN_MOTION and NORAD_CAT_ID columns');
+    }
+    return rows.map((row, index) => {
+        const fields = {};
+        columns.forEach((column, i) => {
+            if (row[i] !== undefined) fields[column] = row[i].trim();
+        });
+        return createOmmEntry(fields, index + 1);
+    });
+}
+
+/**
+ * Read element set text in any supported format, detected from its content
+ * @param {string} text - TLE text, OMM XML or KVN, Celestrak CSV, Celestrak OMM JSON or a custom catalogue export
+ * @returns {Object} {format, entries}: format is 'tle', 'omm-xml', 'omm-kvn', 'csv', 'omm-json' or 'export'
+ * @throws {Error} When a structured format is recognised but cannot be read
+ */
+function parseElementText(text) {
+    const content = String(text).trim();
+    if (content.startsWith('<')) return { format: 'omm-xml', entries: parseOmmXml(content) };
+    if (/^CCSDS_OMM_VERS\s*=/m.test(content)) return { format: 'omm-kvn', entries: parseOmmKvn(content) };
+    if (/^"?OBJECT_NAME"?\s*,/i.test(content)) return { format: 'csv', entries: parseCelestrakCsv(content) };
+    if (content.startsWith('[')) {
+        let records;
+        try {
+            records = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`The text is not valid JSON: ${error.message}`);
+        }
+        const entries = records.map((record, index) => record && typeof record === 'object' ?
+            createOmmEntry(record, index + 1) :
+            { recordNumber: index + 1, lineNumber: null, name: null, line1: null, line2: null, satellite: null, error: 'Not an OMM object' });
+        return { format: 'omm-json', entries };
+    }
+    if (content.startsWith('{')) return { format: 'export', entries: parseCustomCatalogueJson(content) };
+    return { format: 'tle', entries: parseTleCatalogue(content) };
+}
+
+// --- Writing --- //
+
+// OMM keyword values for a parseTLE record (epoch to the microsecond, without a zone as OMM uses UTC)
+function toOmmFields(record) {
+    return {
+        OBJECT_NAME: record.OBJECT_NAME,
+        OBJECT_ID: record.OBJECT_ID || '',
+        EPOCH: String(record.EPOCH).replace(/Z$/, ''),
+        MEAN_MOTION: record.MEAN_MOTION,
+        ECCENTRICITY: record.ECCENTRICITY,
+        INCLINATION: record.INCLINATION,
+        RA_OF_ASC_NODE: record.RA_OF_ASC_NODE,
+        ARG_OF_PERICENTER: record.ARG_OF_PERICENTER,
+        MEAN_ANOMALY: record.MEAN_ANOMALY,
+        EPHEMERIS_TYPE: record.EPHEMERIS_TYPE || 0,
+        CLASSIFICATION_TYPE: record.CLASSIFICATION_TYPE || 'U',
+        NORAD_CAT_ID: decodeNoradId(record.NORAD_CAT_ID),
+        ELEMENT_SET_NO: record.ELEMENT_SET_NO,
+        REV_AT_EPOCH: record.REV_AT_EPOCH,
+        BSTAR: record.BSTAR,
+        MEAN_MOTION_DOT: record.MEAN_MOTION_DOT,
+        MEAN_MOTION_DDOT: record.MEAN_MOTION_DDOT
+    };
+}
+
+// Creation time in the OMM style (UTC, no zone)
+function getOmmCreationDate() {
+    return new Date().toISOString().replace(/Z$/, '');
+}
+
+function encodeXmlText(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Write records as CCSDS OMM XML (an <ndm> combined message holding one <omm> per record)
+ * @param {Array} records - parseTLE records
+ * @returns {string} The XML
+ */
+function formatOmmXml(records) {
+    const created = getOmmCreationDate();
+    const messages = records.map(record => {
+        const fields = toOmmFields(record);
+        const element = (name, indent) => `${indent}<${name}>${encodeXmlText(fields[name])}</${name}>`;
+        const meanElements = OMM_DATA_FIELDS.slice(0, 7).map(([name]) => element(name, '            '));
+        const tleParameters = OMM_DATA_FIELDS.slice(7).map(([name]) => element(name, '            '));
+        return [
+            `  <omm id="CCSDS_OMM_VERS" version="${OMM_VERSION}">`,
+            '    <header>',
+            `      <CREATION_DATE>${created}</CREATION_DATE>`,
+            '      <ORIGINATOR>satTank</ORIGINATOR>',
+            '    </header>',
+            '    <body>',
+            '      <segment>',
+            '        <metadata>',
+            element('OBJECT_NAME', '          '),
+            element('OBJECT_ID', '          '),
+            '          <CENTER_NAME>EARTH</CENTER_NAME>',
+            '          <REF_FRAME>TEME</REF_FRAME>',
+            '          <TIME_SYSTEM>UTC</TIME_SYSTEM>',
+            '          <MEAN_ELEMENT_THEORY>SGP4</MEAN_ELEMENT_THEORY>',
+            '        </metadata>',
+            '        <data>',
+            '          <meanElements>',
+            ...meanElements,
+            '          </meanElements>',
+            '          <tleParameters>',
+            ...tleParameters,
+            '          </tleParameters>',
+            '        </data>',
+            '      </segment>',
+            '    </body>',
+            '  </omm>'
+        ].join('\n');
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<ndm>\n${messages.join('\n')}\n</ndm>\n`;
+}
+
+/**
+ * Write records as CCSDS OMM KVN, one message per record separated by a blank line
+ * @param {Array} records - parseTLE records
+ * @returns {string} The KVN text
+ */
+function formatOmmKvn(records) {
+    const created = getOmmCreationDate();
+    return records.map(record => {
+        const fields = toOmmFields(record);
+        const line = (name, value, unit) => `${name.padEnd(20)}= ${value}${unit ? ` [${unit}]` : ''}`;
+        return [
+            line('CCSDS_OMM_VERS', OMM_VERSION),
+            line('CREATION_DATE', created),
+            line('ORIGINATOR', 'satTank'),
+            '',
+            'META_START',
+            line('OBJECT_NAME', fields.OBJECT_NAME),
+            line('OBJECT_ID', fields.OBJECT_ID),
+            line('CENTER_NAME', 'EARTH'),
+            line('REF_FRAME', 'TEME'),
+            line('TIME_SYSTEM', 'UTC'),
+            line('MEAN_ELEMENT_THEORY', 'SGP4'),
+            'META_STOP',
+            '',
+            ...OMM_DATA_FIELDS.map(([name, unit]) => line(name, fields[name], unit))
+        ].join('\n') + '\n';
+    }).join('\n');
+}
+
+/**
+ * Write records as Celestrak CSV
+ * @param {Array} records - parseTLE records
+ * @returns {string} The CSV text (header row first)
+ */
+function formatCelestrakCsv(records) {
+    const quote = (value) => {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = records.map(record => {
+        const fields = toOmmFields(record);
+        return CELESTRAK_CSV_COLUMNS.map(column => quote(fields[column])).join(',');
+    });
+    return [CELESTRAK_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Expose functions globally (non-module environment)
+window.parseOmmXml = parseOmmXml;
+window.parseOmmKvn = parseOmmKvn;
+window.parseCelestrakCsv = parseCelestrakCsv;
+window.parseElementText = parseElementText;
+window.formatOmmXml = formatOmmXml;
+window.formatOmmKvn = formatOmmKvn;
+window.formatCelestrakCsv = formatCelestrakCsv;
@@ -3,219 +3,476 @@
 // Constants for pass prediction (moved here for modularity)
 const PASS_PREDICTION_INTERVAL = 30000; // 30 seconds (Reduced loop iterations)
 const MAX_PREDICTION_TIME = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-const MIN_ELEVATION = 10; // Minimum elevation angle for a pass (degrees)
+const MIN_ELEVATION = 10; // Default minimum elevation angle for a pass (degrees)
+const DEFAULT_OBSERVER_ALTITUDE_KM = 0.370; // Default observer height above the ellipsoid
+
+// Constants for multi-pass prediction windows
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PREDICTION_DAYS = 3; // Default window for the pass table
+const MAX_PREDICTION_DAYS = 10; // TLE accuracy degrades quickly beyond this
+const DEFAULT_MAX_PASS_COUNT = 50; // Safety cap on the number of passes returned
+
+// Constants for AOS/TCA/LOS refinement
+const PASS_REFINEMENT_TOLERANCE = 100; // Stop refining once the bracket is below 100 ms
+const MAX_REFINEMENT_ITERATIONS = 40; // Safety break for bisection/golden-section loops
+const GOLDEN_RATIO_CONJUGATE = (Math.sqrt(5) - 1) / 2;
+const PASS_PROGRESS_ITERATIONS = 240; // Report progress (and yield) every 2 hours of searched time
+
+// Constants for optical visibility
+const VISIBILITY_MAX_SUN_ELEVATION = -6; // Observer must be at least in civil twilight darkness (degrees)
+
+// Constants for range-rate and Doppler calculations
+const SPEED_OF_LIGHT_KM_S = 299792.458;
 
 // Function to calculate next pass using the provided satellite object
-async function calculateNextPass(satellite, observerLat, observerLon) { // Accept full satellite object
-    let satrec; 
-    let tleSource = 'Unknown'; 
-    try {
-        console.log('[calculateNextPass] Starting for:', satellite.OBJECT_NAME);
-
-        // --- Robust Satrec Creation (Handles TLE or JSON) ---
-        if (satellite.TLE_LINE1 && satellite.TLE_LINE2 && 
-            typeof satellite.TLE_LINE1 === 'string' && satellite.TLE_LINE1.length === 69 &&
-            typeof satellite.TLE_LINE2 === 'string' && satellite.TLE_LINE2.length === 69 &&
-            satellite.TLE_LINE1.startsWith('1 ') && satellite.TLE_LINE2.startsWith('2 ')) {
-            
-            console.log('[calculateNextPass] Using embedded TLE data');
-            tleSource = 'Embedded';
-            satrec = window.satellite.twoline2satrec(satellite.TLE_LINE1, satellite.TLE_LINE2);
-
-        } else if (satellite.OBJECT_NAME && satellite.NORAD_CAT_ID && satellite.EPOCH && satellite.MEAN_MOTION) {
-            console.log('[calculateNextPass] Using Celestrak JSON data');
-            tleSource = 'Celestrak JSON';
-            const satJson = { 
-                OBJECT_NAME: satellite.OBJECT_NAME,
-                OBJECT_ID: satellite.OBJECT_ID || satellite.INTL_DES || 'UNKNOWN',
-                EPOCH: satellite.EPOCH,
-                MEAN_MOTION: parseFloat(satellite.MEAN_MOTION),
-                ECCENTRICITY: parseFloat(satellite.ECCENTRICITY),
-                INCLINATION: parseFloat(satellite.INCLINATION),
-                RA_OF_ASC_NODE: parseFloat(satellite.RA_OF_ASC_NODE),
-                ARG_OF_PERICENTER: parseFloat(satellite.ARG_OF_PERICENTER),
-                MEAN_ANOMALY: parseFloat(satellite.MEAN_ANOMALY),
-                EPHEMERIS_TYPE: satellite.EPHEMERIS_TYPE || 0,
-                CLASSIFICATION_TYPE: satellite.CLASSIFICATION_TYPE || "U",
-                NORAD_CAT_ID: parseInt(satellite.NORAD_CAT_ID),
-                ELEMENT_SET_NO: satellite.ELEMENT_SET_NO || 999,
-                REV_AT_EPOCH: satellite.REV_AT_EPOCH || 0,
-                BSTAR: satellite.BSTAR || 0.0001, 
-                MEAN_MOTION_DOT: satellite.MEAN_MOTION_DOT || 0,
-                MEAN_MOTION_DDOT: satellite.MEAN_MOTION_DDOT || 0
-            };
-             if (isNaN(satJson.NORAD_CAT_ID) || isNaN(satJson.MEAN_MOTION) || !satJson.EPOCH) {
-                throw new Error('Incomplete Celestrak JSON data for satrec creation');
-            }
-            satrec = window.satellite.json2satrec(satJson);
-        } else {
-            throw new Error('Satellite object format not recognized or missing required data for satrec creation.');
+// observerOptions may carry altitude, minElevation, horizonMask and refraction (see createObserver)
+async function calculateNextPass(satellite, observerLat, observerLon, observerOptions = {}) { // Accept full satellite object
+    const passes = await calculatePasses(
+        satellite,
+        { ...observerOptions, latitude: observerLat, longitude: observerLon },
+        { days: MAX_PREDICTION_TIME / DAY_IN_MS, maxCount: 1 }
+    );
+    return passes.length > 0 ? passes[0] : null;
+}
+
+/**
+ * Build a complete observer model, filling in defaults
+ * @param {Object} observer - Observer settings
+ * @param {number} observer.latitude - Latitude in degrees
+ * @param {number} observer.longitude - Longitude in degrees
+ * @param {number} [observer.altitude] - Height above the ellipsoid in km (defaults to DEFAULT_OBSERVER_ALTITUDE_KM)
+ * @param {number} [observer.minElevation] - Elevation a pass must exceed, in degrees (defaults to MIN_ELEVATION)
+ * @param {Array} [observer.horizonMask] - Obstructions as [{azimuth, elevation}] in degrees, interpolated between points
+ * @param {boolean} [observer.refraction] - Apply atmospheric refraction to elevations
+ * @returns {Object} The observer with defaults applied and a `geodetic` property for satellite.js
+ */
+function createObserver(observer) {
+    const altitude = Number.isFinite(observer.altitude) ? observer.altitude : DEFAULT_OBSERVER_ALTITUDE_KM;
+    const minElevation = Number.isFinite(observer.minElevation) ? observer.minElevation : MIN_ELEVATION;
+    const horizonMask = Array.isArray(observer.horizonMask)
+        ? observer.horizonMask
+            .map(point => ({ azimuth: ((point.azimuth % 360) + 360) % 360, elevation: point.elevation }))
+            .sort((a, b) => a.azimuth - b.azimuth)
+        : [];
+
+    return {
+        latitude: observer.latitude,
+        longitude: observer.longitude,
+        altitude: altitude,
+        minElevation: minElevation,
+        horizonMask: horizonMask,
+        refraction: Boolean(observer.refraction),
+        geodetic: {
+            longitude: observer.longitude * Math.PI / 180,
+            latitude: observer.latitude * Math.PI / 180,
+            height: altitude
         }
+    };
+}
 
-        // Validate satrec creation
-        if (!satrec) {
-            throw new Error(`Failed to create satellite record (Source: ${tleSource}) - satrec is null/undefined.`);
+// Parse a horizon mask written as "azimuth:elevation" pairs, e.g. "0:5, 90:15, 200:8"
+function parseHorizonMask(text) {
+    const mask = [];
+    if (!text || !text.trim()) return mask;
+
+    text.split(/[,;\n]+/).forEach(entry => {
+        const trimmed = entry.trim();
+        if (!trimmed) return;
+        const parts = trimmed.split(/[:\s]+/);
+        const azimuth = parseFloat(parts[0]);
+        const elevation = parseFloat(parts[1]);
+        if (parts.length !== 2 || isNaN(azimuth) || isNaN(elevation)) {
+            throw new Error(`Invalid horizon mask entry "${trimmed}" (expected azimuth:elevation)`);
         }
-        if (satrec.error !== 0) {
-            throw new Error(`Satellite record creation error (Source: ${tleSource}): ${satrec.error}`);
+        if (azimuth < 0 || azimuth > 360 || elevation < -5 || elevation > 90) {
+            throw new Error(`Horizon mask entry "${trimmed}" is out of range (azimuth 0-360, elevation -5 to 90)`);
         }
-        console.log(`[calculateNextPass] Successfully created satrec from ${tleSource} data.`);
-        // --- End Satrec Creation ---
+        mask.push({ azimuth, elevation });
+    });
+    return mask;
+}
+
+// Elevation of the effective horizon (minimum elevation or mask, whichever is higher) at an azimuth
+function getHorizonElevation(observer, azimuth) {
+    const mask = observer.horizonMask;
+    if (!mask || mask.length === 0) return observer.minElevation;
+    if (mask.length === 1) return Math.max(observer.minElevation, mask[0].elevation);
+
+    // Linear interpolation between neighbouring mask points, wrapping around north
+    const az = ((azimuth % 360) + 360) % 360;
+    let next = mask.findIndex(point => point.azimuth >= az);
+    if (next === -1) next = 0;
+    const prev = (next - 1 + mask.length) % mask.length;
+    const prevPoint = mask[prev];
+    const nextPoint = mask[next];
+    const span = ((nextPoint.azimuth - prevPoint.azimuth) + 360) % 360 || 360;
+    const offset = ((az - prevPoint.azimuth) + 360) % 360;
+    const maskElevation = prevPoint.elevation + (nextPoint.elevation - prevPoint.elevation) * (offset / span);
+    return Math.max(observer.minElevation, maskElevation);
+}
 
-        // --- Pass Calculation Logic --- (Uses the created satrec)
-        const now = new Date();
-        const endTime = new Date(now.getTime() + MAX_PREDICTION_TIME);
-        let currentTime = now;
+// Apparent elevation after atmospheric refraction (Saemundsson's formula, standard atmosphere)
+function applyRefraction(elevation) {
+    if (elevation < -1) return elevation; // Formula is not meaningful well below the horizon
+    const refractionArcmin = 1.02 / Math.tan((elevation + 10.3 / (elevation + 5.11)) * Math.PI / 180);
+    return elevation + refractionArcmin / 60;
+}
+
+/**
+ * Calculate every pass of a satellite over an observer within a time window
+ * @param {Object} satellite - The satellite object (Celestrak JSON or custom format with TLE lines)
+ * @param {Object} observer - Observer {latitude, longitude} in degrees, plus optional createObserver settings
+ * @param {Object} [options] - Search window options
+ * @param {Date} [options.start] - Start of the window (defaults to now)
+ * @param {number} [options.days] - Length of the window in days (defaults to DEFAULT_PREDICTION_DAYS)
+ * @param {number} [options.maxCount] - Maximum number of passes to return
+ * @param {Function} [options.onProgress] - Called with the fraction (0-1) of the window searched so far
+ * @param {AbortSignal} [options.signal] - Aborts the search (the promise rejects with the signal's reason)
+ * @returns {Promise<Array>} Passes in chronological order, each {startTime, endTime, tca, tcaAzimuth, maxElevation, duration,
+ *     direction, visibility, visibleStart, visibleEnd, twilight, lookAnglePoints}
+ */
+async function calculatePasses(satellite, observer, options = {}) {
+    try {
+        console.log('[calculatePasses] Starting for:', satellite.OBJECT_NAME);
+        const satrec = getSatrec(satellite);
+
+        // --- Search Window ---
+        const windowStart = options.start ? new Date(options.start) : new Date();
+        const requestedDays = Number(options.days);
+        const days = requestedDays > 0 ? Math.min(requestedDays, MAX_PREDICTION_DAYS) : DEFAULT_PREDICTION_DAYS;
+        const maxCount = options.maxCount > 0 ? options.maxCount : DEFAULT_MAX_PASS_COUNT;
+        const windowEnd = new Date(windowStart.getTime() + days * DAY_IN_MS);
+
+        const observerModel = createObserver(observer);
+
+        console.log('[calculatePasses] Time Window Start:', windowStart.toISOString());
+        console.log('[calculatePasses] Time Window End:  ', windowEnd.toISOString());
+        console.log('[calculatePasses] Min Elevation Threshold:', observerModel.minElevation,
+            `(horizon mask points: ${observerModel.horizonMask.length})`);
+
+        const passes = [];
+        let currentTime = windowStart;
+        let previousTime = null; // Time of the previous successful sample, used to bracket crossings
         let passStart = null;
         let maxElevation = 0;
-        let passEnd = null;
-        let isInPass = false;
-
-        console.log('[calculateNextPass] Time Window Start:', now.toISOString());
-        console.log('[calculateNextPass] Time Window End:  ', endTime.toISOString());
-        console.log('[calculateNextPass] Min Elevation Threshold:', MIN_ELEVATION);
-
-        // Convert observer coordinates to radians
-        const observerGd = {
-            longitude: observerLon * Math.PI / 180, // Corrected assignment
-            latitude:  observerLat * Math.PI / 180,  // Corrected assignment
-            height: 0.370 // Assuming average observer height in km
-        };
-
-        // console.log('[calculateNextPass] Starting prediction loop...');
+        let tca = null;
         let iterations = 0; // Debug counter
-        const maxIterations = (MAX_PREDICTION_TIME / PASS_PREDICTION_INTERVAL) + 2; // Safety break
+        const maxIterations = ((windowEnd - windowStart) / PASS_PREDICTION_INTERVAL) + 2; // Safety break
+
+        // Finalise a pass once its start and end are known
+        const recordPass = async (passEnd) => {
+            // Refine the culmination around the best sample, staying inside the pass
+            const searchStart = new Date(Math.max(passStart.getTime(), tca.getTime() - PASS_PREDICTION_INTERVAL));
+            const searchEnd = new Date(Math.min(passEnd.getTime(), tca.getTime() + PASS_PREDICTION_INTERVAL));
+            const culmination = refineCulmination(satrec, observerModel, searchStart, searchEnd);
+            const tcaLookAngles = culmination || getLookAnglesAt(satrec, tca, observerModel);
+            if (culmination && culmination.elevation > maxElevation) {
+                maxElevation = culmination.elevation;
+                tca = culmination.time;
+            }
 
-        while (currentTime <= endTime && iterations < maxIterations) {
-            iterations++; // Increment counter
+            const direction = await calculatePassDirection(satrec, passStart, observerModel);
+            const lookAnglePoints = calculatePassLookAngles(satrec, passStart, passEnd, observerModel, [tca]);
+            const visibility = classifyPassVisibility(lookAnglePoints);
+            passes.push({
+                startTime: passStart,
+                endTime: passEnd,
+                tca: tca,
+                tcaAzimuth: tcaLookAngles ? tcaLookAngles.azimuth : null,
+                maxElevation: maxElevation,
+                duration: (passEnd - passStart) / 1000, // Duration might be up to window end
+                direction: direction,
+                visibility: visibility.visibility,
+                visibleStart: visibility.visibleStart,
+                visibleEnd: visibility.visibleEnd,
+                twilight: visibility.twilight,
+                lookAnglePoints: lookAnglePoints
+            });
+        };
+
+        while (currentTime <= windowEnd && iterations < maxIterations && passes.length < maxCount) {
+            iterations++;
+            if (iterations % PASS_PROGRESS_ITERATIONS === 0) {
+                // Report progress and yield so a cancellation (or worker message) can be handled
+                if (options.onProgress) options.onProgress((currentTime - windowStart) / (windowEnd - windowStart));
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (options.signal) options.signal.throwIfAborted();
+            }
             try {
-                // Propagate satellite position using the created satrec
-                 const positionAndVelocity = window.satellite.propagate(satrec, currentTime);
-
-                 // Log the result of propagate RIGHT AFTER calling it
-                 // if (i % 100 === 0) { 
-                 //     console.log(`[Loop ${i}] Time: ${currentTime.toISOString()}, Propagate Result:`, positionAndVelocity);
-                 // }
-
-                 if (!positionAndVelocity || !positionAndVelocity.position || !positionAndVelocity.velocity) {
-                     // Log if propagation failed
-                     console.warn(`[Loop ${iterations}] Propagation failed or invalid result at ${currentTime.toISOString()}`);
-                     currentTime = new Date(currentTime.getTime() + PASS_PREDICTION_INTERVAL);
-                      continue;
-                 }
-                 const positionEci = positionAndVelocity.position;
-                 const gmst = window.satellite.gstime(currentTime);
-                 const positionEcf = window.satellite.eciToEcf(positionEci, gmst);
-                 const lookAngles = window.satellite.ecfToLookAngles(observerGd, positionEcf);
-                 const elevation = lookAngles.elevation * 180 / Math.PI;
-
-                 // Log elevation at each step for debugging
-                 // if (iterations % 60 === 0) { // Log roughly every minute - Adjusted logging frequency
-                 //    console.log(`[calcNextPass Loop ${iterations}] Time: ${currentTime.toISOString()}, Elevation: ${elevation.toFixed(2)}`);
-                 // }
-
-                 if (elevation >= MIN_ELEVATION) {
-                     if (!isInPass) {
-                         passStart = new Date(currentTime);
-                         isInPass = true;
-                         console.log(`%c[calculateNextPass] Pass STARTED at: ${passStart.toISOString()}, Elevation: ${elevation.toFixed(1)}`, 'color: green;'); // Added log
-                     }
-                     maxElevation = Math.max(maxElevation, elevation);
-                 } else if (isInPass) {
-                     passEnd = new Date(currentTime);
-                     isInPass = false; // Reset isInPass flag
-                     console.log(`%c[calculateNextPass] Pass ENDED at: ${passEnd.toISOString()}, Max Elevation during pass: ${maxElevation.toFixed(1)}`, 'color: red;'); // Added log
-                     break; // Exit loop once a pass is found and ends
-                 }
-            } catch (error) { // Make sure isInPass is reset on error too?
-                 // Use console.log for errors inside the loop for maximum visibility
-                 console.log(`[calculateNextPass] CAUGHT ERROR during loop at ${currentTime.toISOString()}:`, error);
+                const lookAngles = getLookAnglesAt(satrec, currentTime, observerModel);
+
+                if (!lookAngles) {
+                    console.warn(`[Loop ${iterations}] Propagation failed or invalid result at ${currentTime.toISOString()}`);
+                    previousTime = null; // Do not bracket a crossing across a failed sample
+                    currentTime = new Date(currentTime.getTime() + PASS_PREDICTION_INTERVAL);
+                    continue;
+                }
+                const elevation = lookAngles.elevation;
+
+                if (lookAngles.aboveHorizon) {
+                    if (!passStart) {
+                        // Refine AOS between the last sample below the horizon and this one
+                        passStart = previousTime
+                            ? refineHorizonCrossing(satrec, observerModel, previousTime, currentTime)
+                            : new Date(currentTime);
+                        maxElevation = elevation;
+                        tca = new Date(currentTime);
+                    } else if (elevation > maxElevation) {
+                        maxElevation = elevation;
+                        tca = new Date(currentTime);
+                    }
+                } else if (passStart) {
+                    // Refine LOS between the last sample above the horizon and this one
+                    const passEnd = previousTime
+                        ? refineHorizonCrossing(satrec, observerModel, previousTime, currentTime)
+                        : new Date(currentTime);
+                    await recordPass(passEnd);
+                    console.log(`%c[calculatePasses] Pass ${passes.length}: ${passStart.toISOString()} - ${passEnd.toISOString()}, Max Elevation: ${maxElevation.toFixed(2)}`, 'color: green;');
+                    passStart = null;
+                    tca = null;
+                    maxElevation = 0;
+                }
+                previousTime = currentTime;
+            } catch (error) {
+                console.log(`[calculatePasses] CAUGHT ERROR during loop at ${currentTime.toISOString()}:`, error);
+                previousTime = null;
             }
-             currentTime = new Date(currentTime.getTime() + PASS_PREDICTION_INTERVAL);
+            currentTime = new Date(currentTime.getTime() + PASS_PREDICTION_INTERVAL);
         }
-        // console.log('[calculateNextPass] Prediction loop finished.');
-        if(iterations >= maxIterations) {
-             console.warn('[calculateNextPass] Loop exceeded max iterations, breaking.');
+        if (iterations >= maxIterations) {
+            console.warn('[calculatePasses] Loop exceeded max iterations, breaking.');
         }
 
-        // If a pass started, return the details.
-        // Handle passes ongoing at the end of the prediction window.
-        if (passStart) { 
-            // If pass was still ongoing when loop ended, set passEnd to the window end time
-            if (!passEnd) {
-                // console.log('[calculateNextPass] Pass ongoing at end of window. Setting end time to window end.');
-                passEnd = endTime; 
-            }
-
-            // console.log('[calculateNextPass] Pass found. Calculating direction...');
-             // Pass the created satrec to calculatePassDirection
-             const direction = await calculatePassDirection(satrec, passStart, observerLat, observerLon);
-             // Calculate look angle points for the visualization
-             const lookAnglePoints = calculatePassLookAngles(satrec, passStart, passEnd, observerLat, observerLon);
-             // console.log('[calculateNextPass] Pass direction calculated:', direction);
-             return {
-                 startTime: passStart,
-                 endTime: passEnd, 
-                 maxElevation: maxElevation,
-                 duration: (passEnd - passStart) / 1000, // Duration might be up to window end
-                 direction: direction,
-                 lookAnglePoints: lookAnglePoints 
-             };
-        } else {
-            // console.log('[calculateNextPass] No pass found within the prediction window.');
-             return null;
+        // A pass still ongoing at the end of the window is cut off at the window end
+        if (passStart && passes.length < maxCount) {
+            await recordPass(windowEnd);
         }
+        if (options.onProgress) options.onProgress(1);
+
+        console.log(`[calculatePasses] Found ${passes.length} pass(es).`);
+        return passes;
     } catch (error) {
-         console.error('[calculateNextPass] Main function error:', error);
+         if (error.name !== 'AbortError') console.error('[calculatePasses] Main function error:', error);
          throw error;
     }
 }
 
-// New function to calculate Look Angles (Az/El) during a specific pass interval
-function calculatePassLookAngles(satrec, startTime, endTime, observerLat, observerLon) {
-    const lookAnglePoints = [];
-    let currentTime = new Date(startTime.getTime());
-    const intervalMs = 30 * 1000; // Calculate point every 30 seconds
+// Propagate to a time and return look angles in degrees (refracted if enabled), or null if propagation fails
+// aboveHorizon tells whether the satellite clears the observer's minimum elevation and horizon mask
+function getLookAnglesAt(satrec, time, observer) {
+    let angles;
+    try {
+        angles = lookAngles(satrec, time, observer);
+    } catch (error) {
+        if (error instanceof PropagationError) return null;
+        throw error;
+    }
+    const elevation = observer.refraction ? applyRefraction(angles.elevation) : angles.elevation;
+    return {
+        azimuth: angles.azimuth,
+        elevation,
+        aboveHorizon: elevation >= getHorizonElevation(observer, angles.azimuth),
+        rangeSat: angles.rangeSat,
+        positionEci: angles.positionEci,
+        velocityEci: angles.velocityEci,
+        gmst: angles.gmst
+    };
+}
 
-    const observerGd = {
-        longitude: observerLon * Math.PI / 180,
-        latitude: observerLat * Math.PI / 180,
-        height: 0.370 // Observer height in km
+// Rate of change of the observer-satellite distance in km/s (positive when the satellite is receding)
+function calculateRangeRate(positionEci, velocityEci, gmst, observer) {
+    const positionEcf = window.satellite.eciToEcf(positionEci, gmst);
+    const rotatedVelocity = window.satellite.eciToEcf(velocityEci, gmst);
+    // Earth-fixed velocity removes the frame rotation: v_ecf = R v_eci - omega x r_ecf
+    const velocityEcf = {
+        x: rotatedVelocity.x + EARTH_ROTATION_RATE * positionEcf.y,
+        y: rotatedVelocity.y - EARTH_ROTATION_RATE * positionEcf.x,
+        z: rotatedVelocity.z
+    };
+    const observerEcf = window.satellite.geodeticToEcf(observer.geodetic);
+    const relative = {
+        x: positionEcf.x - observerEcf.x,
+        y: positionEcf.y - observerEcf.y,
+        z: positionEcf.z - observerEcf.z
     };
+    const range = Math.sqrt(relative.x * relative.x + relative.y * relative.y + relative.z * relative.z);
+    return (relative.x * velocityEcf.x + relative.y * velocityEcf.y + relative.z * velocityEcf.z) / range;
+}
 
-    // console.log(`[PassLookAngles] Calculating look angles from ${startTime.toISOString()} to ${endTime.toISOString()}`);
+/**
+ * Doppler-corrected frequencies for a nominal frequency (first-order, non-relativistic)
+ * @param {number} nominalFrequency - Nominal frequency (any unit; results use the same unit)
+ * @param {number} rangeRate - Range rate in km/s (positive when receding)
+ * @returns {Object} {downlink, uplink, offset}: frequency heard on the ground, frequency to transmit so the
+ *     satellite hears the nominal frequency, and the downlink offset from nominal
+ */
+function calculateDopplerShift(nominalFrequency, rangeRate) {
+    const factor = rangeRate / SPEED_OF_LIGHT_KM_S;
+    const downlink = nominalFrequency * (1 - factor);
+    return {
+        downlink: downlink,
+        uplink: nominalFrequency * (1 + factor),
+        offset: downlink - nominalFrequency
+    };
+}
 
-    while (currentTime <= endTime) {
-        try {
-            const positionAndVelocity = window.satellite.propagate(satrec, currentTime);
-            if (!positionAndVelocity || !positionAndVelocity.position) {
-                currentTime = new Date(currentTime.getTime() + intervalMs);
-                continue;
-            }
+// Find the time the satellite crosses the effective horizon between two bracketing samples (bisection)
+function refineHorizonCrossing(satrec, observer, time1, time2) {
+    let low = time1.getTime();
+    let high = time2.getTime();
+    const lowAngles = getLookAnglesAt(satrec, time1, observer);
+    if (!lowAngles) return new Date(high);
+    const lowIsAbove = lowAngles.aboveHorizon;
+
+    for (let i = 0; i < MAX_REFINEMENT_ITERATIONS && (high - low) > PASS_REFINEMENT_TOLERANCE; i++) {
+        const mid = (low + high) / 2;
+        const midAngles = getLookAnglesAt(satrec, new Date(mid), observer);
+        if (!midAngles) break;
+        if (midAngles.aboveHorizon === lowIsAbove) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    // Report the first instant on the visible side of the crossing
+    return new Date(Math.round(lowIsAbove ? low : high));
+}
 
-            const gmst = window.satellite.gstime(currentTime);
-            const positionEcf = window.satellite.eciToEcf(positionAndVelocity.position, gmst);
-            const lookAngles = window.satellite.ecfToLookAngles(observerGd, positionEcf);
+// Find the time of maximum elevation within a bracket (golden-section search)
+function refineCulmination(satrec, observer, startTime, endTime) {
+    let low = startTime.getTime();
+    let high = endTime.getTime();
+    let x1 = high - GOLDEN_RATIO_CONJUGATE * (high - low);
+    let x2 = low + GOLDEN_RATIO_CONJUGATE * (high - low);
+    let f1 = getLookAnglesAt(satrec, new Date(x1), observer);
+    let f2 = getLookAnglesAt(satrec, new Date(x2), observer);
+    if (!f1 || !f2) return null;
+
+    for (let i = 0; i < MAX_REFINEMENT_ITERATIONS && (high - low) > PASS_REFINEMENT_TOLERANCE; i++) {
+        if (f1.elevation < f2.elevation) {
+            low = x1;
+            x1 = x2;
+            f1 = f2;
+            x2 = low + GOLDEN_RATIO_CONJUGATE * (high - low);
+            f2 = getLookAnglesAt(satrec, new Date(x2), observer);
+        } else {
+            high = x2;
+            x2 = x1;
+            f2 = f1;
+            x1 = high - GOLDEN_RATIO_CONJUGATE * (high - low);
+            f1 = getLookAnglesAt(satrec, new Date(x1), observer);
+        }
+        if (!f1 || !f2) return null;
+    }
 
-            // Convert to degrees
-            const azimuth = lookAngles.azimuth * 180 / Math.PI;
-            const elevation = lookAngles.elevation * 180 / Math.PI;
+    const time = new Date(Math.round((low + high) / 2));
+    const angles = getLookAnglesAt(satrec, time, observer);
+    return angles ? { time, azimuth: angles.azimuth, elevation: angles.elevation } : null;
+}
 
-            if (!isNaN(azimuth) && !isNaN(elevation)) {
-                lookAnglePoints.push({ azimuth, elevation });
-            }
+// New function to calculate Look Angles (Az/El) during a specific pass interval
+// Samples every 30 seconds, always including the exact pass end and any extra times (e.g. TCA)
+function calculatePassLookAngles(satrec, startTime, endTime, observer, extraTimes = []) {
+    const lookAnglePoints = [];
+    const intervalMs = 30 * 1000; // Calculate point every 30 seconds
 
+    // Build the sample times: regular steps, the exact end time, and any extra instants inside the pass
+    const sampleTimes = [];
+    for (let t = startTime.getTime(); t < endTime.getTime(); t += intervalMs) {
+        sampleTimes.push(t);
+    }
+    sampleTimes.push(endTime.getTime());
+    extraTimes.forEach(time => {
+        if (time && time > startTime && time < endTime) sampleTimes.push(time.getTime());
+    });
+    sampleTimes.sort((a, b) => a - b);
+
+    sampleTimes.forEach(t => {
+        const currentTime = new Date(t);
+        try {
+            const lookAngles = getLookAnglesAt(satrec, currentTime, observer);
+            if (lookAngles) {
+                // Optical visibility: satellite illuminated while the observer is in darkness
+                const sunEci = calculateSunPositionEci(currentTime);
+                const eclipse = calculateEclipseState(lookAngles.positionEci, sunEci);
+                const sunElevation = calculateSolarElevation(currentTime, observer.latitude, observer.longitude);
+                lookAnglePoints.push({
+                    time: currentTime,
+                    azimuth: lookAngles.azimuth,
+                    elevation: lookAngles.elevation,
+                    range: lookAngles.rangeSat,
+                    rangeRate: calculateRangeRate(lookAngles.positionEci, lookAngles.velocityEci, lookAngles.gmst, observer),
+                    eclipse: eclipse,
+                    sunElevation: sunElevation,
+                    visible: eclipse !== 'umbra' && sunElevation <= VISIBILITY_MAX_SUN_ELEVATION
+                });
+            }
         } catch(error) {
             console.error(`[PassLookAngles] Error during calculation at ${currentTime.toISOString()}:`, error);
         }
-        currentTime = new Date(currentTime.getTime() + intervalMs);
-    }
-    // console.log(`[PassLookAngles] Calculated ${lookAnglePoints.length} look angle points.`);
+    });
     return lookAnglePoints;
 }
 
+/**
+ * Sample azimuth/elevation at a fixed step between two times (used for rotator tracking)
+ * @param {Object} satellite - The satellite object
+ * @param {Object} observer - Observer settings (see createObserver)
+ * @param {Date} startTime - First sample time
+ * @param {Date} endTime - Last sample time (always included)
+ * @param {number} stepMs - Step between samples in milliseconds
+ * @returns {Array} Points {time, azimuth, elevation}
+ */
+function calculateTrackingPoints(satellite, observer, startTime, endTime, stepMs) {
+    const satrec = getSatrec(satellite);
+    const observerModel = createObserver(observer);
+    const points = [];
+    const sampleTimes = [];
+    for (let t = startTime.getTime(); t < endTime.getTime(); t += stepMs) {
+        sampleTimes.push(t);
+    }
+    sampleTimes.push(endTime.getTime());
+
+    sampleTimes.forEach(t => {
+        const time = new Date(t);
+        const lookAngles = getLookAnglesAt(satrec, time, observerModel);
+        if (lookAngles) {
+            points.push({ time, azimuth: lookAngles.azimuth, elevation: lookAngles.elevation });
+        }
+    });
+    return points;
+}
+
+/**
+ * Classify a pass by optical visibility from its look-angle points
+ * @param {Array} lookAnglePoints - Points from calculatePassLookAngles
+ * @returns {Object} {visibility: 'visible'|'daylight'|'eclipsed', visibleStart, visibleEnd, twilight}
+ */
+function classifyPassVisibility(lookAnglePoints) {
+    const visiblePoints = lookAnglePoints.filter(point => point.visible);
+    const darkestSunElevation = Math.min(...lookAnglePoints.map(point => point.sunElevation));
+    const twilight = isFinite(darkestSunElevation) ? getTwilightLevel(darkestSunElevation) : null;
+
+    if (visiblePoints.length > 0) {
+        return {
+            visibility: 'visible',
+            visibleStart: visiblePoints[0].time,
+            visibleEnd: visiblePoints[visiblePoints.length - 1].time,
+            twilight: twilight
+        };
+    }
+    // Not visible: either the sky is too bright, or the observer is dark but the satellite is in shadow
+    const observerInDaylight = !(darkestSunElevation <= VISIBILITY_MAX_SUN_ELEVATION);
+    return {
+        visibility: observerInDaylight ? 'daylight' : 'eclipsed',
+        visibleStart: null,
+        visibleEnd: null,
+        twilight: twilight
+    };
+}
+
 // Function to calculate pass direction using a pre-created satrec
-async function calculatePassDirection(satrec, time, observerLat, observerLon) { // Accepts satrec directly
+async function calculatePassDirection(satrec, time, observer) { // Accepts satrec and observer model directly
     try {
         // No need to fetch TLE or create satrec here, it's passed in
         // console.log('[calculatePassDirection] Starting with pre-created satrec at time:', time.toISOString());
@@ -224,29 +481,8 @@ async function calculatePassDirection(satrec, time, observerLat, observerLon) {
              throw new Error('Invalid satrec received in calculatePassDirection');
         }
 
-        // Propagate to the specified time (pass start time)
-        const positionAndVelocity = window.satellite.propagate(satrec, time);
-         if (!positionAndVelocity || !positionAndVelocity.position) {
-            // console.warn(`[calculatePassDirection] Propagation failed for time: ${time.toISOString()}`);
-            return 'Unknown'; // Cannot determine direction if propagation fails
-         }
-
-        const positionEci = positionAndVelocity.position;
-
-        // Observer geodetic coordinates (ensure correct assignment)
-        const observerGd = {
-            longitude: observerLon * Math.PI / 180, // Longitude comes from observerLon
-            latitude: observerLat * Math.PI / 180,  // Latitude comes from observerLat
-            height: 0.370
-        };
-
-        // Calculate GMST and ECF position
-        const gmst = window.satellite.gstime(time);
-        const positionEcf = window.satellite.eciToEcf(positionEci, gmst);
-
-        // Calculate Look Angles
-        const lookAngles = window.satellite.ecfToLookAngles(observerGd, positionEcf);
-        const azimuth = lookAngles.azimuth * 180 / Math.PI; // Azimuth in degrees
+        // Azimuth at the specified time (pass start time); propagation errors fall through to 'Unknown'
+        const azimuth = lookAngles(satrec, time, observer).azimuth;
 
         // console.log(`[calculatePassDirection] Calculated Azimuth at pass start: ${azimuth.toFixed(1)}`);
 
@@ -264,4 +500,12 @@ async function calculatePassDirection(satrec, time, observerLat, observerLon) {
 
 // Make functions globally available if not using modules
 window.calculateNextPass = calculateNextPass;
-window.calculatePassDirection = calculatePassDirection; 
\ No newline at end of file
+window.calculatePasses = calculatePasses;
+window.calculatePassDirection = calculatePassDirection;
+window.classifyPassVisibility = classifyPassVisibility;
+window.createObserver = createObserver;
+window.parseHorizonMask = parseHorizonMask;
+window.getHorizonElevation = getHorizonElevation;
+window.applyRefraction = applyRefraction;
+window.calculateDopplerShift = calculateDopplerShift;
+window.calculateTrackingPoints = calculateTrackingPoints; 
\ No newline at end of file
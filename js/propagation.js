@@ -0,0 +1,269 @@
+// propagation.js - Shared SGP4 propagation engine (satrec cache, typed errors and frame helpers)
+
+// Constants for propagation
+const SATREC_CACHE_LIMIT = 20000; // Oldest satrecs are evicted beyond this (large enough for whole categories)
+const EARTH_ROTATION_RATE = 7.292115e-5; // rad/s
+const EARTH_GRAVITATIONAL_PARAMETER = 398600.4418; // km^3/s^2
+
+// SGP4 error codes set on satrec.error (see satellite.js SatRecError)
+const SGP4_ERRORS = {
+    1: { reason: 'eccentricity', message: 'Mean eccentricity is out of range (e >= 1 or e < -0.001)' },
+    2: { reason: 'meanMotion', message: 'Mean motion is below zero' },
+    3: { reason: 'perturbedEccentricity', message: 'Perturbed eccentricity is out of range (e < 0 or e > 1)' },
+    4: { reason: 'semiLatusRectum', message: 'Semi-latus rectum is below zero' },
+    5: { reason: 'subOrbital', message: 'Epoch elements are sub-orbital' },
+    6: { reason: 'decayed', message: 'Satellite has decayed' }
+};
+
+// Satrecs keyed by the elements they were built from (Map keeps insertion order for eviction)
+const satrecCache = new Map();
+
+// Base class for all propagation failures
+class PropagationError extends Error {
+    constructor(message, satelliteName) {
+        super(message);
+        this.name = 'PropagationError';
+        this.satelliteName = satelliteName || null;
+    }
+}
+
+// The satellite object is not a recognised TLE or Celestrak JSON record
+class SatelliteFormatError extends PropagationError {
+    constructor(message, satelliteName) {
+        super(message, satelliteName);
+        this.name = 'SatelliteFormatError';
+    }
+}
+
+// SGP4 rejected the elements or the propagation time; code is the satrec.error value
+class Sgp4Error extends PropagationError {
+    constructor(code, satelliteName, time = null) {
+        const known = SGP4_ERRORS[code];
+        const when = time ? ` at ${time.toISOString()}` : '';
+        super(`${known ? known.message : `SGP4 error ${code}`}${when}`, satelliteName);
+        this.name = 'Sgp4Error';
+        this.code = code;
+        this.reason = known ? known.reason : 'unknown';
+        this.time = time;
+    }
+}
+
+// Whether a satellite object carries two valid-looking TLE lines
+function hasEmbeddedTle(satellite) {
+    return typeof satellite.TLE_LINE1 === 'string' && satellite.TLE_LINE1.length === 69 &&
+        typeof satellite.TLE_LINE2 === 'string' && satellite.TLE_LINE2.length === 69 &&
+        satellite.TLE_LINE1.startsWith('1 ') && satellite.TLE_LINE2.startsWith('2 ');
+}
+
+// Cache key identifying a satellite and the exact element set (epoch) it was built from
+function getSatrecCacheKey(satellite) {
+    if (hasEmbeddedTle(satellite)) {
+        return `TLE|${satellite.TLE_LINE1}|${satellite.TLE_LINE2}`;
+    }
+    return ['JSON', satellite.NORAD_CAT_ID, satellite.EPOCH, satellite.MEAN_MOTION, satellite.ECCENTRICITY,
+        satellite.INCLINATION, satellite.RA_OF_ASC_NODE, satellite.ARG_OF_PERICENTER, satellite.MEAN_ANOMALY,
+        satellite.BSTAR].join('|');
+}
+
+// Build a satrec from a satellite object (embedded TLE lines or Celestrak JSON)
+function createSatrec(satellite) {
+    const name = satellite.OBJECT_NAME;
+    let satrec;
+    if (hasEmbeddedTle(satellite)) {
+        satrec = window.satellite.twoline2satrec(satellite.TLE_LINE1, satellite.TLE_LINE2);
+    } else if (satellite.OBJECT_NAME && satellite.NORAD_CAT_ID && satellite.EPOCH && satellite.MEAN_MOTION) {
+        // Prepare JSON object for json2satrec (ensure required fields are present and parsed)
+        const satJson = {
+            OBJECT_NAME: satellite.OBJECT_NAME,
+            OBJECT_ID: satellite.OBJECT_ID || satellite.INTL_DES || 'UNKNOWN', // Handle potential missing fields
+            EPOCH: satellite.EPOCH,
+            MEAN_MOTION: parseFloat(satellite.MEAN_MOTION),
+            ECCENTRICITY: parseFloat(satellite.ECCENTRICITY),
+            INCLINATION: parseFloat(satellite.INCLINATION),
+            RA_OF_ASC_NODE: parseFloat(satellite.RA_OF_ASC_NODE),
+            ARG_OF_PERICENTER: parseFloat(satellite.ARG_OF_PERICENTER),
+            MEAN_ANOMALY: parseFloat(satellite.MEAN_ANOMALY),
+            EPHEMERIS_TYPE: satellite.EPHEMERIS_TYPE || 0,
+            CLASSIFICATION_TYPE: satellite.CLASSIFICATION_TYPE || "U",
+            NORAD_CAT_ID: parseInt(satellite.NORAD_CAT_ID),
+            ELEMENT_SET_NO: satellite.ELEMENT_SET_NO || 999,
+            REV_AT_EPOCH: satellite.REV_AT_EPOCH || 0,
+            BSTAR: satellite.BSTAR || 0.0001, // Use a default BSTAR if missing
+            MEAN_MOTION_DOT: satellite.MEAN_MOTION_DOT || 0,
+            MEAN_MOTION_DDOT: satellite.MEAN_MOTION_DDOT || 0
+        };
+        if (isNaN(satJson.NORAD_CAT_ID) || isNaN(satJson.MEAN_MOTION) || !satJson.EPOCH) {
+            throw new SatelliteFormatError('Incomplete Celestrak JSON data for satrec creation', name);
+        }
+        satrec = window.satellite.json2satrec(satJson);
+    } else {
+        throw new SatelliteFormatError('Satellite object format not recognized or missing required data.', name);
+    }
+
+    if (!satrec) {
+        throw new PropagationError('Failed to create satellite record - satrec is null/undefined.', name);
+    }
+    if (satrec.error !== 0) {
+        throw new Sgp4Error(satrec.error, name);
+    }
+    return satrec;
+}
+
+/**
+ * Get the (cached) satrec for a satellite
+ * @param {Object} satellite - The satellite object (Celestrak JSON or custom format with TLE lines)
+ * @returns {Object} satellite.js satrec
+ * @throws {SatelliteFormatError|Sgp4Error} When the record cannot be built
+ */
+function getSatrec(satellite) {
+    if (!satellite) {
+        throw new SatelliteFormatError('No satellite data provided');
+    }
+    const key = getSatrecCacheKey(satellite);
+    let satrec = satrecCache.get(key);
+    if (!satrec) {
+        satrec = createSatrec(satellite);
+        satrecCache.set(key, satrec);
+        if (satrecCache.size > SATREC_CACHE_LIMIT) {
+            satrecCache.delete(satrecCache.keys().next().value);
+        }
+    }
+    return satrec;
+}
+
+// Forget every cached satrec (e.g. after the catalogue is reloaded)
+function clearSatrecCache() {
+    satrecCache.clear();
+}
+
+// Accept either a satellite object or a satrec already returned by getSatrec
+function resolveSatrec(satelliteOrSatrec) {
+    if (satelliteOrSatrec && typeof satelliteOrSatrec.jdsatepoch === 'number') {
+        return satelliteOrSatrec;
+    }
+    return getSatrec(satelliteOrSatrec);
+}
+
+/**
+ * Propagate a satellite to a time with SGP4
+ * @param {Object} satellite - Satellite object or satrec
+ * @param {Date} time - The time to propagate to
+ * @returns {Object} {position, velocity} in the TEME inertial frame (km, km/s)
+ * @throws {SatelliteFormatError|Sgp4Error} When the satellite cannot be propagated to that time
+ */
+function propagate(satellite, time) {
+    const satrec = resolveSatrec(satellite);
+    const positionAndVelocity = window.satellite.propagate(satrec, time);
+    if (!positionAndVelocity || !positionAndVelocity.position || !positionAndVelocity.velocity) {
+        throw new Sgp4Error(satrec.error || 0, satellite.OBJECT_NAME, time);
+    }
+    return positionAndVelocity;
+}
+
+/**
+ * Sub-satellite point, altitude and speed at a time
+ * @param {Object} satellite - Satellite object or satrec
+ * @param {Date} time - The time of the position
+ * @returns {Object} {lat, lng, alt, velocity, time}: degrees, km and km/s
+ * @throws {PropagationError} When propagation fails or gives a non-finite result
+ */
+function geodetic(satellite, time) {
+    return geodeticFromState(satellite, propagate(satellite, time), time);
+}
+
+// geodetic() for a state already propagated to the time (saves a second propagation when the ECI state is needed too)
+function geodeticFromState(satellite, state, time) {
+    const { position, velocity } = state;
+    const gmst = window.satellite.gstime(time);
+    const positionGd = window.satellite.eciToGeodetic(position, gmst);
+
+    const lat = window.satellite.degreesLat(positionGd.latitude);
+    const lng = window.satellite.degreesLong(positionGd.longitude);
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    if (isNaN(lat) || isNaN(lng) || isNaN(positionGd.height) || isNaN(speed)) {
+        throw new PropagationError(`Position is not a number at ${time.toISOString()}`, satellite.OBJECT_NAME);
+    }
+    return { lat: lat, lng: lng, alt: positionGd.height, velocity: speed, time: time };
+}
+
+// Geodetic observer in radians/km from {latitude, longitude, altitude} or a createObserver model
+function toObserverGeodetic(observer) {
+    if (observer.geodetic) return observer.geodetic;
+    return {
+        longitude: observer.longitude * Math.PI / 180,
+        latitude: observer.latitude * Math.PI / 180,
+        height: observer.altitude || 0
+    };
+}
+
+/**
+ * Geometric azimuth, elevation and range from an observer
+ * @param {Object} satellite - Satellite object or satrec
+ * @param {Date} time - The time of the observation
+ * @param {Object} observer - {latitude, longitude} in degrees and altitude in km, or a createObserver model
+ * @returns {Object} {azimuth, elevation, rangeSat, positionEci, velocityEci, gmst}: degrees and km
+ * @throws {PropagationError} When propagation fails
+ */
+function lookAngles(satellite, time, observer) {
+    const { position, velocity } = propagate(satellite, time);
+    const gmst = window.satellite.gstime(time);
+    const positionEcf = window.satellite.eciToEcf(position, gmst);
+    const angles = window.satellite.ecfToLookAngles(toObserverGeodetic(observer), positionEcf);
+    const azimuth = angles.azimuth * 180 / Math.PI;
+    const elevation = angles.elevation * 180 / Math.PI;
+    if (isNaN(azimuth) || isNaN(elevation)) {
+        throw new PropagationError(`Look angles are not a number at ${time.toISOString()}`, satellite.OBJECT_NAME);
+    }
+    return {
+        azimuth: azimuth,
+        elevation: elevation,
+        rangeSat: angles.rangeSat,
+        positionEci: position,
+        velocityEci: velocity,
+        gmst: gmst
+    };
+}
+
+/**
+ * Position and velocity vectors in an inertial or Earth-fixed frame
+ * @param {Object} satellite - Satellite object or satrec
+ * @param {Date} time - The time of the state
+ * @param {string} [frame='eci'] - 'eci' (TEME) or 'ecef' (velocity relative to the rotating Earth)
+ * @returns {Object} {frame, time, position, velocity} in km and km/s
+ * @throws {PropagationError} When propagation fails or the frame is unknown
+ */
+function stateVector(satellite, time, frame = 'eci') {
+    const { position, velocity } = propagate(satellite, time);
+    if (frame === 'eci') {
+        return { frame: frame, time: time, position: position, velocity: velocity };
+    }
+    if (frame !== 'ecef') {
+        throw new PropagationError(`Unknown reference frame: ${frame}`, satellite.OBJECT_NAME);
+    }
+    const gmst = window.satellite.gstime(time);
+    const positionEcf = window.satellite.eciToEcf(position, gmst);
+    const rotatedVelocity = window.satellite.eciToEcf(velocity, gmst);
+    // Earth-fixed velocity removes the frame rotation: v_ecf = R v_eci - omega x r_ecf
+    return {
+        frame: frame,
+        time: time,
+        position: positionEcf,
+        velocity: {
+            x: rotatedVelocity.x + EARTH_ROTATION_RATE * positionEcf.y,
+            y: rotatedVelocity.y - EARTH_ROTATION_RATE * positionEcf.x,
+            z: rotatedVelocity.z
+        }
+    };
+}
+
+// Expose functions globally (non-module environment)
+window.PropagationError = PropagationError;
+window.SatelliteFormatError = SatelliteFormatError;
+window.Sgp4Error = Sgp4Error;
+window.getSatrec = getSatrec;
+window.clearSatrecCache = clearSatrecCache;
+window.propagate = propagate;
+window.geodetic = geodetic;
+window.geodeticFromState = geodeticFromState;
+window.lookAngles = lookAngles;
+window.stateVector = stateVector;
@@ -0,0 +1,154 @@
+// propagationJobs.js - Propagation-heavy jobs and the page-side client that runs them in a Web Worker
+// The same handlers run inside propagationWorker.js, or on the main thread when workers are unavailable
+// (e.g. when the page is opened from file://).
+
+// Constants for the propagation worker
+const PROPAGATION_WORKER_URL = 'js/propagationWorker.js';
+
+// Job handlers: (payload, {onProgress, signal}) -> result that can be posted between threads
+const PROPAGATION_JOBS = {
+    // payload: {satellite, observer, options} as for calculatePasses
+    passes: (payload, context) => calculatePasses(payload.satellite, payload.observer, {
+        ...payload.options,
+        onProgress: context.onProgress,
+        signal: context.signal
+    }),
+    // payload: {satellite, centerTime, [periodMinutes], pastRevs, futureRevs} as for calculateOrbitSampleTimes
+    trackSamples: (payload) => calculateTrackSamples(payload.satellite, calculateOrbitSampleTimes(
+        payload.satellite, new Date(payload.centerTime), payload.periodMinutes, payload.pastRevs, payload.futureRevs
+    )),
+    // payload: {satellites, time} as for calculateSatellitePositions
+    positions: (payload) => calculateSatellitePositions(payload.satellites, new Date(payload.time)),
+    // payload: {satellite, options} as for calculateEclipses
+    eclipses: (payload) => calculateEclipses(payload.satellite, payload.options),
+    // payload: {satellite, catalogue, options} as for screenConjunctions
+    conjunctions: (payload, context) => screenConjunctions(payload.satellite, payload.catalogue, {
+        ...payload.options,
+        onProgress: context.onProgress,
+        signal: context.signal
+    })
+};
+
+// Run a job handler in the current thread
+async function executePropagationJob(job, payload, context = {}) {
+    const handler = PROPAGATION_JOBS[job];
+    if (!handler) {
+        throw new Error(`Unknown propagation job: ${job}`);
+    }
+    if (context.signal) context.signal.throwIfAborted();
+    return handler(payload, context);
+}
+
+// Errors are posted as plain objects; keep the fields callers look at (name, code, reason)
+function serializeJobError(error) {
+    return {
+        name: error.name || 'Error',
+        message: error.message || String(error),
+        code: error.code,
+        reason: error.reason
+    };
+}
+
+function deserializeJobError(data) {
+    if (data.name === 'AbortError') {
+        return new DOMException(data.message, 'AbortError');
+    }
+    const error = new Error(data.message);
+    error.name = data.name;
+    if (data.code !== undefined) error.code = data.code;
+    if (data.reason !== undefined) error.reason = data.reason;
+    return error;
+}
+
+// --- Page-side Worker Client --- //
+
+let propagationWorker = null;
+let propagationWorkerFailed = false; // Set once the worker cannot be used; jobs then run on the main thread
+let nextPropagationJobId = 1;
+const pendingPropagationJobs = new Map(); // Job id -> {resolve, reject, onProgress, runOnMainThread}
+
+// Start the worker on first use (returns null when jobs must run on the main thread)
+function getPropagationWorker() {
+    if (propagationWorker || propagationWorkerFailed) return propagationWorker;
+    if (typeof Worker === 'undefined') {
+        propagationWorkerFailed = true;
+        return null;
+    }
+    try {
+        propagationWorker = new Worker(PROPAGATION_WORKER_URL);
+    } catch (error) {
+        console.warn('[getPropagationWorker] Web Worker unavailable, running on the main thread:', error);
+        propagationWorkerFailed = true;
+        return null;
+    }
+
+    propagationWorker.onmessage = (event) => {
+        const { type, id } = event.data;
+        const job = pendingPropagationJobs.get(id);
+        if (!job) return; // Cancelled jobs are forgotten
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(event.data.progress);
+            return;
+        }
+        pendingPropagationJobs.delete(id);
+        if (type === 'result') {
+            job.resolve(event.data.result);
+        } else {
+            job.reject(deserializeJobError(event.data.error));
+        }
+    };
+    propagationWorker.onerror = (event) => {
+        // The worker script failed to load or crashed: finish pending and future jobs on the main thread
+        console.warn('[getPropagationWorker] Worker failed, running on the main thread:', event.message);
+        event.preventDefault();
+        propagationWorker.terminate();
+        propagationWorker = null;
+        propagationWorkerFailed = true;
+        const jobs = [...pendingPropagationJobs.values()];
+        pendingPropagationJobs.clear();
+        jobs.forEach(job => job.runOnMainThread());
+    };
+    return propagationWorker;
+}
+
+/**
+ * Run a propagation job in the worker
+ * @param {string} job - Job name ('passes', 'trackSamples', 'positions', 'eclipses' or 'conjunctions')
+ * @param {Object} payload - Job input (must be structured-cloneable)
+ * @param {Object} [options] - Job options
+ * @param {Function} [options.onProgress] - Called with the fraction (0-1) completed, for jobs that report progress
+ * @param {AbortSignal} [options.signal] - Cancels the job; the promise then rejects with an AbortError
+ * @returns {Promise<*>} The job result
+ */
+function runPropagationJob(job, payload, options = {}) {
+    const { onProgress, signal } = options;
+    if (signal && signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    const runOnMainThread = () => executePropagationJob(job, payload, { onProgress, signal });
+    const worker = getPropagationWorker();
+    if (!worker) {
+        return runOnMainThread();
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = nextPropagationJobId++;
+        pendingPropagationJobs.set(id, {
+            resolve,
+            reject,
+            onProgress,
+            runOnMainThread: () => runOnMainThread().then(resolve, reject)
+        });
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (!pendingPropagationJobs.delete(id)) return; // Already finished
+                if (propagationWorker) propagationWorker.postMessage({ type: 'cancel', id });
+                reject(signal.reason);
+            }, { once: true });
+        }
+        worker.postMessage({ type: 'run', id, job, payload });
+    });
+}
+
+// Expose functions globally (non-module environment)
+window.runPropagationJob = runPropagationJob;
@@ -0,0 +1,43 @@
+// propagationWorker.js - Web Worker running propagation-heavy jobs off the main thread
+// Messages in:  {type: 'run', id, job, payload} and {type: 'cancel', id}
+// Messages out: {type: 'progress', id, progress}, {type: 'result', id, result} and {type: 'error', id, error}
+
+// The shared scripts expect a window global (satellite.js attaches itself to self)
+self.window = self;
+importScripts(
+    'https://unpkg.com/satellite.js@6.0.0/dist/satellite.js',
+    'propagation.js',
+    'sun.js',
+    'pass.js',
+    'eclipse.js',
+    'conjunction.js',
+    'calculations.js',
+    'propagationJobs.js'
+);
+
+const activeJobControllers = new Map(); // Job id -> AbortController
+
+self.onmessage = async (event) => {
+    const { type, id } = event.data;
+
+    if (type === 'cancel') {
+        const controller = activeJobControllers.get(id);
+        if (controller) controller.abort();
+        return;
+    }
+    if (type !== 'run') return;
+
+    const controller = new AbortController();
+    activeJobControllers.set(id, controller);
+    try {
+        const result = await executePropagationJob(event.data.job, event.data.payload, {
+            signal: controller.signal,
+            onProgress: (progress) => self.postMessage({ type: 'progress', id, progress })
+        });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, error: serializeJobError(error) });
+    } finally {
+        activeJobControllers.delete(id);
+    }
+};
@@ -0,0 +1,326 @@
+// rotator.js - Antenna rotator tracking through a Hamlib rotctld WebSocket bridge
+
+// Constants for rotator control
+const DEFAULT_ROTATOR_URL = 'ws://localhost:4533';
+const ROTATOR_UPDATE_INTERVAL_MS = 1000; // How often the tracking loop runs
+const ROTATOR_MIN_MOVE_DEG = 0.5; // Skip commands that would move the rotator less than this
+const ROTATOR_TRACK_STEP_MS = 1000; // Sample step of the planned path used for live tracking
+const ROTATOR_PREPOSITION_MS = 5 * 60 * 1000; // Start pointing at AOS this long before the pass
+const ROTATOR_MAX_AZIMUTH = 450; // Azimuth limit of overwind (0-450°) rotators
+const ROTATOR_MODES = ['normal', 'flip', 'overwind'];
+
+let rotatorSocket = null; // Open WebSocket to the rotctld bridge
+let rotatorStatusListener = null; // Callback(message, isError) for status updates
+let rotatorTrackingIntervalId = null; // Interval ID of the tracking loop
+let rotatorTrackingPath = null; // Planned path being tracked
+let lastRotatorPosition = null; // Last {azimuth, elevation} sent to the rotator
+
+// Report a status message to the page (and the console)
+function reportRotatorStatus(message, isError = false) {
+    if (isError) {
+        console.error('[rotator]', message);
+    } else {
+        console.log('[rotator]', message);
+    }
+    if (rotatorStatusListener) rotatorStatusListener(message, isError);
+}
+
+// Whether a WebSocket connection to the bridge is open
+function isRotatorConnected() {
+    return rotatorSocket !== null && rotatorSocket.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Connect to a rotctld WebSocket bridge
+ * @param {string} url - WebSocket URL of the bridge, e.g. ws://localhost:4533
+ * @param {Function} [onStatus] - Called with (message, isError) whenever the rotator status changes
+ * @returns {Promise<void>} Resolves once the connection is open
+ */
+function connectRotator(url, onStatus) {
+    disconnectRotator();
+    rotatorStatusListener = onStatus || null;
+
+    return new Promise((resolve, reject) => {
+        let socket;
+        try {
+            socket = new WebSocket(url || DEFAULT_ROTATOR_URL);
+        } catch (error) {
+            reportRotatorStatus(`Invalid rotator URL: ${error.message}`, true);
+            reject(error);
+            return;
+        }
+        rotatorSocket = socket;
+
+        socket.onopen = () => {
+            reportRotatorStatus(`Connected to ${socket.url}`);
+            resolve();
+        };
+        socket.onerror = () => {
+            // The browser does not expose error details; onclose follows with the code
+            if (socket.readyState !== WebSocket.OPEN) {
+                reject(new Error(`Could not connect to ${socket.url}`));
+            }
+        };
+        socket.onclose = (event) => {
+            if (rotatorSocket === socket) {
+                rotatorSocket = null;
+                stopRotatorTracking();
+                reportRotatorStatus(`Disconnected (code ${event.code})`, event.code !== 1000);
+            }
+        };
+        socket.onmessage = (event) => handleRotatorResponse(String(event.data));
+    });
+}
+
+// Close the bridge connection and stop any tracking
+function disconnectRotator() {
+    stopRotatorTracking();
+    if (rotatorSocket) {
+        // The socket's close handler clears rotatorSocket and reports the disconnection
+        rotatorSocket.close(1000);
+    }
+}
+
+// Send a raw rotctld command (a trailing newline is added when missing)
+function sendRotatorCommand(command) {
+    if (!isRotatorConnected()) {
+        reportRotatorStatus('Rotator is not connected', true);
+        return false;
+    }
+    rotatorSocket.send(command.endsWith('\n') ? command : `${command}\n`);
+    return true;
+}
+
+// Build a rotctld set_pos command, e.g. "P 123.4 45.6\n"
+function formatRotatorPositionCommand(azimuth, elevation) {
+    return `P ${azimuth.toFixed(1)} ${elevation.toFixed(1)}\n`;
+}
+
+/**
+ * Parse a line received from rotctld
+ * @param {string} text - Response text (may contain several lines)
+ * @returns {Object|null} {type: 'report', code} for RPRT lines, {type: 'position', azimuth, elevation}
+ *          for get_pos replies, or null when nothing was recognised
+ */
+function parseRotatorResponse(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const report = lines.find(line => line.startsWith('RPRT'));
+    if (report) {
+        return { type: 'report', code: parseInt(report.slice(4), 10) };
+    }
+    const numbers = lines.map(Number).filter(value => !isNaN(value));
+    if (numbers.length >= 2) {
+        return { type: 'position', azimuth: numbers[0], elevation: numbers[1] };
+    }
+    return null;
+}
+
+// Surface rotctld errors (negative RPRT codes) and reported positions
+function handleRotatorResponse(text) {
+    const response = parseRotatorResponse(text);
+    if (!response) return;
+    if (response.type === 'report' && response.code !== 0) {
+        reportRotatorStatus(`Rotator returned error RPRT ${response.code}`, true);
+    } else if (response.type === 'position') {
+        reportRotatorStatus(`Rotator at Az ${response.azimuth.toFixed(1)}°, El ${response.elevation.toFixed(1)}°`);
+    }
+}
+
+// Whether a sampled path wraps through north (azimuth jumps across 0°/360°)
+function pathCrossesNorth(points) {
+    for (let i = 1; i < points.length; i++) {
+        if (Math.abs(points[i].azimuth - points[i - 1].azimuth) > 180) return true;
+    }
+    return false;
+}
+
+/**
+ * Convert a pass's look angles into rotator positions
+ * 'normal' keeps 0-360° azimuth (the rotator swings round when the pass crosses north),
+ * 'flip' uses elevation past 90° on passes crossing north so azimuth stays on the opposite side,
+ * 'overwind' unwraps azimuth into the 0-450° range of overwind rotators.
+ * @param {Array} points - Points {time, azimuth, elevation} in time order
+ * @param {string} [mode='normal'] - 'normal', 'flip' or 'overwind'
+ * @returns {Object} {points, crossesNorth, mode} where mode is the mode actually applied
+ */
+function planRotatorPath(points, mode = 'normal') {
+    const crossesNorth = pathCrossesNorth(points);
+    // Rotators cannot point below the horizon; the mask can allow slightly negative elevations
+    const clamped = points.map(p => ({ time: p.time, azimuth: p.azimuth, elevation: Math.max(0, p.elevation) }));
+
+    if (!crossesNorth || mode === 'normal' || !ROTATOR_MODES.includes(mode)) {
+        return { points: clamped, crossesNorth, mode: 'normal' };
+    }
+
+    if (mode === 'flip') {
+        const flipped = clamped.map(p => ({
+            time: p.time,
+            azimuth: (p.azimuth + 180) % 360,
+            elevation: 180 - p.elevation
+        }));
+        return { points: flipped, crossesNorth, mode };
+    }
+
+    // Overwind: follow the shortest way round from each point to the next
+    const unwrapped = [];
+    clamped.forEach((p, i) => {
+        if (i === 0) {
+            unwrapped.push({ ...p });
+            return;
+        }
+        let delta = p.azimuth - clamped[i - 1].azimuth;
+        if (delta > 180) delta -= 360;
+        if (delta < -180) delta += 360;
+        unwrapped.push({ ...p, azimuth: unwrapped[i - 1].azimuth + delta });
+    });
+    const minAzimuth = Math.min(...unwrapped.map(p => p.azimuth));
+    if (minAzimuth < 0) unwrapped.forEach(p => { p.azimuth += 360; });
+    const maxAzimuth = Math.max(...unwrapped.map(p => p.azimuth));
+    if (maxAzimuth > ROTATOR_MAX_AZIMUTH) {
+        console.warn('[planRotatorPath] Pass does not fit the overwind range, using normal mode');
+        return { points: clamped, crossesNorth, mode: 'normal' };
+    }
+    return { points: unwrapped, crossesNorth, mode };
+}
+
+// Linearly interpolate the planned rotator position at a time (clamped to the path ends)
+function interpolateRotatorPosition(pathPoints, time) {
+    const t = time.getTime();
+    if (t <= pathPoints[0].time.getTime()) return pathPoints[0];
+    const last = pathPoints[pathPoints.length - 1];
+    if (t >= last.time.getTime()) return last;
+
+    const nextIndex = pathPoints.findIndex(p => p.time.getTime() > t);
+    const previous = pathPoints[nextIndex - 1];
+    const next = pathPoints[nextIndex];
+    const fraction = (t - previous.time.getTime()) / (next.time.getTime() - previous.time.getTime());
+    return {
+        time,
+        azimuth: previous.azimuth + (next.azimuth - previous.azimuth) * fraction,
+        elevation: previous.elevation + (next.elevation - previous.elevation) * fraction
+    };
+}
+
+// Command the rotator only when it would move by at least ROTATOR_MIN_MOVE_DEG
+function moveRotatorTo(azimuth, elevation) {
+    if (lastRotatorPosition
+        && Math.abs(lastRotatorPosition.azimuth - azimuth) < ROTATOR_MIN_MOVE_DEG
+        && Math.abs(lastRotatorPosition.elevation - elevation) < ROTATOR_MIN_MOVE_DEG) {
+        return;
+    }
+    if (sendRotatorCommand(formatRotatorPositionCommand(azimuth, elevation))) {
+        lastRotatorPosition = { azimuth, elevation };
+    }
+}
+
+/**
+ * Track a pass: pre-position at AOS, follow the satellite, then park after LOS
+ * @param {Object} pass - A pass from calculatePasses
+ * @param {Object} satellite - The satellite object
+ * @param {Object} observer - Observer settings (see createObserver)
+ * @param {Object} [options] - Tracking options
+ * @param {string} [options.mode='normal'] - Flip handling mode (see planRotatorPath)
+ * @param {Object} [options.park] - Park position {azimuth, elevation} used after LOS (omit to stay put)
+ * @returns {Object|null} The planned path, or null when tracking could not start
+ */
+function startRotatorTracking(pass, satellite, observer, options = {}) {
+    stopRotatorTracking();
+    if (!isRotatorConnected()) {
+        reportRotatorStatus('Connect to the rotator before tracking', true);
+        return null;
+    }
+    if (pass.endTime.getTime() <= Date.now()) {
+        reportRotatorStatus('The selected pass has already ended', true);
+        return null;
+    }
+
+    const points = calculateTrackingPoints(satellite, observer, pass.startTime, pass.endTime, ROTATOR_TRACK_STEP_MS);
+    if (points.length === 0) {
+        reportRotatorStatus('Could not calculate rotator positions for the pass', true);
+        return null;
+    }
+    rotatorTrackingPath = planRotatorPath(points, options.mode);
+    lastRotatorPosition = null;
+
+    const flipNote = rotatorTrackingPath.crossesNorth ? ` (crosses north, ${rotatorTrackingPath.mode} mode)` : '';
+    const trackingTick = () => {
+        const now = new Date();
+        const path = rotatorTrackingPath.points;
+        if (now < path[0].time) {
+            if (path[0].time.getTime() - now.getTime() <= ROTATOR_PREPOSITION_MS) {
+                moveRotatorTo(path[0].azimuth, path[0].elevation);
+                reportRotatorStatus(`Waiting at AOS position${flipNote}`);
+            }
+            return;
+        }
+        if (now > path[path.length - 1].time) {
+            stopRotatorTracking();
+            if (options.park) {
+                parkRotator(options.park.azimuth, options.park.elevation);
+            } else {
+                reportRotatorStatus('Pass complete');
+            }
+            return;
+        }
+        const position = interpolateRotatorPosition(path, now);
+        moveRotatorTo(position.azimuth, position.elevation);
+        reportRotatorStatus(`Tracking Az ${position.azimuth.toFixed(1)}°, El ${position.elevation.toFixed(1)}°${flipNote}`);
+    };
+
+    reportRotatorStatus(`Tracking scheduled for pass at ${pass.startTime.toISOString()}${flipNote}`);
+    trackingTick();
+    if (rotatorTrackingPath) {
+        rotatorTrackingIntervalId = setInterval(trackingTick, ROTATOR_UPDATE_INTERVAL_MS);
+    }
+    return rotatorTrackingPath;
+}
+
+// Stop the tracking loop (the rotator stays where it is)
+function stopRotatorTracking() {
+    if (rotatorTrackingIntervalId !== null) {
+        clearInterval(rotatorTrackingIntervalId);
+        rotatorTrackingIntervalId = null;
+        reportRotatorStatus('Tracking stopped');
+    }
+    rotatorTrackingPath = null;
+}
+
+// Send the rotator to its park position
+function parkRotator(azimuth, elevation) {
+    stopRotatorTracking();
+    lastRotatorPosition = null;
+    if (sendRotatorCommand(formatRotatorPositionCommand(azimuth, elevation))) {
+        reportRotatorStatus(`Parking at Az ${azimuth.toFixed(1)}°, El ${elevation.toFixed(1)}°`);
+    }
+}
+
+/**
+ * Build a step file for rotators driven offline: one "time azimuth elevation" line per step
+ * @param {Object} path - A planned path from planRotatorPath
+ * @param {Object} satellite - The satellite object (for the header)
+ * @returns {string} Step file content
+ */
+function createRotatorStepFile(path, satellite) {
+    const lines = [
+        `# ${satellite.OBJECT_NAME || 'Satellite'} (NORAD ${satellite.NORAD_CAT_ID})`,
+        `# Mode: ${path.mode}${path.crossesNorth ? ' (pass crosses north)' : ''}`,
+        '# Time (UTC) Azimuth (deg) Elevation (deg)'
+    ];
+    path.points.forEach(point => {
+        lines.push(`${point.time.toISOString()} ${point.azimuth.toFixed(1)} ${point.elevation.toFixed(1)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Expose functions globally (non-module environment)
+window.connectRotator = connectRotator;
+window.disconnectRotator = disconnectRotator;
+window.isRotatorConnected = isRotatorConnected;
+window.sendRotatorCommand = sendRotatorCommand;
+window.formatRotatorPositionCommand = formatRotatorPositionCommand;
+window.parseRotatorResponse = parseRotatorResponse;
+window.planRotatorPath = planRotatorPath;
+window.startRotatorTracking = startRotatorTracking;
+window.stopRotatorTracking = stopRotatorTracking;
+window.parkRotator = parkRotator;
+window.createRotatorStepFile = createRotatorStepFile;
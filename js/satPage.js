@@ -3,17 +3,31 @@
 // Global variables
 let map;
 let satellite; // Holds the specific satellite data object
-// Removed unused satellitePath, groundTrack, footprintPolygon
+// Removed unused satellitePath, groundTrack
 let satelliteMarker;
 let orbitLine;
 let groundTrackLine;
+let groundTrackSamples = []; // Samples behind the drawn ground track (past and future), used for hover times
+let trackHoverTooltip = null; // Tooltip showing the time and position under the mouse on the ground track
 let updateIntervalId;
-let footprintCircle;
+let footprintPolygon;
+let terminatorPolygons = []; // Night and twilight shading, one polygon per band
+let subsolarMarker = null;
 let observerMarker = null; // To hold the observer's location marker
 // let currentTileLayer; // Removed, replaced by currentMapLayer
 let currentMapLayer; // Renamed for clarity and consistency
 let passCountdownIntervalId = null; // Interval ID for the countdown timer
 let currentPassDetails = null; // Store details of the currently displayed pass
+let predictedPasses = []; // All passes found in the current prediction window
+let selectedPassIndex = -1; // Index into predictedPasses of the pass shown in the details/plot
+let currentObserver = null; // Observer model (altitude, min elevation, horizon mask) used for the last prediction
+let passSearchController = null; // AbortController of the pass search in progress (Predict again cancels it)
+let orbitRequestController = null; // AbortController of the orbit sampling in progress
+let groundTrackRequestController = null; // AbortController of the ground track sampling in progress
+let eclipseRequestController = null; // AbortController of the eclipse calculation in progress
+let eclipseTimeline = null; // Result of the last eclipse calculation (redrawn on theme change)
+let conjunctionRequestController = null; // AbortController of the conjunction screening in progress
+const screeningCatalogues = {}; // Catalogue source -> loaded satellites (fetched once per page)
 
 // --- Favicon Paths ---
 const defaultFaviconHref = 'favicon.ico'; // Assuming default is in root
@@ -31,11 +45,40 @@ function escapeHTML(str) {
 // Constants
 const EARTH_RADIUS_KM = 6371;
 const UPDATE_INTERVAL_MS = 1000;
-const ORBIT_POINTS = 180; // Number of points to calculate for orbit visualization
-const ORBIT_PERIOD_MINUTES = 90; // Approximate period for most LEO satellites
+const SIMULATION_UPDATE_INTERVAL_MS = 250; // Faster refresh while the simulation clock runs above 1x
+// Sun elevation limits shaded on the map (night side of the terminator, then civil/nautical/astronomical twilight)
+const TERMINATOR_BANDS = [0, CIVIL_TWILIGHT_ELEVATION, NAUTICAL_TWILIGHT_ELEVATION, ASTRONOMICAL_TWILIGHT_ELEVATION];
+const ECLIPSE_STATE_LABELS = { sunlit: 'In sunlight', penumbra: 'In penumbra', umbra: 'In umbra' };
+const ELEMENT_SET_LEVEL_LABELS = { ok: 'Current', warning: 'Stale', critical: 'Unreliable', unknown: 'Unknown' };
+const DEFAULT_ORBIT_PAST_REVS = 0; // Revolutions drawn behind the satellite's orbit line by default
+const DEFAULT_ORBIT_FUTURE_REVS = 2; // ... and ahead of it
+const MAX_ORBIT_REVS = 10;
+const GROUND_TRACK_REVS = 1.5; // Revolutions of ground track drawn ahead of the satellite
+const DEFAULT_GROUND_TRACK_HISTORY_REVS = 0.5; // Revolutions of ground track history drawn behind it
+const TRACK_HOVER_DISTANCE_PX = 8; // How close the mouse must be to the ground track to show its time
+const MAX_TRACK_TICKS = 200; // Minute ticks are thinned out beyond this (e.g. long GEO tracks)
+// Default value, unit and tooltip for each footprint mode
+const FOOTPRINT_MODES = {
+    elevation: { value: 0, unit: '°', title: 'Minimum elevation at the ground (degrees)' },
+    halfAngle: { value: 20, unit: '°', title: 'Sensor half-angle (degrees)' },
+    swath: { value: 100, unit: 'km', title: 'Swath width at nadir (km)' }
+};
 
 // Only load data from active.json
 const activeJsonFile = 'data/active.json';
+// Custom satellites shipped with the site (the legacy {id, name, tle: [...]} shape), checked before active.json
+const legacyCustomSatellitesFile = 'data/custom_satellites.json';
+// Category files screened for conjunctions (the same files the satellite list loads)
+const SCREENING_CATEGORY_FILES = [
+    'data/stations.json',
+    'data/weather.json',
+    'data/noaa.json',
+    'data/goes.json',
+    'data/resource.json',
+    'data/amateur.json',
+    'data/starlink.json',
+    'data/custom_satellites.json'
+];
 
 // Initialize the page when DOM is loaded
 document.addEventListener('DOMContentLoaded', async function() {
@@ -76,11 +119,22 @@ document.addEventListener('DOMContentLoaded', async function() {
         const showOrbitCheckbox = document.getElementById('show-orbit');
         const showGroundTrackCheckbox = document.getElementById('show-groundtrack');
         const showFootprintCheckbox = document.getElementById('show-footprint');
+        const showTerminatorCheckbox = document.getElementById('show-terminator');
 
         if (showOrbitCheckbox) {
             showOrbitCheckbox.checked = true;
             showOrbitCheckbox.addEventListener('change', function() { toggleOrbitDisplay(this.checked); });
         }
+        // Redraw the ground track when its history length or time ticks change
+        ['groundTrackHistoryRevs', 'trackTickInterval'].forEach(id => {
+            const trackInput = document.getElementById(id);
+            if (trackInput) trackInput.addEventListener('change', () => toggleGroundTrackDisplay(showGroundTrackCheckbox.checked));
+        });
+        // Redraw the orbit when the number of past/future revolutions changes
+        ['orbitPastRevs', 'orbitFutureRevs'].forEach(id => {
+            const revsInput = document.getElementById(id);
+            if (revsInput) revsInput.addEventListener('change', () => toggleOrbitDisplay(showOrbitCheckbox.checked));
+        });
         if (showGroundTrackCheckbox) {
             showGroundTrackCheckbox.checked = true;
             showGroundTrackCheckbox.addEventListener('change', function() { toggleGroundTrackDisplay(this.checked); });
@@ -89,6 +143,25 @@ document.addEventListener('DOMContentLoaded', async function() {
             showFootprintCheckbox.checked = true;
             showFootprintCheckbox.addEventListener('change', function() { toggleFootprintDisplay(this.checked); });
         }
+        // Redraw the footprint when its mode, size or pointing changes
+        const footprintModeSelect = document.getElementById('footprintMode');
+        if (footprintModeSelect) {
+            footprintModeSelect.addEventListener('change', updateFootprintControls);
+            updateFootprintControls();
+        }
+        ['footprintValue', 'footprintOffNadir', 'footprintPointing'].forEach(id => {
+            const footprintInput = document.getElementById(id);
+            if (footprintInput) footprintInput.addEventListener('change', () => toggleFootprintDisplay(showFootprintCheckbox.checked));
+        });
+        if (showTerminatorCheckbox) {
+            showTerminatorCheckbox.checked = true;
+            showTerminatorCheckbox.addEventListener('change', function() { toggleTerminatorDisplay(this.checked); });
+        }
+        const showGlobeCheckbox = document.getElementById('show-globe');
+        if (showGlobeCheckbox) {
+            showGlobeCheckbox.checked = false;
+            showGlobeCheckbox.addEventListener('change', function() { toggleGlobeDisplay(this.checked); });
+        }
 
         // Map type listener - Now updates map regardless of theme
         const mapTypeSelect = document.getElementById('map-type');
@@ -104,6 +177,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Display initial info and start tracking
         displaySatelliteInfo(); // Display static info
         startTracking(); // Start dynamic updates
+        initSimulationClockControls();
 
         // Add event listener for predict passes button
         const predictPassesBtn = document.getElementById('predictPassesBtn');
@@ -111,6 +185,39 @@ document.addEventListener('DOMContentLoaded', async function() {
             predictPassesBtn.addEventListener('click', updatePassPredictions);
         }
 
+        // Redraw the Doppler chart when the radio frequencies change (no new prediction needed)
+        ['downlinkFreq', 'uplinkFreq'].forEach(id => {
+            const freqInput = document.getElementById(id);
+            if (freqInput) freqInput.addEventListener('input', updateDopplerDisplay);
+        });
+        const downloadTuningTableBtn = document.getElementById('downloadTuningTableBtn');
+        if (downloadTuningTableBtn) {
+            downloadTuningTableBtn.addEventListener('click', downloadTuningTable);
+        }
+
+        const addToCalendarBtn = document.getElementById('addToCalendarBtn');
+        if (addToCalendarBtn) {
+            addToCalendarBtn.addEventListener('click', exportPassesToCalendar);
+        }
+
+        // Re-filter the pass table when the visibility filter changes
+        const visiblePassesOnlyCheckbox = document.getElementById('visiblePassesOnly');
+        if (visiblePassesOnlyCheckbox) {
+            visiblePassesOnlyCheckbox.addEventListener('change', applyVisiblePassFilter);
+        }
+
+        initRotatorControls();
+
+        const calculateEclipsesBtn = document.getElementById('calculateEclipsesBtn');
+        if (calculateEclipsesBtn) {
+            calculateEclipsesBtn.addEventListener('click', updateEclipseTimeline);
+        }
+
+        const screenConjunctionsBtn = document.getElementById('screenConjunctionsBtn');
+        if (screenConjunctionsBtn) {
+            screenConjunctionsBtn.addEventListener('click', updateConjunctionScreening);
+        }
+
         // console.log('Satellite data:', satellite);
 
     } else {
@@ -164,12 +271,24 @@ function setTheme(theme) {
         }
     }
 
+    updateGlobeTheme(theme);
+
+    // Eclipse timeline colors follow the theme
+    if (eclipseTimeline) drawEclipsePlotly('eclipsePlot', eclipseTimeline);
+
     // --- Trigger Plotly redraw if visible --- 
     const plotDiv = document.getElementById('polarPlot');
     const predictButton = document.getElementById('predictPassesBtn');
     const observerLatInput = document.getElementById('observerLat');
     const observerLonInput = document.getElementById('observerLon');
 
+    // A pass picked from the pass table only needs its plot redrawn
+    if (plotDiv && plotDiv.style.display !== 'none' && predictedPasses[selectedPassIndex]) {
+        drawPolarPlotly('polarPlot', predictedPasses[selectedPassIndex].lookAnglePoints, false, currentObserver);
+        updateDopplerDisplay();
+        return;
+    }
+
     // Check if plot exists, button exists, and lat/lon have values
     if (plotDiv && plotDiv.style.display !== 'none' && predictButton && 
         observerLatInput?.value && observerLonInput?.value) {
@@ -264,11 +383,32 @@ function initMap() {
 
     const initialTheme = localStorage.getItem('theme') || 'dark';
     updateMapTileLayer(initialTheme);
+
+    // Ground track times on hover (checked against the track samples, so it survives track redraws)
+    map.on('mousemove', updateTrackHoverTooltip);
+    map.on('mouseout', () => {
+        if (trackHoverTooltip) map.closeTooltip(trackHoverTooltip);
+    });
 }
 
 // Removed updateMapType function as its logic is merged into updateMapTileLayer
 
-// Load satellite data from local active.json file using NORAD ID
+// Find a satellite in the legacy custom satellites file by NORAD ID (and name, when one is given)
+// Returns the canonical record, or null when the file is missing or has no such (readable) entry
+async function loadLegacyCustomSatellite(satId, name) {
+    try {
+        const res = await fetch(legacyCustomSatellitesFile);
+        if (!res.ok) return null;
+        const { satellites } = normalizeSatelliteRecords(await res.json(), legacyCustomSatellitesFile);
+        return satellites.find(sat => normalizeNoradId(sat.NORAD_CAT_ID) === normalizeNoradId(satId) &&
+            (!name || sat.OBJECT_NAME === name)) || null;
+    } catch (error) {
+        console.warn(`[loadLegacyCustomSatellite] Could not read ${legacyCustomSatellitesFile}:`, error.message);
+        return null;
+    }
+}
+
+// Load satellite data using NORAD ID: saved custom satellites, then the legacy custom file, then active.json
 async function loadSatelliteDataFromLocal(satId) {
     showLoading(`Loading TLE data for NORAD ID ${satId}...`);
     let foundSatellite = null;
@@ -277,7 +417,8 @@ async function loadSatelliteDataFromLocal(satId) {
 
     try {
         // First check if this is a custom satellite
-        const customSat = loadCustomSatellite(satId); 
+        const storedSat = loadCustomSatellite(satId);
+        const customSat = storedSat ? normalizeSatelliteRecord(storedSat) : null;
         
         // Check if custom satellite exists AND if its name matches the URL name (if provided)
         if (customSat && (!urlName || customSat.OBJECT_NAME === urlName)) {
@@ -292,6 +433,19 @@ async function loadSatelliteDataFromLocal(satId) {
             return true; // Return early as we found the intended custom satellite
         }
         
+        // Then the custom satellites shipped in the legacy file (listed with the saved ones in the Custom category)
+        const legacySat = await loadLegacyCustomSatellite(satId, urlName);
+        if (legacySat) {
+            console.log(`Using custom satellite from ${legacyCustomSatellitesFile}: ${legacySat.OBJECT_NAME}`);
+            satellite = legacySat;
+            const titleElement = document.getElementById('satellite-title');
+            if (titleElement) {
+                titleElement.innerText = satellite.OBJECT_NAME || `Satellite ${satId}`;
+            }
+            hideLoading(true);
+            return true;
+        }
+
         // If no matching custom sat was found/used, try active.json
         console.log(`Custom satellite check passed or name mismatch. Searching active.json for ID ${satId}...`);
         const res = await fetch(activeJsonFile);
@@ -310,7 +464,8 @@ async function loadSatelliteDataFromLocal(satId) {
             throw new Error(`NOT_FOUND: No TLE data found for NORAD ID ${satId}.`);
         }
 
-        satellite = foundSatellite;
+        // Throws a SatelliteFormatError explaining what is wrong with a record that cannot be tracked
+        satellite = normalizeSatelliteRecord(foundSatellite);
 
         const titleElement = document.getElementById('satellite-title');
         if (titleElement) {
@@ -323,6 +478,8 @@ async function loadSatelliteDataFromLocal(satId) {
     } catch (error) {
         if (error.message.startsWith('NOT_FOUND:')) {
             showError(`This satellite (NORAD ID: ${satId}) is not currently listed as active.`);
+        } else if (error instanceof SatelliteFormatError) {
+            showError(`The data for NORAD ID ${satId} cannot be tracked: ${error.message}`);
         } else {
             showError(`Failed to load satellite data: ${error.message}`);
         }
@@ -330,36 +487,47 @@ async function loadSatelliteDataFromLocal(satId) {
     }
 }
 
-// Start tracking the satellite with periodic updates
+// Start tracking the satellite with periodic updates (restarted when the simulation speed changes)
 function startTracking() {
+    if (updateIntervalId) clearInterval(updateIntervalId);
+    const { speed, paused } = getSimulationClockState();
+    const intervalMs = speed > 1 && !paused ? SIMULATION_UPDATE_INTERVAL_MS : UPDATE_INTERVAL_MS;
     updateSatellitePosition();
-    updateIntervalId = setInterval(updateSatellitePosition, UPDATE_INTERVAL_MS);
+    updateIntervalId = setInterval(updateSatellitePosition, intervalMs);
 }
 
-// Update the satellite position and related visualizations
+// Update the satellite position and related visualizations at the simulation clock time
 function updateSatellitePosition() {
+    const now = getSimulationTime();
     try {
-        const now = new Date();
-        const position = calculateSatellitePosition(satellite, now);
-
-        if (position === null || isNaN(position.lat) || isNaN(position.lng)) {
-            // Removed console warning
-            return;
-        }
+        // propagate() throws a typed error (e.g. Sgp4Error for a decayed satellite) instead of returning null
+        const state = propagate(satellite, now);
+        const position = geodeticFromState(satellite, state, now);
+        position.eclipse = calculateEclipseState(state.position, calculateSunPositionEci(now));
 
         updatePositionInfo(position);
+        updateElementSetHealth(now);
         updateMapVisualization(position);
+        if (isGlobeViewVisible()) updateGlobeView(satellite, now);
+        if (!isSimulationLive()) updateSimulationClockStatus();
 
     } catch (error) {
         // Removed console error
-        showError(`Failed to update satellite position: ${error.message}`);
+        const reason = describePropagationError(error, satellite);
+        if (error instanceof PropagationError) updateElementSetHealth(now, error);
+        // A simulated time the elements cannot reach (e.g. after decay) is reported without stopping the tracker
+        if (!isSimulationLive() && error instanceof PropagationError) {
+            updateSimulationClockStatus(`Cannot show the satellite at this time: ${reason}`);
+            return;
+        }
+        showError(`Failed to update satellite position: ${reason}`);
         if (updateIntervalId) clearInterval(updateIntervalId);
     }
 }
 
 // Update the map visualization with the satellite's current position
 function updateMapVisualization(position) {
-    const { lat, lng, alt } = position; // Removed unused velocity variable
+    const { lat, lng } = position; // Removed unused velocity and altitude variables
 
     if (!satelliteMarker) {
         const satIcon = L.icon({
@@ -396,10 +564,16 @@ function updateMapVisualization(position) {
     }
 
     if (document.getElementById('show-footprint').checked) {
-        updateFootprintVisualization(lat, lng, alt);
-    } else if (footprintCircle) {
-        map.removeLayer(footprintCircle);
-        footprintCircle = null;
+        updateFootprintVisualization(position);
+    } else if (footprintPolygon) {
+        map.removeLayer(footprintPolygon);
+        footprintPolygon = null;
+    }
+
+    if (document.getElementById('show-terminator').checked) {
+        updateTerminatorVisualization(position.time);
+    } else {
+        removeTerminatorVisualization();
     }
     // Removed commented-out map centering code
 }
@@ -419,9 +593,23 @@ function createSatellitePopup(position) {
 }
 
 // Update the orbit visualization
-function updateOrbitVisualization() {
-    const orbitSegments = calculateOrbitPoints();
-    
+async function updateOrbitVisualization() {
+    // A newer update supersedes one still being calculated
+    if (orbitRequestController) orbitRequestController.abort();
+    const controller = new AbortController();
+    orbitRequestController = controller;
+
+    let orbitSamples;
+    try {
+        orbitSamples = await calculateOrbitPoints(controller.signal);
+    } catch (error) {
+        if (error.name !== 'AbortError') console.warn('[updateOrbitVisualization] Orbit calculation failed:', error);
+        return;
+    }
+    orbitRequestController = null;
+    // The orbit may have been switched off while it was being calculated
+    if (!document.getElementById('show-orbit').checked) return;
+
     if (orbitLine) {
         map.removeLayer(orbitLine);
     }
@@ -430,8 +618,8 @@ function updateOrbitVisualization() {
     orbitLine = L.featureGroup();
     
     // Add each segment as a separate polyline
-    orbitSegments.forEach(segment => {
-        L.polyline(segment, {
+    splitTrackSamples(orbitSamples, false).forEach(segment => {
+        L.polyline(segment.points, {
             color: '#3498db',
             weight: 2,
             opacity: 0.7,
@@ -444,55 +632,282 @@ function updateOrbitVisualization() {
 }
 
 // Update the ground track visualization
-function updateGroundTrackVisualization() {
-    const trackSegments = calculateGroundTrackPoints();
-    
+async function updateGroundTrackVisualization() {
+    // A newer update supersedes one still being calculated
+    if (groundTrackRequestController) groundTrackRequestController.abort();
+    const controller = new AbortController();
+    groundTrackRequestController = controller;
+
+    const centerTime = getSimulationTime();
+    let trackSamples;
+    try {
+        trackSamples = await calculateGroundTrackPoints(centerTime, controller.signal);
+    } catch (error) {
+        if (error.name !== 'AbortError') console.warn('[updateGroundTrackVisualization] Ground track calculation failed:', error);
+        return;
+    }
+    groundTrackRequestController = null;
+    // The ground track may have been switched off while it was being calculated
+    if (!document.getElementById('show-groundtrack').checked) return;
+
     if (groundTrackLine) {
         map.removeLayer(groundTrackLine);
     }
     
     // Create a feature group to hold all ground track segments
     groundTrackLine = L.featureGroup();
-    
-    // Add each segment as a separate polyline
-    trackSegments.forEach(segment => {
-        L.polyline(segment, {
-            color: '#e74c3c',
-            weight: 2,
-            opacity: 0.8,
-            className: 'ground-track'
+    groundTrackSamples = trackSamples;
+
+    // History and future tracks meet at the current position (both include it)
+    const centerMs = centerTime.getTime();
+    const pastSamples = trackSamples.filter(sample => sample.time <= centerMs);
+    const futureSamples = trackSamples.filter(sample => sample.time >= centerMs);
+
+    // Add each segment as a separate polyline (parts in Earth's shadow are dashed)
+    [{ samples: pastSamples, history: true }, { samples: futureSamples, history: false }].forEach(({ samples, history }) => {
+        splitTrackSamples(samples).forEach(segment => {
+            const eclipsed = segment.eclipse !== 'sunlit';
+            const sunlitColor = history ? '#7f8c8d' : '#e74c3c';
+            const eclipsedColor = history ? '#95a5a6' : '#8e44ad';
+            L.polyline(segment.points, {
+                color: eclipsed ? eclipsedColor : sunlitColor,
+                weight: 2,
+                opacity: history ? 0.6 : 0.8,
+                dashArray: eclipsed ? '2, 6' : null,
+                className: `ground-track${history ? ' ground-track-history' : ''}${eclipsed ? ' ground-track-eclipsed' : ''}`
+            }).addTo(groundTrackLine);
+        });
+    });
+
+    // Time ticks along both tracks, labelled in UTC
+    calculateTrackTicks(trackSamples, centerMs).forEach(tick => {
+        L.circleMarker([tick.lat, tick.lng], {
+            radius: 3,
+            color: tick.time < centerMs ? '#7f8c8d' : '#e74c3c',
+            weight: 1,
+            fillOpacity: 1,
+            interactive: false,
+            className: 'track-tick'
+        }).bindTooltip(formatTrackTickLabel(tick.time), {
+            permanent: true,
+            direction: 'right',
+            offset: [4, 0],
+            className: 'track-tick-label'
         }).addTo(groundTrackLine);
     });
-    
+
     groundTrackLine.addTo(map);
 }
 
-// Update the footprint visualization (coverage area)
-function updateFootprintVisualization(lat, lng, alt) {
-    const radius = calculateFootprintRadius(alt);
-    
-    if (footprintCircle) {
-        map.removeLayer(footprintCircle);
+// Tick times along the ground track: every chosen number of minutes (on whole UTC minutes) or once per orbit
+function calculateTrackTicks(samples, centerMs) {
+    const setting = document.getElementById('trackTickInterval')?.value || '0';
+    if (setting === '0' || samples.length < 2) return [];
+
+    let intervalMs;
+    let firstTickMs;
+    if (setting === 'orbit') {
+        intervalMs = parseFloat(calculateOrbitalPeriod(satellite)) * 60000;
+        if (!(intervalMs > 0)) return [];
+        // Whole revolutions before and after the current time
+        firstTickMs = centerMs - Math.floor((centerMs - samples[0].time) / intervalMs) * intervalMs;
+    } else {
+        intervalMs = parseInt(setting, 10) * 1000;
+        while ((samples[samples.length - 1].time - samples[0].time) / intervalMs > MAX_TRACK_TICKS) intervalMs *= 2;
+        firstTickMs = Math.ceil(samples[0].time / intervalMs) * intervalMs;
     }
-    
-    footprintCircle = L.circle([lat, lng], {
-        radius: radius * 1000,
-        color: '#f39c12',
-        weight: 1,
-        fillColor: '#f39c12',
-        fillOpacity: 0.1,
-        className: 'footprint'
-    }).addTo(map);
-}
-
-// Calculate satellite footprint radius based on altitude
-function calculateFootprintRadius(altitude) {
-    if (altitude <= 0) return 0; // Avoid calculation errors for negative/zero altitude
-    const ratio = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + altitude);
-    // Ensure ratio is within valid range for acos to prevent NaN
-    if (ratio > 1 || ratio < -1) return 0; 
-    const angle = Math.acos(ratio);
-    return EARTH_RADIUS_KM * angle;
+
+    const ticks = [];
+    let index = 1;
+    for (let tickMs = firstTickMs; tickMs <= samples[samples.length - 1].time; tickMs += intervalMs) {
+        while (index < samples.length - 1 && samples[index].time < tickMs) index++;
+        const before = samples[index - 1];
+        const after = samples[index];
+        if (tickMs < before.time) continue;
+        ticks.push(interpolateTrackSample(before, after, (tickMs - before.time) / (after.time - before.time)));
+    }
+    return ticks;
+}
+
+// Tick label: UTC hours and minutes (with the date when it is not today's UTC date)
+function formatTrackTickLabel(timeMs) {
+    const iso = new Date(timeMs).toISOString();
+    const sameDay = iso.slice(0, 10) === getSimulationTime().toISOString().slice(0, 10);
+    return sameDay ? `${iso.slice(11, 16)}Z` : `${iso.slice(5, 10)} ${iso.slice(11, 16)}Z`;
+}
+
+// Show the time, position and altitude of the ground track point nearest the mouse
+function updateTrackHoverTooltip(event) {
+    const nearest = groundTrackLine && map.hasLayer(groundTrackLine)
+        ? findNearestTrackPoint(groundTrackSamples, event.containerPoint)
+        : null;
+    if (!nearest || nearest.distance > TRACK_HOVER_DISTANCE_PX) {
+        if (trackHoverTooltip) map.closeTooltip(trackHoverTooltip);
+        return;
+    }
+
+    const point = nearest.point;
+    const content = `<div class="track-hover">
+        <p>${new Date(point.time).toISOString().replace('T', ' ').slice(0, 19)} UTC</p>
+        <p>Lat: ${point.lat.toFixed(3)}°, Lon: ${point.lng.toFixed(3)}°</p>
+        <p>Alt: ${point.alt.toFixed(1)} km</p>
+    </div>`;
+    if (!trackHoverTooltip) {
+        trackHoverTooltip = L.tooltip({ direction: 'top', offset: [0, -6], className: 'track-hover-tooltip' });
+    }
+    // Show it on the copy of the track under the mouse
+    const lng = point.lng + Math.round((event.latlng.lng - point.lng) / 360) * 360;
+    trackHoverTooltip.setLatLng([point.lat, lng]).setContent(content);
+    if (!map.hasLayer(trackHoverTooltip)) trackHoverTooltip.openOn(map);
+}
+
+/**
+ * Find the point on a sampled track closest to a map container point
+ * Each pair of neighbouring samples is treated as a straight screen segment and the closest point on it is
+ * interpolated, so hovering between samples gives an in-between time.
+ * @param {Array} samples - Track samples {time, lat, lng, alt}
+ * @param {L.Point} containerPoint - Mouse position in map container pixels
+ * @returns {Object|null} {point, distance} with point as an interpolated sample and distance in pixels
+ */
+function findNearestTrackPoint(samples, containerPoint) {
+    const mouseLng = map.containerPointToLatLng(containerPoint).lng;
+    // Project a sample onto the screen using the world copy nearest the mouse
+    const project = (sample) => map.latLngToContainerPoint([
+        sample.lat, sample.lng + Math.round((mouseLng - sample.lng) / 360) * 360
+    ]);
+
+    let best = null;
+    let prevPoint = samples.length > 0 ? project(samples[0]) : null;
+    for (let i = 1; i < samples.length; i++) {
+        const point = project(samples[i]);
+        const dx = point.x - prevPoint.x;
+        const dy = point.y - prevPoint.y;
+        const lengthSquared = dx * dx + dy * dy;
+        // Neighbours drawn on opposite map edges are not joined on screen
+        if (Math.abs(samples[i].lng - samples[i - 1].lng) <= 180) {
+            const fraction = lengthSquared > 0
+                ? Math.max(0, Math.min(1, ((containerPoint.x - prevPoint.x) * dx + (containerPoint.y - prevPoint.y) * dy) / lengthSquared))
+                : 0;
+            const distance = containerPoint.distanceTo(L.point(prevPoint.x + fraction * dx, prevPoint.y + fraction * dy));
+            if (!best || distance < best.distance) {
+                best = { distance: distance, index: i, fraction: fraction };
+            }
+        }
+        prevPoint = point;
+    }
+    if (!best) return null;
+    return {
+        point: interpolateTrackSample(samples[best.index - 1], samples[best.index], best.fraction),
+        distance: best.distance
+    };
+}
+
+// Show the inputs that apply to the selected footprint mode and redraw
+function updateFootprintControls() {
+    const mode = document.getElementById('footprintMode').value;
+    const settings = FOOTPRINT_MODES[mode] || FOOTPRINT_MODES.elevation;
+    const valueInput = document.getElementById('footprintValue');
+    valueInput.value = settings.value;
+    valueInput.title = settings.title;
+    document.getElementById('footprintUnit').textContent = settings.unit;
+    // Only sensors can be pointed off nadir
+    document.getElementById('footprintPointingRow').style.display = mode === 'elevation' ? 'none' : '';
+    toggleFootprintDisplay(document.getElementById('show-footprint').checked);
+}
+
+// Footprint options from the map controls (a mode and its value, plus the sensor pointing)
+function getFootprintOptions() {
+    const mode = document.getElementById('footprintMode')?.value || 'elevation';
+    const value = parseFloat(document.getElementById('footprintValue')?.value);
+    const offNadir = parseFloat(document.getElementById('footprintOffNadir')?.value);
+    const pointing = parseFloat(document.getElementById('footprintPointing')?.value);
+    const options = {};
+    if (mode === 'elevation') {
+        options.minElevation = value >= 0 && value < 90 ? value : 0;
+        return options; // Coverage circles are always centred on the sub-satellite point
+    }
+    if (!(value > 0)) return options; // No sensor size yet: show the horizon
+    if (mode === 'halfAngle') {
+        options.halfAngle = Math.min(value, 89);
+    } else {
+        options.swathWidth = value;
+    }
+    options.offNadir = offNadir > 0 ? offNadir : 0;
+    options.pointingRelative = isNaN(pointing) ? 0 : pointing;
+    return options;
+}
+
+// Update the footprint visualization (coverage area or sensor footprint)
+function updateFootprintVisualization(position) {
+    const options = getFootprintOptions();
+    if (options.offNadir > 0) {
+        // Pointing is given relative to the direction of flight (90° = right of the track)
+        try {
+            options.pointingAzimuth = calculateSatelliteHeading(satellite, position.time) + options.pointingRelative;
+        } catch (error) {
+            if (!(error instanceof PropagationError)) throw error;
+            options.offNadir = 0;
+        }
+    }
+    const ring = calculateFootprintRing(position, options);
+
+    if (!footprintPolygon) {
+        footprintPolygon = L.polygon([], {
+            color: '#f39c12',
+            weight: 1,
+            fillColor: '#f39c12',
+            fillOpacity: 0.1,
+            interactive: false,
+            className: 'footprint'
+        }).addTo(map);
+    }
+    footprintPolygon.setLatLngs(ring.length > 0 ? toWorldCopies(ring) : []);
+}
+
+// Draw the Sun's terminator with twilight bands and the subsolar point for a time
+function updateTerminatorVisualization(time) {
+    if (terminatorPolygons.length === 0) {
+        // Overlapping bands darken towards the middle of the night side
+        terminatorPolygons = TERMINATOR_BANDS.map(() => L.polygon([], {
+            stroke: false,
+            fillColor: '#000000',
+            fillOpacity: 0.12,
+            interactive: false,
+            className: 'terminator'
+        }).addTo(map));
+    }
+    TERMINATOR_BANDS.forEach((solarElevation, index) => {
+        terminatorPolygons[index].setLatLngs(toWorldCopies(calculateNightRing(time, solarElevation)));
+    });
+
+    const subsolar = calculateSubsolarPoint(time);
+    if (!subsolarMarker) {
+        subsolarMarker = L.circleMarker([subsolar.lat, subsolar.lng], {
+            radius: 7,
+            color: '#f39c12',
+            weight: 2,
+            fillColor: '#f1c40f',
+            fillOpacity: 0.9,
+            className: 'subsolar-point'
+        }).bindTooltip('Subsolar point').addTo(map);
+    } else {
+        subsolarMarker.setLatLng([subsolar.lat, subsolar.lng]);
+    }
+}
+
+// Remove the terminator shading and subsolar marker
+function removeTerminatorVisualization() {
+    terminatorPolygons.forEach(polygon => map.removeLayer(polygon));
+    terminatorPolygons = [];
+    if (subsolarMarker) {
+        map.removeLayer(subsolarMarker);
+        subsolarMarker = null;
+    }
+}
+
+// Repeat a ring one world to each side so it fills the map wherever it crosses the antimeridian
+function toWorldCopies(ring) {
+    return [-360, 0, 360].map(offset => [ring.map(([lat, lng]) => [lat, lng + offset])]);
 }
 
 // Toggle orbit display
@@ -517,22 +932,27 @@ function toggleGroundTrackDisplay(show) {
 
 // Toggle footprint display
 function toggleFootprintDisplay(show) {
-    if (show && satelliteMarker) {
-        const position = satelliteMarker.getLatLng();
-        const currentPosition = calculateSatellitePosition(satellite, new Date());
-        if (currentPosition && !isNaN(currentPosition.alt)) {
-             updateFootprintVisualization(position.lat, position.lng, currentPosition.alt);
-        } else {
-            // Removed console warning
-            // Attempt to draw with last known altitude if available
-            const lastAlt = parseFloat(document.querySelector('#position-info table tr:nth-child(5) td')?.textContent);
-            if (!isNaN(lastAlt)) {
-                updateFootprintVisualization(position.lat, position.lng, lastAlt);
-            }
-        }
-    } else if (footprintCircle) {
-        map.removeLayer(footprintCircle);
-        footprintCircle = null;
+    if (show) {
+        const position = calculateSatellitePosition(satellite, getSimulationTime());
+        if (position) updateFootprintVisualization(position);
+    } else if (footprintPolygon) {
+        map.removeLayer(footprintPolygon);
+        footprintPolygon = null;
+    }
+}
+
+// Toggle the 3D globe over the map
+function toggleGlobeDisplay(show) {
+    showGlobeView(show);
+    if (show) updateGlobeView(satellite, getSimulationTime());
+}
+
+// Toggle day/night terminator display
+function toggleTerminatorDisplay(show) {
+    if (show) {
+        updateTerminatorVisualization(getSimulationTime());
+    } else {
+        removeTerminatorVisualization();
     }
 }
 
@@ -585,6 +1005,44 @@ function updatePositionInfo(position) {
     document.getElementById('altitude').textContent = `${alt.toFixed(2)} km`;
     document.getElementById('velocity').textContent = `${velocity.toFixed(2)} km/s`;
     document.getElementById('groundSpeed').textContent = `${calculateGroundSpeed(velocity, alt).toFixed(2)} km/s`;
+    const eclipseElement = document.getElementById('eclipseState');
+    if (eclipseElement) {
+        eclipseElement.textContent = ECLIPSE_STATE_LABELS[position.eclipse] || '-';
+        eclipseElement.className = position.eclipse ? `eclipse-${position.eclipse}` : '';
+    }
+}
+
+// Show the element set epoch, age, estimated error and warnings for the displayed time
+// A propagation error (e.g. SGP4 decay) marks the element set unusable and is explained first
+function updateElementSetHealth(time, propagationError = null) {
+    if (!satellite) return;
+    const health = assessElementSet(satellite, time);
+    if (propagationError) {
+        health.level = 'critical';
+        const message = describePropagationError(propagationError, satellite);
+        if (!health.warnings.includes(message)) health.warnings.unshift(message);
+    }
+
+    document.getElementById('tleEpoch').textContent = health.epoch ? health.epoch.toISOString().replace('T', ' ').slice(0, 19) : 'N/A';
+    document.getElementById('tleAge').textContent = formatElementSetAge(health.ageDays);
+    document.getElementById('tleUncertainty').textContent = health.alongTrackUncertainty === null ? 'N/A'
+        : `±${Math.round(health.alongTrackUncertainty)} km` +
+            (health.timingUncertainty !== null ? ` (±${Math.round(health.timingUncertainty)} s)` : '');
+    const statusElement = document.getElementById('tleStatus');
+    statusElement.textContent = ELEMENT_SET_LEVEL_LABELS[health.level];
+    statusElement.className = `tle-status-${health.level}`;
+
+    // Rebuild the list only when the warnings change (this runs on every position update)
+    const warningsList = document.getElementById('tle-warnings');
+    const warningsKey = health.warnings.join('\n');
+    if (warningsList.dataset.key === warningsKey) return;
+    warningsList.dataset.key = warningsKey;
+    warningsList.innerHTML = '';
+    health.warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        warningsList.appendChild(item);
+    });
 }
 
 // Calculate ground speed from orbital velocity
@@ -684,93 +1142,30 @@ function showError(message) {
     hideLoading(false);
 }
 
-// Improve orbit calculation for smoother paths
-function calculateOrbitPoints() {
-    const points = [];
-    const segments = [];
-    const now = new Date();
-    
-    const orbitDuration = ORBIT_PERIOD_MINUTES * 60 * 1000;
-    const timeStep = orbitDuration / ORBIT_POINTS;
-    const numPoints = ORBIT_POINTS * 2; // Two full orbits
-    
-    let currentSegment = [];
-    let prevLng = null;
-    
-    for (let i = 0; i < numPoints; i++) {
-        const timeOffset = i * timeStep;
-        const time = new Date(now.getTime() + timeOffset);
-        const position = calculateSatellitePosition(satellite, time);
-        
-        if (position && !isNaN(position.lat) && !isNaN(position.lng)) {
-            let lng = position.lng;
-            
-            // Handle longitude wrapping by creating new segments
-            if (prevLng !== null) {
-                const diff = lng - prevLng;
-                if (Math.abs(diff) > 180) {
-                    if (currentSegment.length > 0) {
-                        segments.push(currentSegment);
-                        currentSegment = [];
-                    }
-                }
-            }
-            
-            currentSegment.push([position.lat, lng]);
-            prevLng = lng;
-        }
-    }
-    
-    // Add the last segment if it contains points
-    if (currentSegment.length > 0) {
-        segments.push(currentSegment);
-    }
-    
-    return segments;
+// Read a revolution count input, falling back to a default when blank or out of range
+function getRevolutionInput(inputId, defaultRevs) {
+    const value = parseFloat(document.getElementById(inputId)?.value);
+    return value >= 0 && value <= MAX_ORBIT_REVS ? value : defaultRevs;
 }
 
-// Update ground track calculation
-function calculateGroundTrackPoints() {
-    const segments = [];
-    const now = new Date();
-    
-    const orbitDuration = ORBIT_PERIOD_MINUTES * 60 * 1000;
-    const timeStep = orbitDuration / ORBIT_POINTS;
-    const numPoints = Math.floor(ORBIT_POINTS * 1.5); // One and a half orbits
-    
-    let currentSegment = [];
-    let prevLng = null;
-    
-    for (let i = 0; i < numPoints; i++) {
-        const timeOffset = i * timeStep;
-        const time = new Date(now.getTime() + timeOffset);
-        const position = calculateSatellitePosition(satellite, time);
-        
-        if (position && !isNaN(position.lat) && !isNaN(position.lng)) {
-            let lng = position.lng;
-            
-            // Handle longitude wrapping by creating new segments
-            if (prevLng !== null) {
-                const diff = lng - prevLng;
-                if (Math.abs(diff) > 180) {
-                    if (currentSegment.length > 0) {
-                        segments.push(currentSegment);
-                        currentSegment = [];
-                    }
-                }
-            }
-            
-            currentSegment.push([position.lat, lng]);
-            prevLng = lng;
-        }
-    }
-    
-    // Add the last segment if it contains points
-    if (currentSegment.length > 0) {
-        segments.push(currentSegment);
-    }
-    
-    return segments;
+// Sample the orbit over the chosen past and future revolutions (in the propagation worker)
+function calculateOrbitPoints(signal) {
+    return runPropagationJob('trackSamples', {
+        satellite: satellite,
+        centerTime: getSimulationTime(),
+        pastRevs: getRevolutionInput('orbitPastRevs', DEFAULT_ORBIT_PAST_REVS),
+        futureRevs: getRevolutionInput('orbitFutureRevs', DEFAULT_ORBIT_FUTURE_REVS)
+    }, { signal });
+}
+
+// Sample the ground track history and the track ahead with the shadow state of each point (in the propagation worker)
+function calculateGroundTrackPoints(centerTime, signal) {
+    return runPropagationJob('trackSamples', {
+        satellite: satellite,
+        centerTime: centerTime,
+        pastRevs: getRevolutionInput('groundTrackHistoryRevs', DEFAULT_GROUND_TRACK_HISTORY_REVS),
+        futureRevs: GROUND_TRACK_REVS
+    }, { signal });
 }
 
 // --- NEW Countdown Timer Functionality ---
@@ -798,7 +1193,7 @@ function startOrUpdateCountdown(startTime, endTime) {
             return;
         }
 
-        const now = new Date();
+        const now = getSimulationTime();
         const start = currentPassDetails.startTime;
         const end = currentPassDetails.endTime;
 
@@ -859,9 +1254,21 @@ async function updatePassPredictions() {
     // Reset favicon to default at the start of prediction
     // setFavicon(defaultFaviconHref); 
 
+    // --- Cancel a pass search that is still running (Predict pressed again) ---
+    if (passSearchController) {
+        passSearchController.abort();
+        passSearchController = null;
+    }
+
     // --- Stop any existing countdown --- 
     stopAndClearCountdown();
 
+    // Forget passes from the previous prediction
+    predictedPasses = [];
+    selectedPassIndex = -1;
+    clearDopplerPlot();
+    setRotatorControlsVisible(false);
+
     // Ensure the main satellite object is available
     if (!satellite || !satellite.OBJECT_NAME) {
         showError('Satellite data not fully loaded. Cannot predict passes.');
@@ -889,12 +1296,31 @@ async function updatePassPredictions() {
      clearPolarPlotly('polarPlot');
 
 
+    // Optional observer settings (blank fields fall back to the pass.js defaults)
+    const observerAltInput = document.getElementById('observerAlt');
+    const minElevationInput = document.getElementById('minElevation');
+    const horizonMaskInput = document.getElementById('horizonMask');
+    const refractionCheckbox = document.getElementById('applyRefraction');
+    const observerAltMeters = observerAltInput?.value.trim() ? parseFloat(observerAltInput.value) : null;
+    const minElevation = minElevationInput?.value.trim() ? parseFloat(minElevationInput.value) : null;
+
     // Basic validation for observer coordinates
     let validationError = null;
+    let horizonMask = [];
     if (isNaN(observerLat) || isNaN(observerLon)) {
         validationError = 'Please enter valid latitude and longitude values.';
     } else if (observerLat < -90 || observerLat > 90 || observerLon < -180 || observerLon > 180) {
         validationError = 'Latitude must be -90 to 90, Longitude must be -180 to 180.';
+    } else if (observerAltMeters !== null && (isNaN(observerAltMeters) || observerAltMeters < -500 || observerAltMeters > 9000)) {
+        validationError = 'Altitude must be -500 to 9000 metres.';
+    } else if (minElevation !== null && (isNaN(minElevation) || minElevation < 0 || minElevation > 90)) {
+        validationError = 'Minimum elevation must be 0 to 90 degrees.';
+    } else {
+        try {
+            horizonMask = parseHorizonMask(horizonMaskInput?.value || '');
+        } catch (maskError) {
+            validationError = maskError.message;
+        }
     }
 
     if (validationError) {
@@ -907,12 +1333,23 @@ async function updatePassPredictions() {
         return; // Stop execution
     }
 
+    currentObserver = createObserver({
+        latitude: observerLat,
+        longitude: observerLon,
+        altitude: observerAltMeters !== null ? observerAltMeters / 1000 : undefined,
+        minElevation: minElevation !== null ? minElevation : undefined,
+        horizonMask: horizonMask,
+        refraction: Boolean(refractionCheckbox?.checked)
+    });
 
     // Show loading state for prediction
     const predictButton = document.getElementById('predictPassesBtn');
-    const originalButtonText = predictButton.innerHTML;
-    predictButton.disabled = true;
+    // The button stays enabled so pressing it again cancels this search; remember its idle label
+    if (!predictButton.dataset.idleLabel) predictButton.dataset.idleLabel = predictButton.innerHTML;
+    const originalButtonText = predictButton.dataset.idleLabel;
     predictButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
+    const searchController = new AbortController();
+    passSearchController = searchController;
     // const passResults = document.querySelector('.pass-results'); // Already got this
     const canvas = document.getElementById('pass-visualization-canvas'); // Keep for potential future use?
     // Get table rows and cells for dynamic updates
@@ -971,78 +1408,33 @@ async function updatePassPredictions() {
              console.log(`Satellite ${satellite.OBJECT_NAME} identified as geostationary.`);
             predictButton.innerHTML = '<i class="fas fa-satellite"></i> Calculate Look Angles';
 
-            // Hide pass-specific rows immediately
+            // Hide pass-specific rows and the pass list immediately
             if (durationRow) durationRow.style.display = 'none';
             if (directionRow) directionRow.style.display = 'none';
-
-            // --- Integrated satrec creation and look angle calculation ---
-            let satrec;
-            let tleSource = 'Unknown';
+            const passListTable = document.getElementById('pass-list-table');
+            if (passListTable) passListTable.style.display = 'none';
+            const calendarExportDiv = document.getElementById('calendar-export');
+            if (calendarExportDiv) calendarExportDiv.style.display = 'none';
+            predictedPasses = [];
+            selectedPassIndex = -1;
+
+            // --- Look angles for the current time (shared propagation engine) ---
             let lookAngles = null;
             try {
-                 // Logic adapted from calculateSatellitePosition to get satrec
-                 if (satellite.TLE_LINE1 && satellite.TLE_LINE2 && /* ... TLE format checks ... */
-                     satellite.TLE_LINE1.startsWith('1 ') && satellite.TLE_LINE2.startsWith('2 ')) { // Basic check
-                    tleSource = 'Embedded';
-                    satrec = window.satellite.twoline2satrec(satellite.TLE_LINE1, satellite.TLE_LINE2);
-                } else if (satellite.OBJECT_NAME && satellite.NORAD_CAT_ID && satellite.EPOCH && satellite.MEAN_MOTION) {
-                    tleSource = 'Celestrak JSON';
-                    const satJson = { /* ... construct satJson object from satellite properties ... */
-                        OBJECT_NAME: satellite.OBJECT_NAME,
-                        OBJECT_ID: satellite.OBJECT_ID || satellite.INTL_DES || 'UNKNOWN',
-                        EPOCH: satellite.EPOCH,
-                        MEAN_MOTION: parseFloat(satellite.MEAN_MOTION),
-                        ECCENTRICITY: parseFloat(satellite.ECCENTRICITY),
-                        INCLINATION: parseFloat(satellite.INCLINATION),
-                        RA_OF_ASC_NODE: parseFloat(satellite.RA_OF_ASC_NODE),
-                        ARG_OF_PERICENTER: parseFloat(satellite.ARG_OF_PERICENTER),
-                        MEAN_ANOMALY: parseFloat(satellite.MEAN_ANOMALY),
-                        EPHEMERIS_TYPE: satellite.EPHEMERIS_TYPE || 0,
-                        CLASSIFICATION_TYPE: satellite.CLASSIFICATION_TYPE || "U",
-                        NORAD_CAT_ID: parseInt(satellite.NORAD_CAT_ID),
-                        ELEMENT_SET_NO: satellite.ELEMENT_SET_NO || 999,
-                        REV_AT_EPOCH: satellite.REV_AT_EPOCH || 0,
-                        BSTAR: satellite.BSTAR || 0.0001,
-                        MEAN_MOTION_DOT: satellite.MEAN_MOTION_DOT || 0,
-                        MEAN_MOTION_DDOT: satellite.MEAN_MOTION_DDOT || 0
-                    };
-                     if (isNaN(satJson.NORAD_CAT_ID) || isNaN(satJson.MEAN_MOTION) || !satJson.EPOCH) {
-                        throw new Error('Incomplete Celestrak JSON data for satrec creation');
-                    }
-                    satrec = window.satellite.json2satrec(satJson);
-                } else {
-                    throw new Error('Satellite object format not recognized or missing required data.');
-                }
-
-                if (!satrec || satrec.error !== 0) {
-                    throw new Error(`Failed to initialize satrec (source: ${tleSource}, error ${satrec?.error})`);
-                }
-
-                // Propagate position for NOW
-                const now = new Date();
-                const positionAndVelocity = window.satellite.propagate(satrec, now);
-                if (!positionAndVelocity || !positionAndVelocity.position) {
-                    throw new Error('Propagation failed for current time.');
-                }
-
                 // Calculate Look Angles
-                const gmst = window.satellite.gstime(now);
-                const positionEcf = window.satellite.eciToEcf(positionAndVelocity.position, gmst);
-                const observerGd = {
-                    longitude: observerLon * Math.PI / 180,
-                    latitude: observerLat * Math.PI / 180,
-                    height: 0.1 // Assume low height
-                };
-                const lookAnglesRad = window.satellite.ecfToLookAngles(observerGd, positionEcf);
+                const geometricAngles = window.lookAngles(satellite, getSimulationTime(), currentObserver);
                 lookAngles = {
-                    azimuth: lookAnglesRad.azimuth * 180 / Math.PI,
-                    elevation: lookAnglesRad.elevation * 180 / Math.PI
+                    azimuth: geometricAngles.azimuth,
+                    elevation: currentObserver.refraction ? applyRefraction(geometricAngles.elevation) : geometricAngles.elevation
                 };
+                // A GEO satellite is "in view" above the horizon mask; the pass minimum elevation does not apply
+                lookAngles.aboveHorizon = lookAngles.elevation >= 0 &&
+                    lookAngles.elevation >= getHorizonElevation({ ...currentObserver, minElevation: 0 }, lookAngles.azimuth);
             } catch (calcError) {
                  console.error("[GEO Calculation] Error:", calcError);
                  lookAngles = null;
             }
-            // --- End integrated calculation ---
+            // --- End look angle calculation ---
 
             // Display results based on calculated lookAngles
             if (passResultsDiv && nextPassRow && maxElevationRow && nextPassLabel && maxElevationLabel && nextPassCell && maxElevationCell && geoStatusMessage) {
@@ -1054,7 +1446,7 @@ async function updatePassPredictions() {
                 geoStatusMessage.classList.remove('status-not-visible');
                 nextPassCell.classList.remove('status-not-visible');
 
-                if (lookAngles && lookAngles.elevation >= 0) {
+                if (lookAngles && lookAngles.aboveHorizon) {
                     nextPassCell.textContent = `${lookAngles.azimuth.toFixed(1)}°`;
                     maxElevationCell.textContent = `${lookAngles.elevation.toFixed(1)}°`;
                     nextPassRow.style.display = '';
@@ -1080,8 +1472,8 @@ async function updatePassPredictions() {
                 passResultsDiv.style.display = 'block';
 
                 // Call visualization ONLY if GEO/GSO satellite is visible
-                if (lookAngles && lookAngles.elevation >= 0) {
-                    drawPolarPlotly('polarPlot', [lookAngles], true);
+                if (lookAngles && lookAngles.aboveHorizon) {
+                    drawPolarPlotly('polarPlot', [lookAngles], true, currentObserver);
                 } else {
                     clearPolarPlotly('polarPlot'); // Clear if not visible or error
                 }
@@ -1116,38 +1508,40 @@ async function updatePassPredictions() {
              // Get references to the message div and details table
              const noPassMessageDiv = document.getElementById('no-pass-message');
              const passDetailsTable = document.getElementById('pass-details-table');
-
-             // Ensure the global calculateNextPass function exists
-             if (typeof window.calculateNextPass !== 'function') {
-                 throw new Error('calculateNextPass function is not available globally.');
-             }
-             const nextPass = await window.calculateNextPass(satellite, observerLat, observerLon);
+             const passListTable = document.getElementById('pass-list-table');
+             const calendarExportDiv = document.getElementById('calendar-export');
+             const predictionDays = parseInt(document.getElementById('predictionDays')?.value, 10) || DEFAULT_PREDICTION_DAYS;
+
+             // Search in the propagation worker so the page stays responsive (from the simulation clock time)
+             predictedPasses = await runPropagationJob('passes', {
+                 satellite: satellite,
+                 observer: currentObserver,
+                 options: { start: getSimulationTime(), days: predictionDays }
+             }, {
+                 signal: searchController.signal,
+                 onProgress: (progress) => {
+                     predictButton.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Predicting Passes... ${Math.round(progress * 100)}%`;
+                 }
+             });
              if (passResultsDiv) {
-                 if (nextPass) {
-                    // Display Pass Data
-
-                    // Hide the 'no pass' message and show the details table
+                 if (predictedPasses.length > 0) {
+                    // Hide the 'no pass' message and show the details and list tables
                     if (noPassMessageDiv) noPassMessageDiv.style.display = 'none';
                     if (passDetailsTable) passDetailsTable.style.display = ''; // Show table
+                    if (passListTable) passListTable.style.display = '';
+                    if (calendarExportDiv) calendarExportDiv.style.display = '';
 
-                    // Call Plotly function for non-GEO
-                    drawPolarPlotly('polarPlot', nextPass.lookAnglePoints, false);
-                    const localStartTime = nextPass.startTime.toLocaleString(undefined, {
-                        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
-                    });
-                    document.getElementById('nextPassTime').textContent = localStartTime;
-                    document.getElementById('maxElevation').textContent = `${nextPass.maxElevation.toFixed(1)}°`;
-                    document.getElementById('passDuration').textContent = `${Math.floor(nextPass.duration / 60)}m ${Math.floor(nextPass.duration % 60)}s`;
-                    document.getElementById('passDirection').innerHTML = nextPass.direction;
-
-                    // --- Start the countdown timer --- 
-                    startOrUpdateCountdown(nextPass.startTime, nextPass.endTime);
+                    // Rendering selects the first pass that passes the visibility filter
+                    selectedPassIndex = -1;
+                    renderPassTable(predictedPasses);
 
                  } else {
                     // Show the 'no pass' message and hide the details table
                     if (passDetailsTable) passDetailsTable.style.display = 'none'; // Hide table
+                    if (passListTable) passListTable.style.display = 'none';
+                    if (calendarExportDiv) calendarExportDiv.style.display = 'none';
                     if (noPassMessageDiv) {
-                         noPassMessageDiv.textContent = 'No pass for the location in the next 24 hours!';
+                         noPassMessageDiv.textContent = `No pass for the location in the next ${predictionDays * 24} hours!`;
                          noPassMessageDiv.style.display = 'block'; // Show message div
                     }
 
@@ -1170,10 +1564,12 @@ async function updatePassPredictions() {
         }
 
     } catch (error) {
+        // A newer prediction cancelled this one and now owns the results area
+        if (error.name === 'AbortError') return;
         console.error('[updatePassPredictions] Error:', error);
         // Use the specific location error div for calculation errors too
         if (locationErrorDiv) {
-            locationErrorDiv.textContent = `Failed calculation: ${error.message}`;
+            locationErrorDiv.textContent = `Failed calculation: ${describePropagationError(error, satellite)}`;
             locationErrorDiv.style.display = 'block';
         }
         // Hide the results area cleanly
@@ -1192,14 +1588,725 @@ async function updatePassPredictions() {
             }
         }
     } finally {
-        // Restore button state
-        predictButton.disabled = false;
-        predictButton.innerHTML = originalButtonText;
+        // Restore button state unless a newer prediction is running
+        if (passSearchController === searchController || passSearchController === null) {
+            passSearchController = null;
+            predictButton.innerHTML = originalButtonText;
+        }
+    }
+}
+
+// --- Eclipse Timeline --- //
+
+// Calculate shadow entry/exit times for the chosen number of orbits and show them
+async function updateEclipseTimeline() {
+    if (eclipseRequestController) eclipseRequestController.abort();
+    const controller = new AbortController();
+    eclipseRequestController = controller;
+
+    const button = document.getElementById('calculateEclipsesBtn');
+    const errorDiv = document.getElementById('eclipse-error');
+    const resultsDiv = document.getElementById('eclipse-results');
+    const orbits = parseInt(document.getElementById('eclipseOrbits')?.value, 10) || DEFAULT_ECLIPSE_ORBITS;
+    if (!button.dataset.idleLabel) button.dataset.idleLabel = button.innerHTML;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Calculating...';
+    errorDiv.style.display = 'none';
+
+    try {
+        eclipseTimeline = await runPropagationJob('eclipses', {
+            satellite: satellite,
+            options: { start: getSimulationTime(), orbits: orbits }
+        }, { signal: controller.signal });
+        renderEclipseTable(eclipseTimeline);
+        resultsDiv.style.display = 'block';
+        drawEclipsePlotly('eclipsePlot', eclipseTimeline);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('[updateEclipseTimeline] Error:', error);
+        eclipseTimeline = null;
+        resultsDiv.style.display = 'none';
+        errorDiv.textContent = `Failed calculation: ${describePropagationError(error, satellite)}`;
+        errorDiv.style.display = 'block';
+    } finally {
+        if (eclipseRequestController === controller) {
+            eclipseRequestController = null;
+            button.innerHTML = button.dataset.idleLabel;
+        }
+    }
+}
+
+// Fill the eclipse table and the sunlit fraction summary
+function renderEclipseTable(timeline) {
+    const summaryDiv = document.getElementById('eclipse-summary');
+    const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+    summaryDiv.textContent = `Period ${timeline.periodMinutes.toFixed(1)} min. ` +
+        `Sunlit ${percent(timeline.sunlitFraction)}, penumbra ${percent(timeline.penumbraFraction)}, ` +
+        `umbra ${percent(timeline.umbraFraction)} of the window.`;
+
+    const tbody = document.querySelector('#eclipse-table tbody');
+    tbody.innerHTML = '';
+    const table = document.getElementById('eclipse-table');
+    table.style.display = timeline.eclipses.length > 0 ? '' : 'none';
+    if (timeline.eclipses.length === 0) {
+        summaryDiv.textContent += ' No eclipses in the window.';
+        return;
+    }
+
+    // Times outside the window (eclipse already under way, or still going at the end) are shown as '-'
+    const formatTime = (time) => time ? formatPassTime(time) : '-';
+    timeline.eclipses.forEach((eclipse, index) => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = index + 1;
+        row.insertCell().textContent = formatTime(eclipse.entry);
+        row.insertCell().textContent = formatTime(eclipse.umbraEntry);
+        row.insertCell().textContent = formatTime(eclipse.umbraExit);
+        row.insertCell().textContent = formatTime(eclipse.exit);
+        row.insertCell().textContent = formatPassDuration(eclipse.duration);
+        row.insertCell().textContent = eclipse.umbraDuration > 0 ? formatPassDuration(eclipse.umbraDuration) : '-';
+    });
+}
+
+// Plot the shadow states as a timeline (one row per state)
+function drawEclipsePlotly(plotDivId, timeline) {
+    const plotDiv = document.getElementById(plotDivId);
+    if (!plotDiv) return;
+
+    const currentTheme = document.body.getAttribute('data-theme') || 'light';
+    const paperColor = currentTheme === 'dark' ? '#000000' : '#ffffff';
+    const fontColor = currentTheme === 'dark' ? '#f5f5f5' : '#2c3e50';
+    const gridColor = currentTheme === 'dark' ? 'rgba(180, 180, 180, 0.4)' : 'rgba(200, 200, 200, 0.6)';
+    const states = [
+        { state: 'sunlit', label: 'Sunlit', color: '#f1c40f' },
+        { state: 'penumbra', label: 'Penumbra', color: '#95a5a6' },
+        { state: 'umbra', label: 'Umbra', color: '#8e44ad' }
+    ];
+
+    const dataTraces = states.map(({ state, label, color }) => {
+        const intervals = timeline.intervals.filter(interval => interval.state === state);
+        return {
+            type: 'bar',
+            orientation: 'h',
+            y: intervals.map(() => label),
+            base: intervals.map(interval => interval.start),
+            x: intervals.map(interval => interval.end - interval.start), // Bar length in ms on a date axis
+            name: label,
+            marker: { color: color },
+            hovertext: intervals.map(interval =>
+                `${label}: ${formatPassTime(interval.start)} - ${formatPassTime(interval.end, false)}`),
+            hoverinfo: 'text'
+        };
+    });
+
+    const layout = {
+        barmode: 'overlay',
+        xaxis: { type: 'date', title: { text: 'Time' }, gridcolor: gridColor, color: fontColor },
+        yaxis: { categoryorder: 'array', categoryarray: states.map(item => item.label).reverse(), color: fontColor },
+        paper_bgcolor: paperColor,
+        plot_bgcolor: paperColor,
+        font: { color: fontColor, family: 'NType82 Mono, monospace' },
+        showlegend: false,
+        height: 260,
+        margin: { l: 90, r: 20, t: 20, b: 60 }
+    };
+
+    Plotly.react(plotDivId, dataTraces, layout, { displayModeBar: false, responsive: true });
+}
+
+// --- Simulation Clock Controls --- //
+
+// Fill the speed selector, hook up the clock buttons and follow clock changes
+function initSimulationClockControls() {
+    const speedSelect = document.getElementById('simSpeed');
+    if (!speedSelect) return;
+    SIMULATION_SPEEDS.forEach(speed => speedSelect.add(new Option(`${speed}×`, speed)));
+    document.getElementById('simDateTime').value = toDateTimeLocalValue(getSimulationTime());
+
+    speedSelect.addEventListener('change', () => setSimulationSpeed(parseInt(speedSelect.value, 10)));
+    document.getElementById('simPlayPauseBtn').addEventListener('click', () => {
+        if (getSimulationClockState().paused) {
+            playSimulation();
+        } else {
+            pauseSimulation();
+        }
+    });
+    document.getElementById('simStepBackBtn').addEventListener('click', () => stepSimulation(-getSimulationStepSeconds()));
+    document.getElementById('simStepForwardBtn').addEventListener('click', () => stepSimulation(getSimulationStepSeconds()));
+    document.getElementById('simJumpBtn').addEventListener('click', jumpToPickedTime);
+    document.getElementById('simLiveBtn').addEventListener('click', returnSimulationToLive);
+
+    onSimulationClockChange(handleSimulationClockChange);
+    updateSimulationClockControls(getSimulationClockState());
+}
+
+// Redraw everything at the new time and adjust the refresh rate to the speed
+function handleSimulationClockChange(state, jumped) {
+    updateSimulationClockControls(state);
+    startTracking();
+    // A jump can move back before the selected pass, so restart its countdown against the new time
+    const pass = predictedPasses[selectedPassIndex];
+    if (jumped && pass) startOrUpdateCountdown(pass.startTime, pass.endTime);
+}
+
+// Sync the play/pause icon, speed selector and status line with the clock
+function updateSimulationClockControls(state) {
+    const playPauseBtn = document.getElementById('simPlayPauseBtn');
+    if (playPauseBtn) {
+        playPauseBtn.innerHTML = state.paused ? '<i class="fas fa-play"></i>' : '<i class="fas fa-pause"></i>';
+        playPauseBtn.title = state.paused ? 'Play' : 'Pause';
+    }
+    const speedSelect = document.getElementById('simSpeed');
+    if (speedSelect) speedSelect.value = state.speed;
+    const liveBtn = document.getElementById('simLiveBtn');
+    if (liveBtn) liveBtn.disabled = state.live;
+    updateSimulationClockStatus();
+}
+
+// Show whether the page is live or simulated (or an error message for the simulated time)
+function updateSimulationClockStatus(errorMessage) {
+    const statusDiv = document.getElementById('sim-clock-status');
+    if (!statusDiv) return;
+    const { speed, paused, live } = getSimulationClockState();
+    statusDiv.classList.toggle('sim-clock-error', Boolean(errorMessage));
+    statusDiv.classList.toggle('sim-clock-simulated', !errorMessage && !live);
+    if (errorMessage) {
+        statusDiv.textContent = errorMessage;
+    } else if (live) {
+        statusDiv.textContent = 'Live';
+    } else {
+        statusDiv.textContent = `Simulated ${speed}×${paused ? ' (paused)' : ''}`;
+    }
+}
+
+// Step size chosen next to the step buttons
+function getSimulationStepSeconds() {
+    return parseInt(document.getElementById('simStepSize')?.value, 10) || 60;
+}
+
+// Jump to the local date and time in the picker
+function jumpToPickedTime() {
+    const picker = document.getElementById('simDateTime');
+    const time = new Date(picker.value); // datetime-local values are parsed as local time
+    if (!picker.value || isNaN(time.getTime())) {
+        updateSimulationClockStatus('Please pick a valid date and time.');
+        return;
+    }
+    setSimulationTime(time);
+}
+
+// Format a date for a datetime-local input (local time, to the second)
+function toDateTimeLocalValue(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// --- Conjunction Screening --- //
+
+// Satellites to screen against: every category file (plus custom satellites) or active.json
+async function loadScreeningCatalogue(source) {
+    if (screeningCatalogues[source]) return screeningCatalogues[source];
+    const files = source === 'active' ? [activeJsonFile] : SCREENING_CATEGORY_FILES;
+    let catalogue = [];
+    for (const file of files) {
+        try {
+            const res = await fetch(file);
+            if (!res.ok) continue;
+            const data = await res.json();
+            catalogue = catalogue.concat(normalizeSatelliteRecords(data, file).satellites);
+        } catch (e) {
+            console.warn('[loadScreeningCatalogue] Could not load', file, e);
+        }
+    }
+    if (source !== 'active') {
+        try {
+            const storedCustomSats = JSON.parse(localStorage.getItem('customSatellites') || '[]');
+            if (Array.isArray(storedCustomSats)) {
+                catalogue = catalogue.concat(normalizeSatelliteRecords(storedCustomSats, 'custom satellites').satellites);
+            }
+        } catch (e) {
+            console.warn('[loadScreeningCatalogue] Could not read custom satellites:', e);
+        }
+    }
+    if (catalogue.length === 0) {
+        throw new Error(source === 'active' ? `No satellites could be loaded from ${activeJsonFile}` : 'No category files could be loaded');
+    }
+    screeningCatalogues[source] = catalogue;
+    return catalogue;
+}
+
+// Screen the tracked satellite against the catalogue in the worker (clicking again cancels)
+async function updateConjunctionScreening() {
+    const button = document.getElementById('screenConjunctionsBtn');
+    if (!button.dataset.idleLabel) button.dataset.idleLabel = button.innerHTML;
+    if (conjunctionRequestController) {
+        conjunctionRequestController.abort();
+        conjunctionRequestController = null;
+        button.innerHTML = button.dataset.idleLabel;
+        return;
+    }
+    const controller = new AbortController();
+    conjunctionRequestController = controller;
+
+    const errorDiv = document.getElementById('conjunction-error');
+    const resultsDiv = document.getElementById('conjunction-results');
+    const source = document.getElementById('screeningCatalogue')?.value || 'categories';
+    const days = parseFloat(document.getElementById('screeningDays')?.value);
+    const threshold = parseFloat(document.getElementById('screeningDistance')?.value);
+    errorDiv.style.display = 'none';
+    if (!(days > 0 && days <= MAX_SCREENING_DAYS) || !(threshold > 0 && threshold <= MAX_SCREENING_DISTANCE_KM)) {
+        errorDiv.textContent = `Please enter up to ${MAX_SCREENING_DAYS} days and a distance up to ${MAX_SCREENING_DISTANCE_KM} km.`;
+        errorDiv.style.display = 'block';
+        conjunctionRequestController = null;
+        return;
+    }
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading catalogue... (click to cancel)';
+
+    try {
+        const catalogue = await loadScreeningCatalogue(source);
+        controller.signal.throwIfAborted();
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Screening... 0% (click to cancel)';
+        const result = await runPropagationJob('conjunctions', {
+            satellite: satellite,
+            catalogue: catalogue,
+            options: { start: getSimulationTime(), days: days, threshold: threshold }
+        }, {
+            signal: controller.signal,
+            onProgress: (progress) => {
+                button.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Screening... ${Math.round(progress * 100)}% (click to cancel)`;
+            }
+        });
+        renderConjunctionTable(result);
+        resultsDiv.style.display = 'block';
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('[updateConjunctionScreening] Error:', error);
+        resultsDiv.style.display = 'none';
+        errorDiv.textContent = `Failed screening: ${describePropagationError(error, satellite)}`;
+        errorDiv.style.display = 'block';
+    } finally {
+        if (conjunctionRequestController === controller) {
+            conjunctionRequestController = null;
+            button.innerHTML = button.dataset.idleLabel;
+        }
+    }
+}
+
+// Fill the conjunction table and the screening summary
+function renderConjunctionTable(result) {
+    const summaryDiv = document.getElementById('conjunction-summary');
+    const notes = [];
+    if (result.outsideBand > 0) notes.push(`${result.outsideBand} outside the altitude band`);
+    if (result.failed > 0) notes.push(`${result.failed} could not be propagated`);
+    summaryDiv.textContent = `${result.conjunctions.length} close approaches within ${result.threshold} km ` +
+        `from ${formatPassTime(result.start)} to ${formatPassTime(result.end)}. ` +
+        `Screened ${result.screened} of ${result.objects} objects` + (notes.length > 0 ? ` (${notes.join(', ')}).` : '.');
+
+    const table = document.getElementById('conjunction-table');
+    const tbody = table.querySelector('tbody');
+    tbody.innerHTML = '';
+    table.style.display = result.conjunctions.length > 0 ? '' : 'none';
+    result.conjunctions.forEach(conjunction => {
+        const row = tbody.insertRow();
+        const link = document.createElement('a');
+        link.href = `satPage.html?ID=${encodeURIComponent(conjunction.noradId)}&name=${encodeURIComponent(conjunction.name)}`;
+        link.textContent = `${conjunction.name} (${conjunction.noradId})`;
+        row.insertCell().appendChild(link);
+        row.insertCell().textContent = formatPassTime(conjunction.tca);
+        row.insertCell().textContent = conjunction.missDistance.toFixed(3);
+        row.insertCell().textContent = conjunction.radial.toFixed(3);
+        row.insertCell().textContent = conjunction.inTrack.toFixed(3);
+        row.insertCell().textContent = conjunction.crossTrack.toFixed(3);
+        row.insertCell().textContent = conjunction.relativeVelocity.toFixed(3);
+    });
+}
+
+// --- Multi-Pass Table --- //
+
+// Format a pass time for the pass table (date is omitted when showDate is false)
+function formatPassTime(date, showDate = true) {
+    const options = showDate
+        ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' }
+        : { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+    return date.toLocaleString(undefined, options);
+}
+
+// Format a pass duration given in seconds as "Xm YYs"
+function formatPassDuration(durationSeconds) {
+    return `${Math.floor(durationSeconds / 60)}m ${String(Math.floor(durationSeconds % 60)).padStart(2, '0')}s`;
+}
+
+// Fill the pass list table with one clickable row per predicted pass
+function renderPassTable(passes) {
+    const tbody = document.querySelector('#pass-list-table tbody');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+
+    passes.forEach((pass, index) => {
+        const row = tbody.insertRow();
+        row.setAttribute('data-pass-index', index);
+        row.insertCell().textContent = index + 1;
+        row.insertCell().textContent = formatPassTime(pass.startTime);
+        row.insertCell().textContent = pass.tca ? formatPassTime(pass.tca, false) : '-';
+        row.insertCell().textContent = formatPassTime(pass.endTime, false);
+        row.insertCell().textContent = `${pass.maxElevation.toFixed(1)}°`;
+        row.insertCell().textContent = formatPassDuration(pass.duration);
+        row.insertCell().innerHTML = pass.direction; // Direction contains an HTML arrow entity
+        const visibilityCell = row.insertCell();
+        visibilityCell.textContent = formatPassVisibility(pass);
+        visibilityCell.className = `pass-visibility-${pass.visibility || 'unknown'}`;
+        row.addEventListener('click', () => selectPass(index));
+    });
+
+    applyVisiblePassFilter();
+}
+
+// Describe a pass's optical visibility for the pass table
+function formatPassVisibility(pass) {
+    switch (pass.visibility) {
+        case 'visible':
+            return `Visible ${formatPassTime(pass.visibleStart, false)}-${formatPassTime(pass.visibleEnd, false)}`;
+        case 'daylight':
+            return 'Daylight';
+        case 'eclipsed':
+            return 'Eclipsed';
+        default:
+            return '-';
     }
 }
 
+// Hide non-visible passes when the "visible passes only" filter is checked
+function applyVisiblePassFilter() {
+    const visibleOnly = document.getElementById('visiblePassesOnly')?.checked;
+    const noPassMessageDiv = document.getElementById('no-pass-message');
+    let firstShownIndex = -1;
+
+    document.querySelectorAll('#pass-list-table tbody tr').forEach(row => {
+        const index = parseInt(row.getAttribute('data-pass-index'), 10);
+        const shown = !visibleOnly || predictedPasses[index]?.visibility === 'visible';
+        row.style.display = shown ? '' : 'none';
+        if (shown && firstShownIndex === -1) firstShownIndex = index;
+    });
+
+    if (predictedPasses.length === 0) return;
+
+    const passDetailsTable = document.getElementById('pass-details-table');
+    const plotDiv = document.getElementById('polarPlot');
+    if (firstShownIndex === -1) {
+        if (noPassMessageDiv) {
+            noPassMessageDiv.textContent = 'No visible pass for the location in the prediction window!';
+            noPassMessageDiv.style.display = 'block';
+        }
+        // Nothing to show: hide the details and plot but keep the observer marker
+        if (passDetailsTable) passDetailsTable.style.display = 'none';
+        if (plotDiv) {
+            Plotly.purge('polarPlot');
+            plotDiv.style.display = 'none';
+        }
+        stopAndClearCountdown();
+        selectedPassIndex = -1;
+        clearDopplerPlot();
+        setRotatorControlsVisible(false);
+        return;
+    }
+    if (noPassMessageDiv) noPassMessageDiv.style.display = 'none';
+    if (passDetailsTable) passDetailsTable.style.display = '';
+
+    // Select the first shown pass if nothing is selected or the selection was filtered out
+    const selectedPass = predictedPasses[selectedPassIndex];
+    if (!selectedPass || (visibleOnly && selectedPass.visibility !== 'visible')) {
+        selectPass(firstShownIndex);
+    }
+}
+
+// Show the chosen pass in the details table and polar plot and count down to it
+function selectPass(index) {
+    const pass = predictedPasses[index];
+    if (!pass) return;
+    selectedPassIndex = index;
+
+    // Highlight the selected row
+    document.querySelectorAll('#pass-list-table tbody tr').forEach(row => {
+        row.classList.toggle('selected-pass', parseInt(row.getAttribute('data-pass-index'), 10) === index);
+    });
+
+    const nextPassLabel = document.querySelector('#pass-details-table tr:first-child th');
+    if (nextPassLabel) nextPassLabel.textContent = index === 0 ? 'Next Pass at' : `Pass ${index + 1} at`;
+
+    const localStartTime = pass.startTime.toLocaleString(undefined, {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    document.getElementById('nextPassTime').textContent = localStartTime;
+    // Include the refined time and azimuth of closest approach when available
+    const tcaDetails = pass.tca && pass.tcaAzimuth !== null && pass.tcaAzimuth !== undefined
+        ? ` at ${formatPassTime(pass.tca, false)} (Az ${pass.tcaAzimuth.toFixed(1)}°)`
+        : '';
+    document.getElementById('maxElevation').textContent = `${pass.maxElevation.toFixed(1)}°${tcaDetails}`;
+    document.getElementById('passDuration').textContent = formatPassDuration(pass.duration);
+    document.getElementById('passDirection').innerHTML = pass.direction;
+
+    drawPolarPlotly('polarPlot', pass.lookAnglePoints, false, currentObserver);
+    updateDopplerDisplay();
+    setRotatorControlsVisible(true);
+
+    // Restart the countdown against the selected pass
+    startOrUpdateCountdown(pass.startTime, pass.endTime);
+}
+
+// Passes currently shown in the pass table (respects the "visible passes only" filter)
+function getShownPasses() {
+    const visibleOnly = document.getElementById('visiblePassesOnly')?.checked;
+    return visibleOnly ? predictedPasses.filter(pass => pass.visibility === 'visible') : predictedPasses;
+}
+
+// Download the shown passes as an .ics file for calendar apps
+function exportPassesToCalendar() {
+    const passes = getShownPasses();
+    if (passes.length === 0) return;
+    const reminderMinutes = parseInt(document.getElementById('calendarReminder')?.value, 10) || 0;
+
+    const ics = createPassCalendar(passes, satellite, { reminderMinutes, observer: currentObserver });
+    const satName = toFileNamePart(satellite.OBJECT_NAME || satellite.NORAD_CAT_ID);
+    downloadTextFile(`${satName}_passes.ics`, ics, 'text/calendar');
+}
+
+// --- Doppler / Range-Rate Display --- //
+
+// Read a frequency input given in MHz, returning Hz or null when blank/invalid
+function getFrequencyInputHz(inputId) {
+    const value = parseFloat(document.getElementById(inputId)?.value);
+    return value > 0 ? value * 1e6 : null;
+}
+
+// Draw the Doppler chart and show the tuning table button for the selected pass
+function updateDopplerDisplay() {
+    const pass = predictedPasses[selectedPassIndex];
+    const downlinkHz = getFrequencyInputHz('downlinkFreq');
+    const uplinkHz = getFrequencyInputHz('uplinkFreq');
+    const tuningContainer = document.getElementById('tuning-table-container');
+
+    if (!pass || !pass.lookAnglePoints || pass.lookAnglePoints.length === 0) {
+        clearDopplerPlot();
+        return;
+    }
+    // The tuning table is useful (range and range rate) even without a frequency
+    if (tuningContainer) tuningContainer.style.display = '';
+
+    if (downlinkHz === null && uplinkHz === null) {
+        Plotly.purge('dopplerPlot');
+        const dopplerDiv = document.getElementById('dopplerPlot');
+        if (dopplerDiv) dopplerDiv.style.display = 'none';
+        return;
+    }
+    drawDopplerPlotly('dopplerPlot', pass.lookAnglePoints, downlinkHz, uplinkHz);
+}
+
+// Plot the Doppler offset (kHz) against time for the pass
+function drawDopplerPlotly(plotDivId, lookAnglePoints, downlinkHz, uplinkHz) {
+    const plotDiv = document.getElementById(plotDivId);
+    if (!plotDiv) return;
+
+    const currentTheme = document.body.getAttribute('data-theme') || 'light';
+    const paperColor = currentTheme === 'dark' ? '#000000' : '#ffffff';
+    const fontColor = currentTheme === 'dark' ? '#f5f5f5' : '#2c3e50';
+    const gridColor = currentTheme === 'dark' ? 'rgba(180, 180, 180, 0.4)' : 'rgba(200, 200, 200, 0.6)';
+    const downlinkColor = currentTheme === 'dark' ? 'rgba(80,200,120,0.9)' : 'rgb(117, 184, 240)';
+
+    const times = lookAnglePoints.map(p => p.time);
+    const dataTraces = [];
+    if (downlinkHz !== null) {
+        dataTraces.push({
+            type: 'scatter',
+            mode: 'lines',
+            x: times,
+            y: lookAnglePoints.map(p => calculateDopplerShift(downlinkHz, p.rangeRate).offset / 1000),
+            name: `Downlink ${(downlinkHz / 1e6).toFixed(3)} MHz`,
+            line: { color: downlinkColor, width: 2.5 }
+        });
+    }
+    if (uplinkHz !== null) {
+        dataTraces.push({
+            type: 'scatter',
+            mode: 'lines',
+            x: times,
+            // Uplink correction: how far to tune the transmitter from nominal
+            y: lookAnglePoints.map(p => (calculateDopplerShift(uplinkHz, p.rangeRate).uplink - uplinkHz) / 1000),
+            name: `Uplink ${(uplinkHz / 1e6).toFixed(3)} MHz`,
+            line: { color: '#e67e22', width: 2.5, dash: 'dash' }
+        });
+    }
+
+    const layout = {
+        xaxis: { title: { text: 'Time' }, gridcolor: gridColor, color: fontColor, type: 'date' },
+        yaxis: { title: { text: 'Doppler offset (kHz)' }, gridcolor: gridColor, color: fontColor, zerolinecolor: fontColor },
+        paper_bgcolor: paperColor,
+        plot_bgcolor: paperColor,
+        font: { color: fontColor, family: 'NType82 Mono, monospace' },
+        legend: { x: 0.5, y: -0.2, xanchor: 'center', yanchor: 'top', orientation: 'h' },
+        width: 450,
+        height: 450,
+        margin: { l: 60, r: 20, t: 40, b: 80 }
+    };
+
+    Plotly.react(plotDivId, dataTraces, layout, { displayModeBar: false });
+    plotDiv.style.display = 'block';
+}
+
+// Remove the Doppler chart and hide the tuning table button
+function clearDopplerPlot() {
+    const dopplerDiv = document.getElementById('dopplerPlot');
+    if (dopplerDiv) {
+        Plotly.purge('dopplerPlot');
+        dopplerDiv.style.display = 'none';
+    }
+    const tuningContainer = document.getElementById('tuning-table-container');
+    if (tuningContainer) tuningContainer.style.display = 'none';
+}
+
+// Save text content as a file download
+function downloadTextFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Make a string safe to use in a download file name
+function toFileNamePart(text) {
+    return String(text).replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Download the selected pass as a CSV tuning table (range, range rate and Doppler-corrected frequencies)
+function downloadTuningTable() {
+    const pass = predictedPasses[selectedPassIndex];
+    if (!pass) return;
+    const downlinkHz = getFrequencyInputHz('downlinkFreq');
+    const uplinkHz = getFrequencyInputHz('uplinkFreq');
+
+    const rows = [[
+        'Time (UTC)', 'Azimuth (deg)', 'Elevation (deg)', 'Range (km)', 'Range Rate (km/s)',
+        'Downlink (MHz)', 'Downlink Offset (Hz)', 'Uplink (MHz)', 'Uplink Offset (Hz)'
+    ]];
+    pass.lookAnglePoints.forEach(point => {
+        const downlink = downlinkHz !== null ? calculateDopplerShift(downlinkHz, point.rangeRate) : null;
+        const uplink = uplinkHz !== null ? calculateDopplerShift(uplinkHz, point.rangeRate) : null;
+        rows.push([
+            point.time.toISOString(),
+            point.azimuth.toFixed(2),
+            point.elevation.toFixed(2),
+            point.range.toFixed(3),
+            point.rangeRate.toFixed(4),
+            downlink ? (downlink.downlink / 1e6).toFixed(6) : '',
+            downlink ? downlink.offset.toFixed(0) : '',
+            uplink ? (uplink.uplink / 1e6).toFixed(6) : '',
+            uplink ? (uplink.uplink - uplinkHz).toFixed(0) : ''
+        ]);
+    });
+
+    const csv = rows.map(row => row.join(',')).join('\r\n');
+    const satName = toFileNamePart(satellite.OBJECT_NAME || satellite.NORAD_CAT_ID);
+    const passTime = pass.startTime.toISOString().replace(/[:.]/g, '-');
+    downloadTextFile(`${satName}_${passTime}_tuning.csv`, csv, 'text/csv');
+}
+
+// --- Antenna Rotator Controls --- //
+
+// Restore the saved bridge URL and hook up the rotator buttons
+function initRotatorControls() {
+    const urlInput = document.getElementById('rotatorUrl');
+    if (!urlInput) return;
+    urlInput.value = localStorage.getItem('rotatorUrl') || '';
+
+    document.getElementById('rotatorConnectBtn').addEventListener('click', toggleRotatorConnection);
+    document.getElementById('rotatorTrackBtn').addEventListener('click', trackSelectedPass);
+    document.getElementById('rotatorStopBtn').addEventListener('click', stopRotatorTracking);
+    document.getElementById('rotatorParkBtn').addEventListener('click', () => {
+        const park = getRotatorParkPosition();
+        if (park) parkRotator(park.azimuth, park.elevation);
+    });
+    document.getElementById('downloadStepFileBtn').addEventListener('click', downloadRotatorStepFile);
+}
+
+// Show or hide the rotator section (it needs a selected pass)
+function setRotatorControlsVisible(show) {
+    const rotatorControls = document.getElementById('rotator-controls');
+    if (rotatorControls) rotatorControls.style.display = show ? '' : 'none';
+}
+
+// Show a rotator status message below the rotator buttons
+function updateRotatorStatus(message, isError) {
+    const statusDiv = document.getElementById('rotator-status');
+    if (!statusDiv) return;
+    statusDiv.textContent = message;
+    statusDiv.classList.toggle('rotator-error', Boolean(isError));
+    const connectBtn = document.getElementById('rotatorConnectBtn');
+    if (connectBtn) connectBtn.textContent = isRotatorConnected() ? 'Disconnect' : 'Connect';
+}
+
+// Connect to (or disconnect from) the rotctld bridge, remembering the URL
+async function toggleRotatorConnection() {
+    if (isRotatorConnected()) {
+        disconnectRotator();
+        return;
+    }
+    const url = document.getElementById('rotatorUrl').value.trim() || DEFAULT_ROTATOR_URL;
+    localStorage.setItem('rotatorUrl', url);
+    updateRotatorStatus(`Connecting to ${url}...`, false);
+    try {
+        await connectRotator(url, updateRotatorStatus);
+    } catch (error) {
+        updateRotatorStatus(error.message, true);
+    }
+}
+
+// Read the park position inputs (blank fields default to Az 0°, El 90°)
+function getRotatorParkPosition() {
+    const azInput = document.getElementById('rotatorParkAz').value.trim();
+    const elInput = document.getElementById('rotatorParkEl').value.trim();
+    const azimuth = azInput ? parseFloat(azInput) : 0;
+    const elevation = elInput ? parseFloat(elInput) : 90;
+    if (isNaN(azimuth) || isNaN(elevation) || azimuth < 0 || azimuth > ROTATOR_MAX_AZIMUTH || elevation < 0 || elevation > 180) {
+        updateRotatorStatus(`Park position must be Az 0 to ${ROTATOR_MAX_AZIMUTH}°, El 0 to 180°.`, true);
+        return null;
+    }
+    return { azimuth, elevation };
+}
+
+// Stream rotator commands for the selected pass
+function trackSelectedPass() {
+    const pass = predictedPasses[selectedPassIndex];
+    if (!pass || !currentObserver) return;
+    const park = getRotatorParkPosition();
+    if (!park) return;
+    const mode = document.getElementById('rotatorMode').value;
+    startRotatorTracking(pass, satellite, currentObserver, { mode, park });
+}
+
+// Download the selected pass as a rotator step file
+function downloadRotatorStepFile() {
+    const pass = predictedPasses[selectedPassIndex];
+    if (!pass || !currentObserver) return;
+    const stepSeconds = parseInt(document.getElementById('rotatorStep').value, 10) || 5;
+    const mode = document.getElementById('rotatorMode').value;
+
+    const points = calculateTrackingPoints(satellite, currentObserver, pass.startTime, pass.endTime, stepSeconds * 1000);
+    if (points.length === 0) {
+        updateRotatorStatus('Could not calculate rotator positions for the pass', true);
+        return;
+    }
+    const stepFile = createRotatorStepFile(planRotatorPath(points, mode), satellite);
+    const satName = toFileNamePart(satellite.OBJECT_NAME || satellite.NORAD_CAT_ID);
+    const passTime = pass.startTime.toISOString().replace(/[:.]/g, '-');
+    downloadTextFile(`${satName}_${passTime}_rotator.txt`, stepFile, 'text/plain');
+}
+
 // --- NEW Plotly Visualization Function --- //
-function drawPolarPlotly(plotDivId, lookAnglePoints, isGeostationary) {
+// observer (optional) adds the minimum elevation / horizon mask as a shaded region
+function drawPolarPlotly(plotDivId, lookAnglePoints, isGeostationary, observer = null) {
     const plotDiv = document.getElementById(plotDivId);
     if (!plotDiv) {
         console.error(`Plotly container #${plotDivId} not found.`);
@@ -1279,6 +2386,21 @@ function drawPolarPlotly(plotDivId, lookAnglePoints, isGeostationary) {
                 };
                 dataTraces.push(trace);
             }
+
+            // Overlay the optically visible part of the track (sunlit satellite, dark sky)
+            const opticalPoints = lookAnglePoints.filter(p => p.visible && p.elevation >= 0);
+            if (opticalPoints.length > 0) {
+                dataTraces.push({
+                    type: 'scatterpolar',
+                    r: opticalPoints.map(p => 90 - p.elevation),
+                    theta: opticalPoints.map(p => p.azimuth),
+                    mode: 'lines+markers',
+                    name: 'Visible',
+                    line: { color: '#f1c40f', width: 5 },
+                    marker: { color: '#f1c40f', size: 5 },
+                    hoverinfo: 'none'
+                });
+            }
         }
         // If no visible points, dataTraces remains empty
     }
@@ -1289,6 +2411,12 @@ function drawPolarPlotly(plotDivId, lookAnglePoints, isGeostationary) {
         return;
     }
 
+    // Shade the sky blocked by the minimum elevation and horizon mask (drawn beneath the path)
+    const maskTrace = createHorizonMaskTrace(observer, currentTheme);
+    if (maskTrace) {
+        dataTraces.unshift(maskTrace);
+    }
+
     // Add a center dot with slightly more blue in light mode
     const greenDotColor = currentTheme === 'dark' ? 'rgba(80,200,120,0.7)' : 'rgba(117,184,240,0.7)';
     dataTraces.push({
@@ -1359,6 +2487,37 @@ function drawPolarPlotly(plotDivId, lookAnglePoints, isGeostationary) {
     plotDiv.style.display = 'block'; // Show the plot
 }
 
+// Build a filled polar trace covering the sky below the observer's effective horizon
+function createHorizonMaskTrace(observer, theme) {
+    if (!observer) return null;
+    const hasMask = observer.horizonMask && observer.horizonMask.length > 0;
+    if (!hasMask && !(observer.minElevation > 0)) return null;
+
+    const maskTheta = [];
+    const maskR = [];
+    // Outline of the effective horizon, then back along the true horizon to close the shape
+    for (let az = 0; az <= 360; az += 2) {
+        maskTheta.push(az);
+        maskR.push(90 - Math.max(0, getHorizonElevation(observer, az)));
+    }
+    for (let az = 360; az >= 0; az -= 2) {
+        maskTheta.push(az);
+        maskR.push(90);
+    }
+
+    return {
+        type: 'scatterpolar',
+        r: maskR,
+        theta: maskTheta,
+        mode: 'lines',
+        fill: 'toself',
+        name: 'Horizon Mask',
+        fillcolor: theme === 'dark' ? 'rgba(180, 180, 180, 0.25)' : 'rgba(120, 120, 120, 0.25)',
+        line: { color: theme === 'dark' ? 'rgba(180, 180, 180, 0.6)' : 'rgba(120, 120, 120, 0.6)', width: 1 },
+        hoverinfo: 'none'
+    };
+}
+
 // Function to clear/hide the Plotly plot
 function clearPolarPlotly(plotDivId) {
      const plotDiv = document.getElementById(plotDivId);
@@ -0,0 +1,150 @@
+// satelliteRecords.js - Converts the satellite record schemas the app reads into one canonical record
+// Supported schemas:
+//   'omm'    - Celestrak OMM JSON (data/*.json): OBJECT_NAME, NORAD_CAT_ID, EPOCH, MEAN_MOTION, ...
+//   'tle'    - Objects carrying TLE_LINE1/TLE_LINE2 (custom satellites saved by parseTLE, JSON exports)
+//   'legacy' - The old custom_satellites.json shape: {id, name, tle: [line1, line2], eccen, incli, mnMotion, ...}
+//   'text'   - Raw 2-line or 3-line element set text, as a string or an array of lines
+// The canonical record has the Celestrak OMM fields, with NORAD_CAT_ID taken from the elements (a number, alpha-5
+// IDs included) and TLE_LINE1/TLE_LINE2 whenever the source has TLE lines.
+
+// Fields an OMM record needs before SGP4 can be initialised from it
+const OMM_REQUIRED_FIELDS = ['EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE',
+    'ARG_OF_PERICENTER', 'MEAN_ANOMALY'];
+
+// Catalogue number as stored in canonical records: a number (alpha-5 IDs decoded, e.g. "A0001" -> 100001), the
+// trimmed text for anything else, or null when empty
+function normalizeNoradId(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+    const number = decodeNoradId(text);
+    return isNaN(number) ? text : number;
+}
+
+// Which schema a record uses, or null when it is not recognised
+function detectSatelliteSchema(record) {
+    if (typeof record === 'string' || Array.isArray(record)) return 'text';
+    if (!record || typeof record !== 'object') return null;
+    if (record.TLE_LINE1 !== undefined || record.TLE_LINE2 !== undefined) return 'tle';
+    if (Array.isArray(record.tle)) return 'legacy';
+    if (record.EPOCH !== undefined && record.MEAN_MOTION !== undefined) return 'omm';
+    return null;
+}
+
+// Canonical record from a name and TLE lines (throws SatelliteFormatError naming the problem)
+function normalizeTleLines(name, line1, line2) {
+    const error = getTleError(line1, line2);
+    if (error) throw new SatelliteFormatError(error, name);
+    const record = parseTLE(name || line1.substring(2, 7).trim(), line1, line2);
+    return { ...record, NORAD_CAT_ID: normalizeNoradId(record.NORAD_CAT_ID) };
+}
+
+/**
+ * Convert a satellite record of any supported schema into the canonical record
+ * @param {Object|string|Array} record - The record as read from a file or localStorage
+ * @returns {Object} Canonical record (a new object; the input is not modified)
+ * @throws {SatelliteFormatError} When the schema is not recognised or the record cannot be converted
+ */
+function normalizeSatelliteRecord(record) {
+    const schema = detectSatelliteSchema(record);
+    const name = record && typeof record === 'object' ? (record.OBJECT_NAME || record.name || null) : null;
+
+    if (schema === 'text') {
+        const text = Array.isArray(record) ? record.join('\n') : record;
+        const entries = parseTleCatalogue(text);
+        if (entries.length !== 1) {
+            throw new SatelliteFormatError(`Expected one element set in the TLE text, found ${entries.length}`);
+        }
+        if (entries[0].error) throw new SatelliteFormatError(entries[0].error, entries[0].name);
+        return normalizeTleLines(entries[0].name, entries[0].line1, entries[0].line2);
+    }
+    if (schema === 'tle') {
+        return { ...normalizeTleLines(name, record.TLE_LINE1, record.TLE_LINE2), ...pickExtraFields(record) };
+    }
+    if (schema === 'legacy') {
+        // The element fields (eccen, incli, ...) carry no epoch, so only the TLE lines can be used
+        if (record.tle.length < 2) {
+            throw new SatelliteFormatError('Legacy record has no TLE lines (its element fields have no epoch)', name);
+        }
+        return normalizeTleLines(name, String(record.tle[0]).trim(), String(record.tle[1]).trim());
+    }
+    if (schema === 'omm') {
+        const noradId = normalizeNoradId(record.NORAD_CAT_ID);
+        if (noradId === null) throw new SatelliteFormatError('OMM record has no NORAD_CAT_ID', name);
+        const missing = OMM_REQUIRED_FIELDS.filter(field => record[field] === undefined || record[field] === null ||
+            (field !== 'EPOCH' && !isFinite(parseFloat(record[field]))));
+        if (missing.length > 0) {
+            throw new SatelliteFormatError(`OMM record is missing or has invalid ${missing.join(', ')}`, name);
+        }
+        const canonical = { ...record, OBJECT_NAME: name || String(noradId), NORAD_CAT_ID: noradId };
+        OMM_REQUIRED_FIELDS.filter(field => field !== 'EPOCH').forEach(field => {
+            canonical[field] = parseFloat(record[field]);
+        });
+        return canonical;
+    }
+    throw new SatelliteFormatError('Unrecognised satellite record (no TLE lines, tle array or OMM elements)', name);
+}
+
+// Page bookkeeping on saved records (e.g. LAUNCH_YEAR, FILE) that the TLE lines do not carry
+function pickExtraFields(record) {
+    const extra = {};
+    ['LAUNCH_YEAR', 'FILE'].forEach(field => {
+        if (record[field] !== undefined) extra[field] = record[field];
+    });
+    return extra;
+}
+
+// Satellite records in parsed file data: a plain array, a {satellites: [...]} wrapper (custom_satellites.json)
+// or an object whose values are arrays
+function unpackSatelliteData(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.satellites)) return data.satellites;
+    let records = [];
+    if (data && typeof data === 'object') {
+        Object.values(data).forEach(arr => {
+            if (Array.isArray(arr)) records = records.concat(arr);
+        });
+    }
+    return records;
+}
+
+/**
+ * Normalise every record of a file or store, keeping the ones that convert and reporting the rest
+ * @param {Array|Object} data - Records, or parsed file data as accepted by unpackSatelliteData
+ * @param {string} source - Where the records came from (a file path or 'custom satellites'), for the report
+ * @returns {Object} {satellites, rejected}: rejected records are {source, index, name, reason}
+ */
+function normalizeSatelliteRecords(data, source) {
+    const satellites = [];
+    const rejected = [];
+    unpackSatelliteData(data).forEach((record, index) => {
+        try {
+            satellites.push(normalizeSatelliteRecord(record));
+        } catch (error) {
+            if (!(error instanceof PropagationError)) throw error;
+            const name = error.satelliteName || (record && (record.OBJECT_NAME || record.name || record.id)) || null;
+            rejected.push({ source, index, name, reason: error.message });
+            console.warn(`[normalizeSatelliteRecords] ${source}: skipped record ${index + 1}` +
+                `${name ? ` (${name})` : ''}: ${error.message}`);
+        }
+    });
+    return { satellites, rejected };
+}
+
+// One-paragraph summary of rejected records for the user (details are in the console)
+function describeRejectedRecords(rejected) {
+    const bySource = new Map();
+    rejected.forEach(item => bySource.set(item.source, (bySource.get(item.source) || 0) + 1));
+    const sources = [...bySource].map(([source, count]) => `${count} in ${source}`).join(', ');
+    const examples = rejected.slice(0, 3).map(item => `${item.name || `record ${item.index + 1}`}: ${item.reason}`).join('; ');
+    return `${rejected.length} satellite record${rejected.length === 1 ? '' : 's'} could not be read and ` +
+        `${rejected.length === 1 ? 'was' : 'were'} skipped (${sources}). ${examples}${rejected.length > 3 ? '; ...' : ''}`;
+}
+
+// Expose functions globally (non-module environment)
+window.normalizeNoradId = normalizeNoradId;
+window.detectSatelliteSchema = detectSatelliteSchema;
+window.normalizeSatelliteRecord = normalizeSatelliteRecord;
+window.unpackSatelliteData = unpackSatelliteData;
+window.normalizeSatelliteRecords = normalizeSatelliteRecords;
+window.describeRejectedRecords = describeRejectedRecords;
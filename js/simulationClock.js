@@ -0,0 +1,130 @@
+// simulationClock.js - Shared simulation clock for the tracking page (pause, speed and time jumps)
+// Everything that shows "the current time" asks getSimulationTime() instead of new Date().
+
+// Constants for the simulation clock
+const SIMULATION_SPEEDS = [1, 2, 5, 10, 30, 60, 100, 300, 1000]; // Offered in the speed selector
+const SIMULATION_MAX_SPEED = 1000;
+
+// Simulated time is anchored to a real instant: time = anchorTime + (now - anchorRealTime) * speed
+let simulationAnchorTime = null; // Simulated time (ms) at the anchor; null while following real time
+let simulationAnchorRealTime = 0; // Real time (ms) of the anchor
+let simulationSpeed = 1;
+let simulationPaused = false;
+const simulationClockListeners = [];
+
+/**
+ * Current simulated time
+ * @returns {Date} Real time while live, otherwise the scrubbed/accelerated time
+ */
+function getSimulationTime() {
+    if (simulationAnchorTime === null) return new Date();
+    if (simulationPaused) return new Date(simulationAnchorTime);
+    return new Date(simulationAnchorTime + (Date.now() - simulationAnchorRealTime) * simulationSpeed);
+}
+
+// Whether the clock follows real time (not paused, sped up or moved)
+function isSimulationLive() {
+    return simulationAnchorTime === null;
+}
+
+// Snapshot of the clock for the controls
+function getSimulationClockState() {
+    return {
+        time: getSimulationTime(),
+        speed: simulationSpeed,
+        paused: simulationPaused,
+        live: isSimulationLive()
+    };
+}
+
+// Re-anchor at the current simulated time (before the speed or pause state changes)
+function anchorSimulationClock(time = getSimulationTime()) {
+    simulationAnchorTime = time.getTime();
+    simulationAnchorRealTime = Date.now();
+}
+
+// Tell listeners the clock changed; jumped is true when the time moved discontinuously
+function notifySimulationClockListeners(jumped) {
+    const state = getSimulationClockState();
+    simulationClockListeners.forEach(listener => {
+        try {
+            listener(state, jumped);
+        } catch (error) {
+            console.error('[notifySimulationClockListeners] Listener failed:', error);
+        }
+    });
+}
+
+// Register a listener called as listener(state, jumped) whenever the clock is changed
+function onSimulationClockChange(listener) {
+    simulationClockListeners.push(listener);
+}
+
+/**
+ * Jump to an instant
+ * @param {Date} time - The simulated time to show
+ * @throws {RangeError} When the time is not a valid date
+ */
+function setSimulationTime(time) {
+    if (!(time instanceof Date) || isNaN(time.getTime())) {
+        throw new RangeError('Simulation time must be a valid date');
+    }
+    anchorSimulationClock(time);
+    notifySimulationClockListeners(true);
+}
+
+/**
+ * Change how fast simulated time runs
+ * @param {number} speed - Multiple of real time, 1 to SIMULATION_MAX_SPEED
+ * @throws {RangeError} When the speed is out of range
+ */
+function setSimulationSpeed(speed) {
+    if (!(speed >= 1 && speed <= SIMULATION_MAX_SPEED)) {
+        throw new RangeError(`Simulation speed must be 1 to ${SIMULATION_MAX_SPEED}`);
+    }
+    if (speed === simulationSpeed) return;
+    anchorSimulationClock();
+    simulationSpeed = speed;
+    notifySimulationClockListeners(false);
+}
+
+// Freeze simulated time
+function pauseSimulation() {
+    if (simulationPaused) return;
+    anchorSimulationClock();
+    simulationPaused = true;
+    notifySimulationClockListeners(false);
+}
+
+// Let simulated time run again from where it was paused
+function playSimulation() {
+    if (!simulationPaused) return;
+    anchorSimulationClock();
+    simulationPaused = false;
+    notifySimulationClockListeners(false);
+}
+
+// Move simulated time by a number of seconds (negative steps back)
+function stepSimulation(seconds) {
+    setSimulationTime(new Date(getSimulationTime().getTime() + seconds * 1000));
+}
+
+// Resync to real time at normal speed
+function returnSimulationToLive() {
+    simulationAnchorTime = null;
+    simulationSpeed = 1;
+    simulationPaused = false;
+    notifySimulationClockListeners(true);
+}
+
+// Expose functions globally (non-module environment)
+window.getSimulationTime = getSimulationTime;
+window.isSimulationLive = isSimulationLive;
+window.getSimulationClockState = getSimulationClockState;
+window.onSimulationClockChange = onSimulationClockChange;
+window.setSimulationTime = setSimulationTime;
+window.setSimulationSpeed = setSimulationSpeed;
+window.pauseSimulation = pauseSimulation;
+window.playSimulation = playSimulation;
+window.stepSimulation = stepSimulation;
+window.returnSimulationToLive = returnSimulationToLive;
@@ -0,0 +1,324 @@
+// stateVectorFit.js - Fits SGP4 mean elements (a TLE) to a Cartesian state vector, e.g. a launch injection state
+// The state is propagated numerically (two-body plus J2) over a short span and the SGP4 elements are corrected
+// by least squares until SGP4 follows that trajectory; the residuals of the final TLE say how well it does.
+
+// Constants for the state vector fit
+const STATE_FIT_STEP_SECONDS = 10; // RK4 step of the reference trajectory
+const STATE_FIT_SAMPLES = 60; // Reference positions compared with SGP4 (plus the epoch itself)
+const STATE_FIT_MAX_SPAN_MINUTES = 1440;
+// SGP4 switches to its deep-space model (lunar/solar terms the J2 reference lacks) from this period; such orbits are
+// fitted over a short default span instead of a whole revolution
+const STATE_FIT_DEEP_SPACE_PERIOD_MINUTES = 225;
+const STATE_FIT_DEEP_SPACE_SPAN_MINUTES = 60;
+const STATE_FIT_MAX_ITERATIONS = 25;
+const STATE_FIT_TOLERANCE = 1e-6; // Stop when the RMS improves by less than this fraction
+const STATE_FIT_PERTURBATION = 1e-7; // Finite-difference step of each fitted element
+const STATE_FIT_WARNING_KM = 1; // RMS above this is reported as a poor fit
+
+// ECI (TEME) state from a state in the given frame ('eci' or 'ecef'), km and km/s
+function toTemeState(state, epoch) {
+    if (state.frame === 'eci') return { position: state.position, velocity: state.velocity };
+    if (state.frame !== 'ecef') throw new Error(`Unknown reference frame: ${state.frame}`);
+    const gmst = window.satellite.gstime(epoch);
+    const { position: r, velocity: v } = state;
+    // Inverse of stateVector(): R v_eci = v_ecf + omega x r_ecf
+    return {
+        position: window.satellite.ecfToEci(r, gmst),
+        velocity: window.satellite.ecfToEci({
+            x: v.x - EARTH_ROTATION_RATE * r.y,
+            y: v.y + EARTH_ROTATION_RATE * r.x,
+            z: v.z
+        }, gmst)
+    };
+}
+
+// Acceleration (km/s^2) from the Earth's central term and J2, with SGP4's WGS-72 constants
+function calculateJ2Acceleration(r) {
+    const { mu, earthRadius, j2 } = window.satellite.constants;
+    const r2 = r.x * r.x + r.y * r.y + r.z * r.z;
+    const radius = Math.sqrt(r2);
+    const zz = r.z * r.z / r2;
+    const factor = 1.5 * j2 * earthRadius * earthRadius / r2;
+    const central = -mu / (r2 * radius);
+    return {
+        x: central * r.x * (1 + factor * (1 - 5 * zz)),
+        y: central * r.y * (1 + factor * (1 - 5 * zz)),
+        z: central * r.z * (1 + factor * (3 - 5 * zz))
+    };
+}
+
+// One RK4 step of the state [x, y, z, vx, vy, vz]
+function stepJ2State(s, h) {
+    const derivative = (y) => {
+        const a = calculateJ2Acceleration({ x: y[0], y: y[1], z: y[2] });
+        return [y[3], y[4], y[5], a.x, a.y, a.z];
+    };
+    const add = (y, k, scale) => y.map((value, i) => value + k[i] * scale);
+    const k1 = derivative(s);
+    const k2 = derivative(add(s, k1, h / 2));
+    const k3 = derivative(add(s, k2, h / 2));
+    const k4 = derivative(add(s, k3, h));
+    return s.map((value, i) => value + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+// Reference positions from the state: [{minutes, position}] every sampleSteps integration steps
+function propagateReferenceTrajectory(teme, sampleSteps, sampleCount) {
+    let s = [teme.position.x, teme.position.y, teme.position.z, teme.velocity.x, teme.velocity.y, teme.velocity.z];
+    const samples = [{ minutes: 0, position: teme.position }];
+    for (let i = 1; i <= sampleCount; i++) {
+        for (let j = 0; j < sampleSteps; j++) s = stepJ2State(s, STATE_FIT_STEP_SECONDS);
+        samples.push({ minutes: i * sampleSteps * STATE_FIT_STEP_SECONDS / 60, position: { x: s[0], y: s[1], z: s[2] } });
+    }
+    return samples;
+}
+
+// Osculating elements of a TEME state, as the fitted parameters [n, h, k, p, q, lambda]
+// Equinoctial elements stay defined for circular and equatorial orbits, which injection states often are
+function calculateEquinoctialElements(teme) {
+    const mu = window.satellite.constants.mu;
+    const r = teme.position;
+    const v = teme.velocity;
+    const radius = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z);
+    const speed2 = v.x * v.x + v.y * v.y + v.z * v.z;
+    const semiMajorAxis = 1 / (2 / radius - speed2 / mu);
+    if (!(semiMajorAxis > 0)) throw new Error('The state vector is not on a closed (elliptical) orbit');
+
+    const hVector = { x: r.y * v.z - r.z * v.y, y: r.z * v.x - r.x * v.z, z: r.x * v.y - r.y * v.x };
+    const hNorm = Math.sqrt(hVector.x * hVector.x + hVector.y * hVector.y + hVector.z * hVector.z);
+    const w = { x: hVector.x / hNorm, y: hVector.y / hNorm, z: hVector.z / hNorm };
+    const p = w.x / (1 + w.z);
+    const q = -w.y / (1 + w.z);
+
+    // Equinoctial frame (f, g) and the eccentricity vector
+    const scale = 1 / (1 + p * p + q * q);
+    const f = { x: scale * (1 - p * p + q * q), y: scale * 2 * p * q, z: scale * -2 * p };
+    const g = { x: scale * 2 * p * q, y: scale * (1 + p * p - q * q), z: scale * 2 * q };
+    const rv = r.x * v.x + r.y * v.y + r.z * v.z;
+    const e = {
+        x: (speed2 / mu - 1 / radius) * r.x - rv / mu * v.x,
+        y: (speed2 / mu - 1 / radius) * r.y - rv / mu * v.y,
+        z: (speed2 / mu - 1 / radius) * r.z - rv / mu * v.z
+    };
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const k = dot(e, f);
+    const h = dot(e, g);
+
+    // Mean longitude from the eccentric longitude
+    const x1 = dot(r, f);
+    const y1 = dot(r, g);
+    const beta = 1 / (1 + Math.sqrt(1 - h * h - k * k));
+    const cosF = k + ((1 - k * k * beta) * x1 - h * k * beta * y1) / (semiMajorAxis * Math.sqrt(1 - h * h - k * k));
+    const sinF = h + ((1 - h * h * beta) * y1 - h * k * beta * x1) / (semiMajorAxis * Math.sqrt(1 - h * h - k * k));
+    const eccentricLongitude = Math.atan2(sinF, cosF);
+    const lambda = eccentricLongitude + h * Math.cos(eccentricLongitude) - k * Math.sin(eccentricLongitude);
+
+    const meanMotion = Math.sqrt(mu / Math.pow(semiMajorAxis, 3)) * 60; // rad/min, as in the satrec
+    return [meanMotion, h, k, p, q, lambda];
+}
+
+// TLE elements (rev/day and degrees in 0-360) from the fitted parameters [n, h, k, p, q, lambda]
+function fromEquinoctialElements(parameters) {
+    const [meanMotion, h, k, p, q, lambda] = parameters;
+    const toDegrees = (angle) => ((angle * 180 / Math.PI) % 360 + 360) % 360;
+    const longitudeOfPerigee = Math.atan2(h, k);
+    const raan = Math.atan2(p, q);
+    return {
+        meanMotion: meanMotion * 1440 / (2 * Math.PI),
+        eccentricity: Math.sqrt(h * h + k * k),
+        inclination: 2 * Math.atan(Math.sqrt(p * p + q * q)) * 180 / Math.PI,
+        raan: toDegrees(raan),
+        argPerigee: toDegrees(longitudeOfPerigee - raan),
+        meanAnomaly: toDegrees(lambda - longitudeOfPerigee)
+    };
+}
+
+// Satrec for trial parameters (OMM JSON keeps full precision; TLE text would round every step of the fit)
+function createTrialSatrec(parameters, epoch, bstar) {
+    const elements = fromEquinoctialElements(parameters);
+    const satrec = window.satellite.json2satrec({
+        OBJECT_NAME: 'STATE VECTOR FIT',
+        OBJECT_ID: 'UNKNOWN',
+        EPOCH: epoch.toISOString().replace('Z', ''), // json2satrec appends the zone itself
+        MEAN_MOTION: elements.meanMotion,
+        ECCENTRICITY: elements.eccentricity,
+        INCLINATION: elements.inclination,
+        RA_OF_ASC_NODE: elements.raan,
+        ARG_OF_PERICENTER: elements.argPerigee,
+        MEAN_ANOMALY: elements.meanAnomaly,
+        EPHEMERIS_TYPE: 0,
+        CLASSIFICATION_TYPE: 'U',
+        NORAD_CAT_ID: 0,
+        ELEMENT_SET_NO: 999,
+        REV_AT_EPOCH: 0,
+        BSTAR: bstar,
+        MEAN_MOTION_DOT: 0,
+        MEAN_MOTION_DDOT: 0
+    });
+    if (satrec.error !== 0) throw new Sgp4Error(satrec.error, 'STATE VECTOR FIT');
+    return satrec;
+}
+
+// Position differences SGP4 minus reference, flattened to [dx0, dy0, dz0, dx1, ...] (km)
+function calculateFitResiduals(satrec, epoch, samples) {
+    const residuals = [];
+    samples.forEach(sample => {
+        const { position } = propagate(satrec, new Date(epoch.getTime() + sample.minutes * 60000));
+        residuals.push(position.x - sample.position.x, position.y - sample.position.y, position.z - sample.position.z);
+    });
+    return residuals;
+}
+
+function calculateRms(residuals) {
+    return Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / (residuals.length / 3));
+}
+
+// Solve the square system a x = b by Gaussian elimination with partial pivoting
+function solveLinearSystem(a, b) {
+    const size = b.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (m[pivot][col] === 0) throw new Error('The fit is singular: the elements cannot be determined');
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let row = col + 1; row < size; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= size; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
+    const x = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = m[row][size];
+        for (let k = row + 1; k < size; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+// RMS of trial parameters, or Infinity when SGP4 rejects them (e.g. an eccentricity step past 1)
+function evaluateTrialParameters(parameters, epoch, bstar, samples) {
+    try {
+        const residuals = calculateFitResiduals(createTrialSatrec(parameters, epoch, bstar), epoch, samples);
+        return { residuals, rms: calculateRms(residuals) };
+    } catch (error) {
+        if (!(error instanceof PropagationError)) throw error;
+        return { residuals: null, rms: Infinity };
+    }
+}
+
+/**
+ * Fit a TLE to a Cartesian state vector
+ * Gauss-Newton differential correction of the SGP4 mean elements against the state propagated with two-body
+ * plus J2 over the fit span; B* is held at the given value (a short arc cannot determine drag).
+ * @param {Object} state - {epoch, frame, position, velocity}: epoch a Date or UTC string, frame 'eci' (TEME) or
+ *     'ecef', position in km and velocity in km/s ({x, y, z})
+ * @param {Object} options - {noradId, name, intlDesignator, bstar} as for buildTLE, and spanMinutes (defaults to
+ *     one revolution, or STATE_FIT_DEEP_SPACE_SPAN_MINUTES for deep-space orbits; at most STATE_FIT_MAX_SPAN_MINUTES)
+ * @returns {Object} {satellite, residuals}: satellite is the record from buildTLE; residuals are
+ *     {rms, max, maxAtMinutes, epochPosition, epochVelocity, spanMinutes, samples, iterations, converged, poor}
+ *     in km, km/s and minutes, for the final (rounded) TLE
+ * @throws {Error} When the input is invalid or no SGP4 elements can be fitted
+ */
+function fitTleToStateVector(state, options = {}) {
+    const epoch = typeof state.epoch === 'string' && !/(Z|[+-]\d{2}:?\d{2})$/.test(state.epoch.trim()) ?
+        new Date(`${state.epoch.trim()}Z`) : new Date(state.epoch);
+    if (isNaN(epoch.getTime())) throw new Error('The epoch is not a valid date');
+    const components = [state.position, state.velocity].flatMap(vector => vector ? [vector.x, vector.y, vector.z] : [NaN]);
+    if (!components.every(value => typeof value === 'number' && isFinite(value))) throw new Error('Position and velocity need numeric x, y and z');
+
+    const teme = toTemeState(state, epoch);
+    let parameters = calculateEquinoctialElements(teme);
+    if (!(parameters[0] * 1440 / (2 * Math.PI) < 100)) throw new Error('The orbit is too low for a TLE');
+    const bstar = Number(options.bstar) || 0;
+
+    // The span is a whole number of samples, each a whole number of integration steps
+    const periodMinutes = 2 * Math.PI / parameters[0];
+    const requestedSpan = Number(options.spanMinutes);
+    const defaultSpan = periodMinutes < STATE_FIT_DEEP_SPACE_PERIOD_MINUTES ? periodMinutes : STATE_FIT_DEEP_SPACE_SPAN_MINUTES;
+    const spanMinutes = Math.min(requestedSpan > 0 ? requestedSpan : defaultSpan, STATE_FIT_MAX_SPAN_MINUTES);
+    const sampleSteps = Math.max(1, Math.round(spanMinutes * 60 / STATE_FIT_SAMPLES / STATE_FIT_STEP_SECONDS));
+    const samples = propagateReferenceTrajectory(teme, sampleSteps, STATE_FIT_SAMPLES);
+
+    let current = evaluateTrialParameters(parameters, epoch, bstar, samples);
+    if (current.rms === Infinity) throw new Error('SGP4 cannot use the osculating elements of this state');
+    let iterations = 0;
+    let converged = false;
+    while (iterations < STATE_FIT_MAX_ITERATIONS && !converged) {
+        iterations++;
+        // Forward-difference Jacobian of the residuals with respect to each parameter
+        const jacobian = parameters.map((value, index) => {
+            const step = STATE_FIT_PERTURBATION * (index === 0 ? value : 1);
+            const trial = [...parameters];
+            trial[index] += step;
+            const { residuals } = evaluateTrialParameters(trial, epoch, bstar, samples);
+            if (!residuals) throw new Error('SGP4 rejected the elements during the fit');
+            return residuals.map((residual, i) => (residual - current.residuals[i]) / step);
+        });
+        const normal = jacobian.map(a => jacobian.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+        const gradient = jacobian.map(a => a.reduce((sum, value, i) => sum + value * current.residuals[i], 0));
+        const correction = solveLinearSystem(normal, gradient);
+
+        // Halve the correction until it improves the fit (guards against overshooting far from the solution)
+        let scale = 1;
+        let next = null;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const trial = parameters.map((value, i) => value - scale * correction[i]);
+            const result = evaluateTrialParameters(trial, epoch, bstar, samples);
+            if (result.rms <= current.rms) {
+                next = { parameters: trial, ...result };
+                break;
+            }
+            scale /= 2;
+        }
+        if (!next) break; // The line search stalled: reported as not converged
+        converged = current.rms - next.rms <= STATE_FIT_TOLERANCE * Math.max(current.rms, 1e-9);
+        parameters = next.parameters;
+        current = next;
+    }
+    if (!converged) {
+        console.warn(`[fitTleToStateVector] No convergence after ${iterations} iterations (RMS ${current.rms.toFixed(4)} km)`);
+    }
+
+    const satelliteData = buildTLE({
+        noradId: options.noradId,
+        name: options.name,
+        intlDesignator: options.intlDesignator,
+        epoch: epoch,
+        bstar: bstar,
+        ...fromEquinoctialElements(parameters)
+    });
+
+    // Residuals of the TLE as written (its elements and epoch are rounded to the TLE's precision)
+    const finalResiduals = calculateFitResiduals(getSatrec(satelliteData), epoch, samples);
+    let max = 0;
+    let maxAtMinutes = 0;
+    samples.forEach((sample, i) => {
+        const distance = Math.hypot(finalResiduals[3 * i], finalResiduals[3 * i + 1], finalResiduals[3 * i + 2]);
+        if (distance > max) {
+            max = distance;
+            maxAtMinutes = sample.minutes;
+        }
+    });
+    const { velocity } = propagate(satelliteData, epoch);
+    const rms = calculateRms(finalResiduals);
+    return {
+        satellite: satelliteData,
+        residuals: {
+            rms: rms,
+            max: max,
+            maxAtMinutes: maxAtMinutes,
+            epochPosition: Math.hypot(finalResiduals[0], finalResiduals[1], finalResiduals[2]),
+            epochVelocity: Math.hypot(velocity.x - teme.velocity.x, velocity.y - teme.velocity.y, velocity.z - teme.velocity.z),
+            spanMinutes: samples[samples.length - 1].minutes,
+            samples: samples.length,
+            iterations: iterations,
+            converged: converged,
+            poor: rms > STATE_FIT_WARNING_KM
+        }
+    };
+}
+
+// Expose functions globally (non-module environment)
+window.fitTleToStateVector = fitTleToStateVector;
@@ -0,0 +1,139 @@
+// sun.js - Sun position, twilight and Earth shadow calculations
+
+// Constants for solar geometry
+const ASTRONOMICAL_UNIT_KM = 149597870.7;
+const SUN_RADIUS_KM = 695700;
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.137; // WGS-84, matches satellite.js
+const CIVIL_TWILIGHT_ELEVATION = -6; // Sun elevation limits (degrees) for each twilight band
+const NAUTICAL_TWILIGHT_ELEVATION = -12;
+const ASTRONOMICAL_TWILIGHT_ELEVATION = -18;
+
+/**
+ * Calculate the Sun's position in Earth-centred inertial coordinates
+ * Low-precision algorithm from the Astronomical Almanac (about 0.01° accuracy, 1950-2050)
+ * @param {Date} time - The time for which to calculate the position
+ * @returns {Object} Sun position {x, y, z} in km
+ */
+function calculateSunPositionEci(time) {
+    const julianDate = time.getTime() / 86400000 + 2440587.5;
+    const centuries = (julianDate - 2451545.0) / 36525;
+    const deg2rad = Math.PI / 180;
+
+    const meanLongitude = 280.460 + 36000.771 * centuries;
+    const meanAnomaly = (357.5291092 + 35999.05034 * centuries) * deg2rad;
+    const eclipticLongitude = (meanLongitude
+        + 1.914666471 * Math.sin(meanAnomaly)
+        + 0.019994643 * Math.sin(2 * meanAnomaly)) * deg2rad;
+    const distanceAu = 1.000140612
+        - 0.016708617 * Math.cos(meanAnomaly)
+        - 0.000139589 * Math.cos(2 * meanAnomaly);
+    const obliquity = (23.439291 - 0.0130042 * centuries) * deg2rad;
+
+    const distanceKm = distanceAu * ASTRONOMICAL_UNIT_KM;
+    return {
+        x: distanceKm * Math.cos(eclipticLongitude),
+        y: distanceKm * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+        z: distanceKm * Math.sin(obliquity) * Math.sin(eclipticLongitude)
+    };
+}
+
+/**
+ * Calculate the Sun's elevation above the horizon for an observer
+ * @param {Date} time - The time of the observation
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees
+ * @returns {number} Solar elevation in degrees
+ */
+function calculateSolarElevation(time, latitude, longitude) {
+    const sunEci = calculateSunPositionEci(time);
+    const gmst = window.satellite.gstime(time);
+    const sunEcf = window.satellite.eciToEcf(sunEci, gmst);
+    const observerGd = {
+        longitude: longitude * Math.PI / 180,
+        latitude: latitude * Math.PI / 180,
+        height: 0
+    };
+    const lookAngles = window.satellite.ecfToLookAngles(observerGd, sunEcf);
+    return lookAngles.elevation * 180 / Math.PI;
+}
+
+/**
+ * Calculate the subsolar point (where the Sun is at the zenith)
+ * @param {Date} time - The time for which to calculate the point
+ * @returns {Object} {lat, lng} in degrees
+ */
+function calculateSubsolarPoint(time) {
+    const sunEcf = window.satellite.eciToEcf(calculateSunPositionEci(time), window.satellite.gstime(time));
+    return {
+        lat: Math.atan2(sunEcf.z, Math.sqrt(sunEcf.x * sunEcf.x + sunEcf.y * sunEcf.y)) * 180 / Math.PI,
+        lng: Math.atan2(sunEcf.y, sunEcf.x) * 180 / Math.PI
+    };
+}
+
+/**
+ * Outline of the region where the Sun is below a given elevation
+ * The region is a circle around the antisolar point with a radius of 90° plus the elevation.
+ * @param {Date} time - The time of the outline
+ * @param {number} [solarElevation=0] - Sun elevation limit in degrees (0 for the terminator, -6/-12/-18 for twilight)
+ * @param {number} [numPoints=180] - Number of points on the outline
+ * @returns {Array} Ring of [lat, lng] pairs ready for a Leaflet polygon (see unwrapRing)
+ */
+function calculateNightRing(time, solarElevation = 0, numPoints = 180) {
+    const subsolar = calculateSubsolarPoint(time);
+    const antisolarLat = -subsolar.lat;
+    const antisolarLng = subsolar.lng > 0 ? subsolar.lng - 180 : subsolar.lng + 180;
+    const radius = 90 + solarElevation;
+
+    const points = [];
+    for (let i = 0; i < numPoints; i++) {
+        points.push(calculateDestinationPoint(antisolarLat, antisolarLng, i * 360 / numPoints, radius));
+    }
+    return unwrapRing(points, antisolarLat);
+}
+
+// Classify a solar elevation (degrees) into daylight/twilight/night
+function getTwilightLevel(solarElevation) {
+    if (solarElevation >= 0) return 'Daylight';
+    if (solarElevation >= CIVIL_TWILIGHT_ELEVATION) return 'Civil twilight';
+    if (solarElevation >= NAUTICAL_TWILIGHT_ELEVATION) return 'Nautical twilight';
+    if (solarElevation >= ASTRONOMICAL_TWILIGHT_ELEVATION) return 'Astronomical twilight';
+    return 'Night';
+}
+
+/**
+ * Determine whether a satellite is sunlit or inside Earth's shadow (conical shadow model)
+ * Compares the apparent radii of the Sun and Earth as seen from the satellite with their separation.
+ * @param {Object} satelliteEci - Satellite position {x, y, z} in km
+ * @param {Object} sunEci - Sun position {x, y, z} in km
+ * @returns {string} 'sunlit', 'penumbra' or 'umbra'
+ */
+function calculateEclipseState(satelliteEci, sunEci) {
+    const toSun = {
+        x: sunEci.x - satelliteEci.x,
+        y: sunEci.y - satelliteEci.y,
+        z: sunEci.z - satelliteEci.z
+    };
+    const toEarth = { x: -satelliteEci.x, y: -satelliteEci.y, z: -satelliteEci.z };
+    const sunDistance = Math.sqrt(toSun.x * toSun.x + toSun.y * toSun.y + toSun.z * toSun.z);
+    const earthDistance = Math.sqrt(toEarth.x * toEarth.x + toEarth.y * toEarth.y + toEarth.z * toEarth.z);
+
+    // A satellite below the surface (bad propagation) is treated as in shadow
+    if (earthDistance <= EARTH_EQUATORIAL_RADIUS_KM) return 'umbra';
+
+    const sunAngularRadius = Math.asin(SUN_RADIUS_KM / sunDistance);
+    const earthAngularRadius = Math.asin(EARTH_EQUATORIAL_RADIUS_KM / earthDistance);
+    const cosSeparation = (toSun.x * toEarth.x + toSun.y * toEarth.y + toSun.z * toEarth.z) / (sunDistance * earthDistance);
+    const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+
+    if (separation >= earthAngularRadius + sunAngularRadius) return 'sunlit';
+    if (separation <= earthAngularRadius - sunAngularRadius) return 'umbra';
+    return 'penumbra';
+}
+
+// Expose functions globally (non-module environment)
+window.calculateSunPositionEci = calculateSunPositionEci;
+window.calculateSolarElevation = calculateSolarElevation;
+window.calculateSubsolarPoint = calculateSubsolarPoint;
+window.calculateNightRing = calculateNightRing;
+window.getTwilightLevel = getTwilightLevel;
+window.calculateEclipseState = calculateEclipseState;
@@ -0,0 +1,163 @@
+// tleHealth.js - Element set (TLE) age, estimated accuracy and staleness/decay warnings
+
+// Constants for element set health
+const TLE_AGE_WARNING_DAYS = 7;
+const TLE_AGE_CRITICAL_DAYS = 30;
+const TLE_BASE_UNCERTAINTY_KM = 1; // Typical SGP4 along-track error at epoch
+const TLE_UNCERTAINTY_GROWTH_KM_PER_DAY = 1; // Linear growth from errors in the fitted elements
+const TLE_DRAG_UNCERTAINTY = 0.1; // Assumed fractional error of the decay rate (drag varies with solar activity)
+const TLE_UNCERTAINTY_WARNING_KM = 25;
+const TLE_UNCERTAINTY_CRITICAL_KM = 100;
+const TLE_LOW_PERIGEE_KM = 180; // Below this, re-entry is usually a matter of days to weeks
+
+// Element set epoch from Celestrak JSON (EPOCH) or TLE line 1 (columns 19-32), or null when unknown
+function getElementSetEpoch(satellite) {
+    if (!satellite) return null;
+    if (typeof satellite.EPOCH === 'string' && satellite.EPOCH) {
+        // Celestrak gives UTC without a zone and with microseconds
+        const epochText = satellite.EPOCH.replace(/(\.\d{3})\d+/, '$1');
+        const epoch = new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(epochText) ? epochText : `${epochText}Z`);
+        if (!isNaN(epoch.getTime())) return epoch;
+    }
+    if (typeof satellite.TLE_LINE1 === 'string' && satellite.TLE_LINE1.length >= 32) {
+        const twoDigitYear = parseInt(satellite.TLE_LINE1.substring(18, 20), 10);
+        const dayOfYear = parseFloat(satellite.TLE_LINE1.substring(20, 32));
+        if (isNaN(twoDigitYear) || isNaN(dayOfYear)) return null;
+        const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+        return new Date(Date.UTC(year, 0, 1) + (dayOfYear - 1) * 86400000);
+    }
+    return null;
+}
+
+// Days from the epoch to a time (negative when the time is before the epoch), or null when the epoch is unknown
+function calculateElementSetAge(satellite, time = new Date()) {
+    const epoch = getElementSetEpoch(satellite);
+    return epoch ? (time.getTime() - epoch.getTime()) / 86400000 : null;
+}
+
+// Short text for an element set age, e.g. "5.2 h" or "3.4 days" ("in 2.0 days" for a future epoch)
+function formatElementSetAge(ageDays) {
+    if (ageDays === null || isNaN(ageDays)) return 'N/A';
+    const magnitude = Math.abs(ageDays);
+    const text = magnitude < 1 ? `${(magnitude * 24).toFixed(1)} h` : `${magnitude.toFixed(1)} days`;
+    return ageDays < 0 ? `in ${text}` : text;
+}
+
+// Half the first derivative of mean motion (rev/day^2) as given in the element set, or 0 when absent
+function getMeanMotionDot(satellite) {
+    if (satellite.MEAN_MOTION_DOT !== undefined) return parseFloat(satellite.MEAN_MOTION_DOT) || 0;
+    if (typeof satellite.TLE_LINE1 === 'string' && satellite.TLE_LINE1.length >= 43) {
+        return parseFloat(satellite.TLE_LINE1.substring(33, 43)) || 0;
+    }
+    return 0;
+}
+
+// Mean motion in rad/s from Celestrak JSON or TLE line 2, or NaN when absent
+function getMeanMotionRadPerSecond(satellite) {
+    const revsPerDay = parseFloat(satellite.MEAN_MOTION) ||
+        (typeof satellite.TLE_LINE2 === 'string' ? parseFloat(satellite.TLE_LINE2.substring(52, 63)) : NaN);
+    return revsPerDay * 2 * Math.PI / 86400;
+}
+
+/**
+ * Rough along-track position uncertainty of an element set some time from its epoch
+ * A base error plus linear growth, plus the along-track drift a TLE_DRAG_UNCERTAINTY error in the decay
+ * rate builds up (quadratic in time). Only meant to flag when positions stop being trustworthy.
+ * @param {Object} satellite - The satellite object
+ * @param {number} ageDays - Time from the epoch in days
+ * @returns {Object} {distance, timing}: km along the track, and the seconds the satellite takes to cover it
+ *     (timing is null when the mean motion is unknown)
+ */
+function estimateAlongTrackUncertainty(satellite, ageDays) {
+    const days = Math.abs(ageDays);
+    const meanMotion = getMeanMotionRadPerSecond(satellite);
+    let distance = TLE_BASE_UNCERTAINTY_KM + TLE_UNCERTAINTY_GROWTH_KM_PER_DAY * days;
+    if (!(meanMotion > 0)) return { distance: distance, timing: null };
+
+    const semiMajorAxis = Math.cbrt(EARTH_GRAVITATIONAL_PARAMETER / (meanMotion * meanMotion));
+    // The element set gives ndot / 2, so the extra angle travelled is (ndot / 2) * t^2 revolutions
+    const driftRevolutions = Math.abs(getMeanMotionDot(satellite)) * days * days;
+    distance += TLE_DRAG_UNCERTAINTY * semiMajorAxis * 2 * Math.PI * driftRevolutions;
+    return { distance: distance, timing: distance / (semiMajorAxis * meanMotion) };
+}
+
+/**
+ * Judge how far an element set can be trusted at a time
+ * @param {Object} satellite - The satellite object
+ * @param {Date} [time] - The time positions are shown for (defaults to now)
+ * @returns {Object} {epoch, ageDays, alongTrackUncertainty, timingUncertainty, perigeeAltitude, level, warnings}:
+ *     km and seconds; level is 'ok', 'warning' or 'critical' ('unknown' without an epoch); warnings are
+ *     sentences for the user
+ */
+function assessElementSet(satellite, time = new Date()) {
+    const epoch = getElementSetEpoch(satellite);
+    if (!epoch) {
+        return { epoch: null, ageDays: null, alongTrackUncertainty: null, timingUncertainty: null, perigeeAltitude: null,
+            level: 'unknown', warnings: ['The element set has no readable epoch, so its accuracy cannot be judged.'] };
+    }
+    const ageDays = (time.getTime() - epoch.getTime()) / 86400000;
+    const { distance: alongTrackUncertainty, timing } = estimateAlongTrackUncertainty(satellite, ageDays);
+    const warnings = [];
+    let level = 'ok';
+    const raise = (newLevel) => {
+        if (newLevel === 'critical' || level === 'ok') level = newLevel;
+    };
+
+    const age = formatElementSetAge(ageDays);
+    if (Math.abs(ageDays) >= TLE_AGE_CRITICAL_DAYS) {
+        raise('critical');
+        warnings.push(`The element set is ${age} ${ageDays < 0 ? 'ahead' : 'old'}; positions are unreliable. Load a newer TLE.`);
+    } else if (Math.abs(ageDays) >= TLE_AGE_WARNING_DAYS) {
+        raise('warning');
+        warnings.push(`The element set is ${age} ${ageDays < 0 ? 'ahead' : 'old'}; consider loading a newer TLE.`);
+    }
+    const uncertaintyWarning = `Estimated along-track error is about ${Math.round(alongTrackUncertainty)} km` +
+        (timing !== null ? ` (pass times off by up to ${Math.round(timing)} s).` : '.');
+    if (alongTrackUncertainty >= TLE_UNCERTAINTY_CRITICAL_KM) {
+        raise('critical');
+        warnings.push(uncertaintyWarning);
+    } else if (alongTrackUncertainty >= TLE_UNCERTAINTY_WARNING_KM) {
+        raise('warning');
+        warnings.push(uncertaintyWarning);
+    }
+
+    let perigeeAltitude = null;
+    try {
+        perigeeAltitude = getSatrec(satellite).altp * window.satellite.constants.earthRadius;
+    } catch (error) {
+        if (!(error instanceof PropagationError)) throw error;
+        raise('critical');
+        warnings.push(describePropagationError(error, satellite));
+    }
+    if (perigeeAltitude !== null && perigeeAltitude < TLE_LOW_PERIGEE_KM) {
+        raise('warning');
+        warnings.push(`Perigee is only about ${Math.round(perigeeAltitude)} km up; the object is decaying and may re-enter soon.`);
+    }
+
+    return { epoch, ageDays, alongTrackUncertainty, timingUncertainty: timing, perigeeAltitude, level, warnings };
+}
+
+// User-facing explanation of a propagation failure (spells out SGP4 decay instead of a bare error code)
+// Errors from the worker arrive as plain errors with the same name, code and reason
+function describePropagationError(error, satellite) {
+    const isSgp4Error = error instanceof Sgp4Error || error.name === 'Sgp4Error';
+    if (isSgp4Error && error.reason === 'decayed') {
+        const epoch = getElementSetEpoch(satellite);
+        const when = error.time ? ` at ${error.time.toISOString()}` : '';
+        const from = epoch ? ` from ${epoch.toISOString().slice(0, 10)}` : '';
+        return `The satellite has decayed according to its element set${from}: SGP4 cannot place it${when} ` +
+            `(SGP4 error ${error.code}). It may have re-entered, or a newer TLE is needed.`;
+    }
+    if (isSgp4Error) {
+        return `${error.message} (SGP4 error ${error.code})`;
+    }
+    return error.message;
+}
+
+// Expose functions globally (non-module environment)
+window.getElementSetEpoch = getElementSetEpoch;
+window.calculateElementSetAge = calculateElementSetAge;
+window.formatElementSetAge = formatElementSetAge;
+window.estimateAlongTrackUncertainty = estimateAlongTrackUncertainty;
+window.assessElementSet = assessElementSet;
+window.describePropagationError = describePropagationError;
@@ -0,0 +1,151 @@
+"""Mock Hamlib rotctld WebSocket bridge for testing rotator tracking locally.
+
+Speaks the rotctld text protocol over a WebSocket (standard library only):
+  P <az> <el>  set position      -> RPRT 0
+  p            get position      -> "<az>\n<el>\n"
+  S            stop              -> RPRT 0
+  K            park (Az 0, El 0) -> RPRT 0
+
+Usage: python mock_rotctld.py [port]   (default port 4533, bridge URL ws://localhost:4533)
+"""
+import base64
+import hashlib
+import socketserver
+import struct
+import sys
+
+WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+DEFAULT_PORT = 4533
+MAX_AZIMUTH = 450.0
+MAX_ELEVATION = 180.0
+
+# Shared rotator state (one simulated rotator for all clients)
+position = {'az': 0.0, 'el': 0.0}
+
+
+def handle_command(line):
+    """Apply one rotctld command and return the response text."""
+    parts = line.split()
+    if not parts:
+        return ''
+    command = parts[0]
+    if command in ('P', '\\set_pos'):
+        try:
+            az, el = float(parts[1]), float(parts[2])
+        except (IndexError, ValueError):
+            return 'RPRT -1\n'  # Invalid parameter
+        if not (0 <= az <= MAX_AZIMUTH and 0 <= el <= MAX_ELEVATION):
+            return 'RPRT -1\n'
+        position['az'], position['el'] = az, el
+        print(f"Moving to Az {az:.1f}, El {el:.1f}")
+        return 'RPRT 0\n'
+    if command in ('p', '\\get_pos'):
+        return f"{position['az']:.6f}\n{position['el']:.6f}\n"
+    if command in ('S', '\\stop'):
+        print("Stop")
+        return 'RPRT 0\n'
+    if command in ('K', '\\park'):
+        position['az'], position['el'] = 0.0, 0.0
+        print("Parked")
+        return 'RPRT 0\n'
+    return 'RPRT -4\n'  # Command not implemented
+
+
+def read_exact(sock, count):
+    """Read exactly count bytes, or return None if the client disconnected."""
+    data = b''
+    while len(data) < count:
+        chunk = sock.recv(count - len(data))
+        if not chunk:
+            return None
+        data += chunk
+    return data
+
+
+def read_frame(sock):
+    """Read one WebSocket frame, returning (opcode, payload) or (None, None) on disconnect."""
+    header = read_exact(sock, 2)
+    if header is None:
+        return None, None
+    opcode = header[0] & 0x0F
+    masked = header[1] & 0x80
+    length = header[1] & 0x7F
+    if length in (126, 127):
+        extended = read_exact(sock, 2 if length == 126 else 8)
+        if extended is None:
+            return None, None
+        length = struct.unpack('>H' if length == 126 else '>Q', extended)[0]
+    mask = read_exact(sock, 4) if masked else b'\x00\x00\x00\x00'
+    payload = read_exact(sock, length) if length else b''
+    if mask is None or payload is None:
+        return None, None
+    return opcode, bytes(b ^ mask[i % 4] for i, b in enumerate(payload))
+
+
+def send_frame(sock, payload, opcode=0x1):
+    """Send one unmasked WebSocket frame (server frames are never masked)."""
+    length = len(payload)
+    if length < 126:
+        header = struct.pack('>BB', 0x80 | opcode, length)
+    elif length < 65536:
+        header = struct.pack('>BBH', 0x80 | opcode, 126, length)
+    else:
+        header = struct.pack('>BBQ', 0x80 | opcode, 127, length)
+    sock.sendall(header + payload)
+
+
+class RotctldWebSocketHandler(socketserver.BaseRequestHandler):
+    def handle(self):
+        # --- WebSocket handshake ---
+        request = b''
+        while b'\r\n\r\n' not in request:
+            chunk = self.request.recv(4096)
+            if not chunk:
+                return
+            request += chunk
+        headers = {}
+        for line in request.decode('latin-1').split('\r\n')[1:]:
+            if ':' in line:
+                name, value = line.split(':', 1)
+                headers[name.strip().lower()] = value.strip()
+        key = headers.get('sec-websocket-key')
+        if not key:
+            self.request.sendall(b'HTTP/1.1 400 Bad Request\r\n\r\n')
+            return
+        accept = base64.b64encode(hashlib.sha1((key + WEBSOCKET_GUID).encode()).digest()).decode()
+        self.request.sendall((
+            'HTTP/1.1 101 Switching Protocols\r\n'
+            'Upgrade: websocket\r\n'
+            'Connection: Upgrade\r\n'
+            f'Sec-WebSocket-Accept: {accept}\r\n\r\n'
+        ).encode())
+        print(f"Client connected: {self.client_address[0]}")
+
+        # --- Command loop ---
+        while True:
+            opcode, payload = read_frame(self.request)
+            if opcode is None or opcode == 0x8:  # Disconnect or close frame
+                if opcode == 0x8:
+                    send_frame(self.request, payload[:2], 0x8)
+                break
+            if opcode == 0x9:  # Ping
+                send_frame(self.request, payload, 0xA)
+                continue
+            if opcode != 0x1:
+                continue
+            for line in payload.decode('utf-8', errors='replace').splitlines():
+                response = handle_command(line.strip())
+                if response:
+                    send_frame(self.request, response.encode())
+        print(f"Client disconnected: {self.client_address[0]}")
+
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else DEFAULT_PORT
+    socketserver.ThreadingTCPServer.allow_reuse_address = True
+    with socketserver.ThreadingTCPServer(('localhost', port), RotctldWebSocketHandler) as server:
+        print(f"Mock rotctld listening on ws://localhost:{port}")
+        try:
+            server.serve_forever()
+        except KeyboardInterrupt:
+            print("\nShutting down")